@@ -1,8 +1,10 @@
 // Comprehensive error handling middleware
 const logger = require('../utils/logger');
+const { redact } = require('../utils/redact');
 
 class ErrorHandler {
-  // Handle different types of errors
+  // Handle different types of errors. The logged request and the response body both go through
+  // the redactor, so passwords, tokens and keys in a failing request never leave the server.
   static handleError(error, req, res, next) {
     logger.logError(error, {
       url: req.url,
@@ -51,14 +53,14 @@ class ErrorHandler {
       details.stack = error.stack;
     }
 
-    res.status(statusCode).json({
+    res.status(statusCode).json(redact({
       error: true,
       message,
       statusCode,
       timestamp: new Date().toISOString(),
       path: req.url,
       ...details
-    });
+    }));
   }
 
   // Handle 404 errors
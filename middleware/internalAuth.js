@@ -22,31 +22,6 @@ class InternalAuthMiddleware {
     next();
   }
 
-  // Add warning banner for internal use
-  static addInternalWarning(req, res, next) {
-    // Add warning to HTML responses
-    const originalSend = res.send;
-    res.send = function(data) {
-      if (res.get('Content-Type') && res.get('Content-Type').includes('text/html')) {
-        // Add internal use warning to HTML
-        const warningBanner = `
-          <!-- INTERNAL TOOL WARNING -->
-          <div style="background: #dc3545; color: white; padding: 10px; text-align: center; font-weight: bold; position: fixed; top: 0; left: 0; right: 0; z-index: 9999;">
-            ⚠️ INTERNAL TEAM TOOL - NOT FOR PUBLIC USE ⚠️
-          </div>
-          <style>body { margin-top: 50px !important; }</style>
-        `;
-        
-        if (typeof data === 'string' && data.includes('<body>')) {
-          data = data.replace('<body>', '<body>' + warningBanner);
-        }
-      }
-      originalSend.call(this, data);
-    };
-    
-    next();
-  }
-
   // Restrict OAuth to internal use only
   static restrictOAuthAccess(req, res, next) {
     const referer = req.get('Referer');
@@ -0,0 +1,73 @@
+// Session Authentication Middleware - who is signed in, and what their role lets them do
+const sessionService = require('../services/sessionService');
+const userService = require('../services/userService');
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+class SessionAuthMiddleware {
+  // Attach req.user and req.session when the request carries a valid session cookie.
+  // The user is looked up on every request so role changes and deletions apply immediately.
+  // Requests already authenticated by an API key (see apiKeyAuth) skip the cookie.
+  static async loadSession(req, res, next) {
+    if (req.user) {
+      return next();
+    }
+
+    try {
+      const session = await sessionService.fromRequest(req);
+      const user = session ? await userService.getUser(session.username) : null;
+      if (user) {
+        req.session = session;
+        req.user = userService.toPublic(user);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Pages send anonymous visitors to the login page; API calls get a 401
+  static rejectAnonymous(req, res) {
+    if (req.method === 'GET' && !req.path.startsWith('/api/') && req.accepts(['html', 'json']) === 'html') {
+      return res.redirect(`/login?returnTo=${encodeURIComponent(req.originalUrl)}`);
+    }
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  static requireLogin(req, res, next) {
+    if (!req.user) {
+      return SessionAuthMiddleware.rejectAnonymous(req, res);
+    }
+    next();
+  }
+
+  // Allow users with at least `role` (viewer < analyst < admin)
+  static requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return SessionAuthMiddleware.rejectAnonymous(req, res);
+      }
+      if (!userService.hasRole(req.user.role, role)) {
+        logger.warn('Access denied - insufficient role', {
+          username: req.user.username,
+          role: req.user.role,
+          required: role,
+          url: req.originalUrl
+        });
+        return res.status(403).json({
+          error: req.apiKey
+            ? `This action requires an API key with the ${apiKeyService.scopeForRole(role)} scope`
+            : `This action requires the ${role} role`
+        });
+      }
+      next();
+    };
+  }
+
+  // Only same-site relative paths, so a login link cannot redirect somewhere else
+  static safeReturnTo(returnTo) {
+    return typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ? returnTo : '/';
+  }
+}
+
+module.exports = SessionAuthMiddleware;
@@ -0,0 +1,94 @@
+// Results export - JSON and CSV downloads shared by the live results page (results.html) and the
+// server-rendered /results pages. `messages` are the run's locale labels from /api/locales.
+window.ResultsExport = (function() {
+    // Map a stored rating (canonical, or a legacy 高/中/低 value) to its level and localized label
+    function likelihoodLevel(value) {
+        const aliases = { '高': 'high', '中': 'medium', '低': 'low' };
+        return aliases[value] || String(value || '').toLowerCase();
+    }
+
+    function likelihoodLabel(value, messages) {
+        return messages.likelihood[likelihoodLevel(value)] || messages.likelihood.unknown;
+    }
+
+    // Every cell is quoted, with embedded quotes doubled. Cells starting with = + - @ tab or CR get a
+    // leading ' so spreadsheets show product text (which comes from Product Hunt) instead of running it as a formula.
+    function csvCell(value) {
+        const text = String(value ?? '').replace(/^[=+\-@\t\r]/, "'$&");
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    function today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    function download(content, type, filename) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    function exportJSON(data) {
+        // Put the provenance warning first so it is the first thing anyone opening the file sees
+        const exportData = data.provenance?.notice
+            ? { notice: `NOT LIVE DATA: ${data.provenance.notice}`, ...data }
+            : data;
+        download(JSON.stringify(exportData, null, 2), 'application/json', `product_analysis_${today()}.json`);
+    }
+
+    // Market summary rows appended after the products in CSV exports
+    function marketSummaryRows(summary, messages) {
+        if (!summary) return [];
+        return [
+            [],
+            [messages.marketSummaryTitle, summary.summary],
+            [messages.overallTrends, (summary.overallTrends || []).join('; ')],
+            [messages.emergingOpportunities, (summary.emergingOpportunities || []).join('; ')],
+            [messages.commonTargetDemographics, (summary.commonTargetDemographics || []).join('; ')],
+            [messages.marketInsights, summary.marketInsights],
+            [messages.recommendations, (summary.recommendations || []).join('; ')]
+        ];
+    }
+
+    function toCSV(data, messages) {
+        const csv = messages.csv;
+        const headers = [csv.name, csv.tagline, csv.votes, csv.comments, csv.successProbability, csv.targetUsers,
+            csv.userPersonas, csv.summary, csv.url, csv.topics, csv.createdAt, csv.source];
+
+        const productRows = data.products.map(product => {
+            const analysis = product.analysis || {};
+            return [
+                product.name,
+                product.tagline,
+                product.votesCount || 0,
+                product.commentsCount || 0,
+                analysis.successProbability ? likelihoodLabel(analysis.successProbability, messages) : messages.unknown,
+                analysis.targetUsers
+                    ? analysis.targetUsers.map(u => `${u.demographic}(${likelihoodLabel(u.likelihood, messages)})`).join('; ')
+                    : messages.notAnalyzed,
+                analysis.userPersonas ? analysis.userPersonas.join('; ') : messages.none,
+                analysis.summary || messages.notAnalyzed,
+                product.url,
+                product.topics ? product.topics.map(topic => topic.name).join(', ') : messages.none,
+                product.createdAt ? new Date(product.createdAt).toLocaleDateString(messages.dateLocale) : messages.unknown,
+                product.source || messages.unknown
+            ];
+        });
+
+        // A warning row comes first when the data is not live
+        const noticeRows = data.provenance?.notice ? [[`⚠️ NOT LIVE DATA: ${data.provenance.notice}`]] : [];
+        return [...noticeRows, headers, ...productRows, ...marketSummaryRows(data.marketSummary, messages)]
+            .map(row => row.map(csvCell).join(','))
+            .join('\n');
+    }
+
+    function exportCSV(data, messages) {
+        // Add BOM for proper Chinese character display in Excel
+        download('\uFEFF' + toCSV(data, messages), 'text/csv;charset=utf-8;', `${messages.csvFilename}_${today()}.csv`);
+    }
+
+    return { likelihoodLevel, likelihoodLabel, csvCell, toCSV, exportJSON, exportCSV };
+})();
@@ -0,0 +1,72 @@
+// Prompt A/B evaluation from the command line - same request and report as POST /api/evaluations
+//
+//   npm run evaluate -- --a gpt-4o-mini --b gpt-4o-mini@3 [--run <runId>] [--limit 5] [--language en]
+//
+// A variant is "<model>", "<model>@<promptVersion>" or "@<promptVersion>" (configured model).
+// Without --run the variants analyze mock products. The finished report is stored like one started
+// over the API, so GET /api/evaluations/:id/report shows it too.
+require('dotenv').config();
+const { parseArgs } = require('util');
+const evaluationService = require('../services/evaluationService');
+
+// "<model>@<promptVersion>" -> { label, model, promptVersion }, leaving validation to evaluationService
+function parseVariant(label, spec = '') {
+  const variant = { label };
+  const at = spec.lastIndexOf('@');
+  const model = at === -1 ? spec : spec.slice(0, at);
+  if (model) variant.model = model;
+  if (at !== -1) variant.promptVersion = spec.slice(at + 1);
+  return variant;
+}
+
+// Command line arguments -> evaluation request
+function parseCliArgs(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      a: { type: 'string' },
+      b: { type: 'string' },
+      run: { type: 'string' },
+      limit: { type: 'string' },
+      language: { type: 'string' }
+    }
+  });
+
+  return {
+    ...(values.run ? { runId: values.run } : { source: 'mock' }),
+    limit: values.limit,
+    language: values.language,
+    variants: [parseVariant('A', values.a), parseVariant('B', values.b)]
+  };
+}
+
+function printReport(report) {
+  console.log(`\nEvaluation ${report.id}: ${report.status}${report.error ? ` (${report.error})` : ''}`);
+  for (const variant of report.summary?.variants || []) {
+    console.log(`  ${variant.label} ${variant.model || 'default model'}, prompt ${variant.promptVersion ? `v${variant.promptVersion}` : 'active'}: ` +
+      `schema pass ${variant.schemaPassRate}, valid ${variant.validRate}, ${variant.totalTokens} tokens, ` +
+      `$${variant.totalCost}, median ${variant.medianLatencyMs}ms`);
+  }
+  if (report.summary) {
+    const { agreed, compared, rate } = report.summary.successProbabilityAgreement;
+    console.log(`  successProbability agreement: ${agreed}/${compared}${rate === null ? '' : ` (${rate})`}`);
+  }
+}
+
+async function main() {
+  const started = await evaluationService.start(parseCliArgs(process.argv.slice(2)));
+  console.log(`Evaluating ${started.progress.total} products...`);
+  const report = await evaluationService.waitForReport(started.id);
+  printReport(report);
+  process.exitCode = report.status === 'completed' ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    (error.details?.errors || []).forEach(message => console.error(`  - ${message}`));
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseCliArgs, parseVariant };
@@ -1,51 +1,98 @@
 // Product Hunt Analyzer - Main server file
 require('dotenv').config();
+// Mask secrets in everything written to the console, before any service starts logging
+require('./utils/redact').redactor.installConsole();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
 
 // Import services
 const authService = require('./services/authService');
 const productHuntService = require('./services/productHuntService');
 const chatGPTService = require('./services/chatGPTService');
+const dataService = require('./services/dataService');
+const jobService = require('./services/jobService');
+const analysisPipeline = require('./services/analysisPipeline');
+const schedulerService = require('./services/schedulerService');
+const analysisCacheService = require('./services/analysisCacheService');
+const promptService = require('./services/promptService');
+const evaluationService = require('./services/evaluationService');
+const usageService = require('./services/usageService');
+const analysisExecutor = require('./services/analysisExecutor');
+const userService = require('./services/userService');
+const sessionService = require('./services/sessionService');
+const oidcService = require('./services/oidcService');
+const apiKeyService = require('./services/apiKeyService');
 
 // Import utilities and middleware
 const logger = require('./utils/logger');
 const ErrorHandler = require('./middleware/errorHandler');
 const InternalAuth = require('./middleware/internalAuth');
+const SessionAuth = require('./middleware/sessionAuth');
+const ApiKeyAuth = require('./middleware/apiKeyAuth');
+const { parseAnalysisParams, parseDateRange, validateField } = require('./utils/analysisParams');
+const { summarizeProvenance } = require('./utils/provenance');
+const { createAbortError } = require('./utils/abort');
+const { redact, redactString, redactor } = require('./utils/redact');
+const { withNonce } = require('./utils/html');
+const { renderResultsPage } = require('./views/resultsPage');
+const { getMessages, isSupportedLanguage } = require('./utils/locale');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Send one of the pages in public/ with this request's CSP nonce on its inline scripts and styles
+async function sendPage(res, file) {
+  const page = await fs.readFile(path.join(__dirname, 'public', file), 'utf8');
+  res.type('html').send(withNonce(page, res.locals.cspNonce));
+}
+
 // Trust proxy for Heroku deployment
 app.set('trust proxy', 1);
 
 // Initialize global error handlers
 ErrorHandler.init();
 
-// Security middleware with relaxed CSP for internal tool
+// A fresh nonce per request for the inline <script>/<style> tags of our own pages
+app.use((req, res, next) => {
+  res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+  next();
+});
+
+// Security middleware. Scripts and styles must come from this origin or carry the request's nonce;
+// inline event handlers, style attributes and eval are blocked.
+const cspNonce = (req, res) => `'nonce-${res.locals.cspNonce}'`;
 app.use(helmet({
   contentSecurityPolicy: {
     directives: {
       defaultSrc: ["'self'"],
-      scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'"],
-      scriptSrcAttr: ["'unsafe-inline'"], // Allow inline event handlers
-      styleSrc: ["'self'", "'unsafe-inline'"],
+      scriptSrc: ["'self'", cspNonce],
+      scriptSrcAttr: ["'none'"],
+      styleSrc: ["'self'", cspNonce],
+      styleSrcAttr: ["'none'"],
       imgSrc: ["'self'", "data:", "https:"],
-      connectSrc: ["'self'", "https:"],
+      connectSrc: ["'self'"],
       fontSrc: ["'self'"],
       objectSrc: ["'none'"],
       mediaSrc: ["'self'"],
       frameSrc: ["'none'"],
+      baseUri: ["'self'"],
+      formAction: ["'self'"],
+      frameAncestors: ["'none'"],
     },
   },
 }));
 app.use(cors());
 
-// Rate limiting with enhanced error handling
+// API keys are checked before rate limiting so keyed requests can use their own buckets
+app.use(ApiKeyAuth.authenticate);
+
+// Per-IP rate limiting with enhanced error handling (requests with a valid API key are limited per key below)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
@@ -55,6 +102,7 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: req => !!req.apiKey,
   handler: (req, res) => {
     logger.warn('Rate limit exceeded', {
       ip: req.ip,
@@ -68,256 +116,174 @@ const limiter = rateLimit({
   }
 });
 app.use(limiter);
+app.use(ApiKeyAuth.createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 300 // requests per key per window
+}));
+app.use(ApiKeyAuth.rejectInvalid);
 
 // Enhanced logging
-app.use(morgan('combined'));
+app.use(morgan('combined', { stream: { write: line => process.stdout.write(redactString(line)) } }));
 app.use(logger.logRequest.bind(logger));
 
-// Internal authentication middleware
+// Internal access logging and domain restriction
 app.use(InternalAuth.checkInternalAccess);
-app.use(InternalAuth.addInternalWarning);
 app.use(InternalAuth.checkEnvironment);
 
 // Body parsing middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Team login: everything after the login routes below needs a session
+app.use(SessionAuth.loadSession);
+
+// Password guessing gets far fewer attempts than the general API limit
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn('Login rate limit exceeded', { ip: req.ip });
+    res.status(429).json({ error: 'Too many login attempts, please try again later.' });
+  }
+});
+
+app.get(['/login', '/login.html'], ErrorHandler.asyncHandler(async (req, res) => {
+  if (req.user) {
+    return res.redirect(SessionAuth.safeReturnTo(req.query.returnTo));
+  }
+  await sendPage(res, 'login.html');
+}));
+
+// Which sign-in methods the login page should offer
+app.get('/auth/providers', (req, res) => {
+  res.json({ password: true, oidc: oidcService.isConfigured() });
+});
+
+app.post('/auth/login', loginLimiter, ErrorHandler.asyncHandler(async (req, res) => {
+  const { username, password, returnTo } = req.body || {};
+  const user = await userService.authenticate(username, password);
+  if (!user) {
+    logger.warn('Failed login', { username: String(username || '').slice(0, 64), ip: req.ip });
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  await sessionService.create(res, user, { secure: req.secure, method: 'password' });
+  logger.info('User logged in', { username: user.username, method: 'password' });
+  res.json({ user: userService.toPublic(user), returnTo: SessionAuth.safeReturnTo(returnTo) });
+}));
+
+app.post('/auth/logout', ErrorHandler.asyncHandler(async (req, res) => {
+  await sessionService.destroy(req, res, { secure: req.secure });
+  res.json({ success: true });
+}));
+
+// OIDC login: the state, nonce and PKCE verifier wait for the callback in a short-lived signed cookie
+const OIDC_COOKIE = 'ph_oidc';
+
+app.get('/auth/oidc/login', ErrorHandler.asyncHandler(async (req, res) => {
+  if (!oidcService.isConfigured()) {
+    return res.status(404).json({ error: 'OIDC login is not configured' });
+  }
+
+  const { login, url } = await oidcService.createLogin(SessionAuth.safeReturnTo(req.query.returnTo));
+  const value = Buffer.from(JSON.stringify(login)).toString('base64url');
+  sessionService.setCookie(res, OIDC_COOKIE, sessionService.sign(value), { maxAgeMs: 10 * 60 * 1000, secure: req.secure });
+  res.redirect(url);
+}));
+
+app.get('/auth/oidc/callback', ErrorHandler.asyncHandler(async (req, res) => {
+  const signed = sessionService.parseCookies(req.get('Cookie'))[OIDC_COOKIE];
+  const value = sessionService.unsign(signed);
+  sessionService.clearCookie(res, OIDC_COOKIE, { secure: req.secure });
+
+  const login = value ? JSON.parse(Buffer.from(value, 'base64url').toString('utf8')) : null;
+  if (!login || req.query.state !== login.state) {
+    logger.warn('OIDC callback with missing or mismatched state', { ip: req.ip });
+    return res.redirect('/login?error=oidc_state');
+  }
+  if (req.query.error || !req.query.code) {
+    logger.warn('OIDC login was not completed', { error: req.query.error });
+    return res.redirect('/login?error=oidc_denied');
+  }
+
+  try {
+    const claims = await oidcService.completeLogin(req.query.code, login);
+    const user = await userService.findOrCreateOidcUser(claims, oidcService.defaultRole);
+    await sessionService.create(res, user, { secure: req.secure, method: 'oidc' });
+    logger.info('User logged in', { username: user.username, method: 'oidc' });
+    res.redirect(login.returnTo);
+  } catch (error) {
+    logger.error('OIDC login failed', { error: error.message });
+    res.redirect('/login?error=oidc_failed');
+  }
+}));
+
+// Health check endpoint for Heroku (no login, so the platform can probe it)
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'healthy' });
+});
+
+app.use(SessionAuth.requireLogin);
+
+// Pages are sent through sendPage (for their CSP nonce), so static serving skips directory indexes
+app.get(['/', '/index.html'], ErrorHandler.asyncHandler(async (req, res) => {
+  await sendPage(res, 'index.html');
+}));
+
+// Static results page (for direct access to start new analysis)
+app.get('/results.html', ErrorHandler.asyncHandler(async (req, res) => {
+  await sendPage(res, 'results.html');
+}));
+
 // Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
-
-// In-memory storage for analysis results (in production, use a database)
-let latestAnalysisResults = null;
-
-// Function to generate dynamic results page
-function generateResultsPage(data) {
-  const totalVotes = data.products.reduce((sum, product) => sum + (product.votesCount || 0), 0);
-
-  const productsHtml = data.products.map(product => {
-    const hasAnalysis = product.analysis && !product.analysis.error;
-    const thumbnailUrl = product.thumbnail || 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="60" height="60" viewBox="0 0 60 60"><rect width="60" height="60" fill="%23f0f0f0"/><text x="30" y="35" text-anchor="middle" fill="%23999" font-size="12">No Image</text></svg>';
-
-    return `
-      <div class="product-card">
-        <div class="product-header">
-          <img src="${thumbnailUrl}" alt="${product.name}" class="product-thumbnail" onerror="this.src='data:image/svg+xml,<svg xmlns=\\"http://www.w3.org/2000/svg\\" width=\\"60\\" height=\\"60\\" viewBox=\\"0 0 60 60\\"><rect width=\\"60\\" height=\\"60\\" fill=\\"%23f0f0f0\\"/><text x=\\"30\\" y=\\"35\\" text-anchor=\\"middle\\" fill=\\"%23999\\" font-size=\\"12\\">No Image</text></svg>'">
-          <div class="product-info">
-            <h3>${product.name}</h3>
-            <p>${product.tagline || 'No tagline available'}</p>
-          </div>
-        </div>
-
-        <div class="product-stats">
-          <div class="stat">
-            <strong>${product.votesCount || 0}</strong> votes
-          </div>
-          <div class="stat">
-            <strong>${product.commentsCount || 0}</strong> comments
-          </div>
-          ${product.website ? `<div class="stat"><a href="${product.website}" target="_blank">🌐 Website</a></div>` : ''}
-        </div>
-
-        ${hasAnalysis ? `
-          <div class="analysis-section">
-            <h4>🎯 Target Users</h4>
-            <div class="target-users">
-              ${product.analysis.targetUsers ? product.analysis.targetUsers.map(user =>
-                `<span class="user-tag">${user.demographic}</span>`
-              ).join('') : '<span class="user-tag">No target users identified</span>'}
-            </div>
-
-            ${product.analysis.successProbability ? `
-              <div class="success-probability success-${product.analysis.successProbability}">
-                Success Probability: ${product.analysis.successProbability.toUpperCase()}
-              </div>
-            ` : ''}
-
-            ${product.analysis.summary ? `
-              <div class="analysis-summary">
-                ${product.analysis.summary}
-              </div>
-            ` : ''}
-          </div>
-        ` : `
-          <div class="error-card">
-            <strong>Analysis Failed:</strong> ${product.analysis?.error || 'Unknown error occurred'}
-          </div>
-        `}
-      </div>
-    `;
-  }).join('');
-
-  return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Analysis Results - Product Hunt Analyzer</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; }
-        .container { max-width: 1400px; margin: 0 auto; padding: 20px; }
-        .header { text-align: center; color: white; margin-bottom: 30px; }
-        .header h1 { font-size: 2.5rem; margin-bottom: 10px; text-shadow: 2px 2px 4px rgba(0,0,0,0.3); }
-        .summary-card { background: white; border-radius: 12px; padding: 30px; margin-bottom: 30px; box-shadow: 0 10px 30px rgba(0,0,0,0.1); }
-        .summary-stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin-bottom: 20px; }
-        .stat-item { text-align: center; padding: 20px; background: #f8f9fa; border-radius: 8px; }
-        .stat-item h3 { color: #667eea; font-size: 2rem; margin-bottom: 5px; }
-        .stat-item p { color: #666; font-size: 0.9rem; }
-        .products-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(400px, 1fr)); gap: 20px; margin-top: 20px; }
-        .product-card { background: white; border-radius: 12px; padding: 25px; box-shadow: 0 5px 15px rgba(0,0,0,0.1); transition: transform 0.3s ease; }
-        .product-card:hover { transform: translateY(-5px); }
-        .product-header { display: flex; align-items: center; margin-bottom: 15px; }
-        .product-thumbnail { width: 60px; height: 60px; border-radius: 8px; margin-right: 15px; object-fit: cover; background: #f0f0f0; }
-        .product-info h3 { color: #333; margin-bottom: 5px; font-size: 1.2rem; }
-        .product-info p { color: #666; font-size: 0.9rem; }
-        .product-stats { display: flex; gap: 15px; margin: 15px 0; }
-        .stat { background: #f8f9fa; padding: 8px 12px; border-radius: 6px; font-size: 0.9rem; }
-        .stat strong { color: #667eea; }
-        .analysis-section { margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; }
-        .analysis-section h4 { color: #333; margin-bottom: 10px; font-size: 1rem; }
-        .target-users { margin-bottom: 15px; }
-        .user-tag { display: inline-block; background: #e3f2fd; color: #1976d2; padding: 4px 8px; border-radius: 4px; font-size: 0.8rem; margin: 2px; }
-        .success-probability { padding: 8px 12px; border-radius: 6px; font-weight: bold; text-align: center; margin: 10px 0; }
-        .success-high { background: #d4edda; color: #155724; }
-        .success-medium { background: #fff3cd; color: #856404; }
-        .success-low { background: #f8d7da; color: #721c24; }
-        .analysis-summary { background: #f8f9fa; padding: 15px; border-radius: 8px; margin-top: 15px; font-style: italic; color: #555; }
-        .error-card { background: #f8d7da; border: 1px solid #f5c6cb; color: #721c24; padding: 15px; border-radius: 8px; margin-top: 15px; }
-        .btn { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; border: none; padding: 12px 24px; border-radius: 8px; font-size: 1rem; cursor: pointer; transition: all 0.3s ease; text-decoration: none; display: inline-block; margin: 10px; }
-        .btn:hover { transform: translateY(-2px); box-shadow: 0 5px 15px rgba(0,0,0,0.2); }
-        .btn-secondary { background: #6c757d; }
-        .btn-success { background: #28a745; }
-        .actions { text-align: center; margin: 30px 0; }
-        @media (max-width: 768px) { .container { padding: 10px; } .products-grid { grid-template-columns: 1fr; } .summary-stats { grid-template-columns: repeat(2, 1fr); } }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🚀 Product Hunt Analysis Results</h1>
-            <p>AI-powered insights into trending products and their target users</p>
-            <p><small>Analysis completed: ${new Date(data.timestamp).toLocaleString()}</small></p>
-        </div>
-
-        <div class="summary-card">
-            <h2>📊 Analysis Summary</h2>
-            <div class="summary-stats">
-                <div class="stat-item">
-                    <h3>${data.totalProducts}</h3>
-                    <p>Total Products</p>
-                </div>
-                <div class="stat-item">
-                    <h3>${data.successCount}</h3>
-                    <p>Successful Analyses</p>
-                </div>
-                <div class="stat-item">
-                    <h3>${data.errorCount}</h3>
-                    <p>Failed Analyses</p>
-                </div>
-                <div class="stat-item">
-                    <h3>${totalVotes.toLocaleString()}</h3>
-                    <p>Total Votes</p>
-                </div>
-            </div>
-
-            <div class="actions">
-                <button class="btn btn-success" onclick="exportResultsCSV()">📊 导出CSV</button>
-                <button class="btn btn-success" onclick="exportResults()">📥 Export JSON</button>
-                <a href="/" class="btn btn-secondary">🏠 Back to Home</a>
-                <a href="/results.html" class="btn">🔄 Run New Analysis</a>
-            </div>
-        </div>
-
-        <div>
-            <h2 style="color: white; margin-bottom: 20px;">🎯 Product Analysis Details</h2>
-            <div class="products-grid">
-                ${productsHtml}
-            </div>
-        </div>
-    </div>
-
-    <script>
-        const analysisData = ${JSON.stringify(data)};
-
-        function exportResults() {
-            const dataStr = JSON.stringify(analysisData, null, 2);
-            const dataBlob = new Blob([dataStr], {type: 'application/json'});
-            const url = URL.createObjectURL(dataBlob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = \`product_analysis_\${new Date().toISOString().split('T')[0]}.json\`;
-            link.click();
-            URL.revokeObjectURL(url);
-        }
-
-        function exportResultsCSV() {
-            const headers = ['产品名称', '标语', '投票数', '评论数', '成功概率', '目标用户群体', '用户画像', '分析摘要', '产品链接', '主题标签', '创建时间'];
-            const csvData = analysisData.products.map(product => {
-                const analysis = product.analysis || {};
-                return [
-                    \`"\${product.name || ''}"\`,
-                    \`"\${product.tagline || ''}"\`,
-                    product.votesCount || 0,
-                    product.commentsCount || 0,
-                    \`"\${analysis.successProbability || '未知'}"\`,
-                    \`"\${analysis.targetUsers ? analysis.targetUsers.map(u => \`\${u.demographic}(\${u.likelihood})\`).join('; ') : '未分析'}"\`,
-                    \`"\${analysis.userPersonas ? analysis.userPersonas.join('; ') : '无'}"\`,
-                    \`"\${analysis.summary || '无分析'}"\`,
-                    \`"\${product.url || ''}"\`,
-                    \`"\${product.topics ? product.topics.map(t => t.name).join(', ') : '无'}"\`,
-                    \`"\${product.createdAt ? new Date(product.createdAt).toLocaleDateString('zh-CN') : '未知'}"\`
-                ].join(',');
-            });
-            const csvContent = [headers.join(','), ...csvData].join('\\n');
-            const BOM = '\\uFEFF';
-            const csvBlob = new Blob([BOM + csvContent], { type: 'text/csv;charset=utf-8;' });
-            const url = URL.createObjectURL(csvBlob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = \`产品分析报告_\${new Date().toISOString().split('T')[0]}.csv\`;
-            link.click();
-            URL.revokeObjectURL(url);
-        }
-    </script>
-</body>
-</html>
-  `;
-}
+app.use(express.static(path.join(__dirname, 'public'), { index: false }));
 
 // Routes
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
 
 // Dynamic results page that shows the latest analysis results
-app.get('/results', (req, res) => {
-  if (!latestAnalysisResults) {
+app.get('/results', ErrorHandler.asyncHandler(async (req, res) => {
+  const latest = await dataService.getLatestData();
+  if (!latest) {
     return res.redirect('/?error=no-results');
   }
 
   // Serve a dynamic results page with the stored results
-  const resultsHtml = generateResultsPage(latestAnalysisResults);
-  res.send(resultsHtml);
-});
+  res.send(renderResultsPage(dataService.toRunResult(latest), res.locals.cspNonce));
+}));
+
+// Dynamic results page for any stored run
+app.get('/results/:id', ErrorHandler.asyncHandler(async (req, res) => {
+  const run = await dataService.getRun(req.params.id);
+  if (!run) {
+    return res.redirect('/?error=no-results');
+  }
+
+  res.send(renderResultsPage(dataService.toRunResult(run), res.locals.cspNonce));
+}));
 
 // API endpoint to get latest results as JSON
-app.get('/api/latest-results', (req, res) => {
-  if (!latestAnalysisResults) {
+app.get('/api/latest-results', ErrorHandler.asyncHandler(async (req, res) => {
+  const latest = await dataService.getLatestData();
+  if (!latest) {
     return res.status(404).json({ error: 'No analysis results available' });
   }
-  res.json(latestAnalysisResults);
-});
+  res.json(dataService.toRunResult(latest));
+}));
 
-// Static results page (for direct access to start new analysis)
-app.get('/results.html', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'results.html'));
-});
+// Run history routes backed by the data service
+app.get('/api/runs', dataService.getStoredData);
+app.get('/api/runs/:id', dataService.getDataByFilename);
+app.delete('/api/runs/:id', SessionAuth.requireRole('analyst'), dataService.deleteRunHandler);
 
 // OAuth setup routes (for initial configuration only)
-app.get('/auth/setup', InternalAuth.restrictOAuthAccess, authService.initiateAuth);
-app.get('/callback', InternalAuth.restrictOAuthAccess, authService.handleCallback);
+app.get('/auth/setup', SessionAuth.requireRole('analyst'), InternalAuth.restrictOAuthAccess, authService.initiateAuth);
+app.get('/callback', SessionAuth.requireRole('analyst'), InternalAuth.restrictOAuthAccess, authService.handleCallback);
 app.get('/api/auth/status', authService.checkAuthStatus);
+app.delete('/api/auth/token', SessionAuth.requireRole('admin'), ErrorHandler.asyncHandler(authService.revokeTokenHandler));
+app.post('/api/auth/token/rotate', SessionAuth.requireRole('admin'), ErrorHandler.asyncHandler(authService.rotateTokenHandler));
 
 // API routes
 app.get('/api/status', ErrorHandler.asyncHandler(async (req, res) => {
@@ -332,174 +298,442 @@ app.get('/api/status', ErrorHandler.asyncHandler(async (req, res) => {
       hasToken: authStatus.hasToken,
       isExpired: authStatus.isExpired
     },
+    productHunt: {
+      rateLimit: productHuntService.rateLimit.getStatus()
+    },
+    llm: chatGPTService.getProviderStatus(),
+    analysisCache: analysisCacheService.getStatus(),
+    budget: await usageService.getBudgetStatus(),
+    executor: analysisExecutor.getStatus(),
     uptime: process.uptime(),
     memory: process.memoryUsage()
   });
 }));
 
-// Health check endpoint for Heroku
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'healthy' });
-});
+// LLM token and cost accounting: monthly budget, daily totals, per-run totals and the price table
+app.get('/api/usage', ErrorHandler.asyncHandler(async (req, res) => {
+  const [value, error] = validateField('days', { type: 'integer', min: 1, max: 366 }, req.query.days ?? 30);
+  if (error) {
+    throw ErrorHandler.createValidationError('Invalid usage query', { errors: [error] });
+  }
+
+  const [budget, days, runs] = await Promise.all([
+    usageService.getBudgetStatus(),
+    usageService.listDays(value),
+    dataService.listRuns()
+  ]);
+  const today = usageService.getDay();
 
-// Debug endpoint to check environment variables
-app.get('/debug/env', (req, res) => {
   res.json({
-    hasPHToken: !!process.env.PH_DEVELOPER_TOKEN,
-    tokenLength: process.env.PH_DEVELOPER_TOKEN ? process.env.PH_DEVELOPER_TOKEN.length : 0,
-    tokenPreview: process.env.PH_DEVELOPER_TOKEN ? process.env.PH_DEVELOPER_TOKEN.substring(0, 10) + '...' : 'not set',
-    hasOpenAI: !!process.env.OPENAI_API_KEY,
-    nodeEnv: process.env.NODE_ENV
+    budget,
+    today: days.find(day => day.date === today) || usageService.emptyDay(today),
+    days,
+    runs: runs
+      .filter(run => run.summary?.usage)
+      .slice(0, 20)
+      .map(run => ({ runId: run.runId, timestamp: run.timestamp, totalProducts: run.totalProducts, usage: run.summary.usage })),
+    sinceStartup: chatGPTService.provider.getUsage(),
+    prices: usageService.prices
   });
+}));
+
+// Prompt template management: list templates, inspect versions, create and activate versions
+app.get('/api/prompts', ErrorHandler.asyncHandler(async (req, res) => {
+  res.json({ templates: await promptService.listTemplates() });
+}));
+
+app.get('/api/prompts/:name', ErrorHandler.asyncHandler(async (req, res) => {
+  const [versions, active] = await Promise.all([
+    promptService.listVersions(req.params.name),
+    promptService.getActiveTemplate(req.params.name)
+  ]);
+  res.json({ name: req.params.name, activeVersion: active.version, versions });
+}));
+
+app.get('/api/prompts/:name/versions/:version', ErrorHandler.asyncHandler(async (req, res) => {
+  const template = await promptService.getVersion(req.params.name, req.params.version);
+  if (!template) {
+    return res.status(404).json({ error: 'Prompt version not found' });
+  }
+  res.json(template);
+}));
+
+app.post('/api/prompts/:name/versions', SessionAuth.requireRole('analyst'), ErrorHandler.asyncHandler(async (req, res) => {
+  const template = await promptService.createVersion(req.params.name, req.body || {});
+  logger.info('Prompt template version created', { promptVersion: template.id, activate: !!req.body?.activate });
+  res.status(201).json(template);
+}));
+
+app.post('/api/prompts/:name/versions/:version/activate', SessionAuth.requireRole('analyst'), ErrorHandler.asyncHandler(async (req, res) => {
+  const template = await promptService.activateVersion(req.params.name, req.params.version);
+  logger.info('Prompt template version activated', { promptVersion: template.id });
+  res.json({ name: template.name, activeVersion: template.version, promptVersion: template.id });
+}));
+
+// Prompt A/B evaluations: replay stored (runId) or mock products through two prompt/model variants
+app.post('/api/evaluations', SessionAuth.requireRole('analyst'), ErrorHandler.asyncHandler(async (req, res) => {
+  const report = await evaluationService.start(req.body || {});
+  logger.info('Prompt evaluation started', { id: report.id, products: report.progress.total, variants: report.variants });
+  res.status(202).json({
+    id: report.id,
+    status: report.status,
+    statusUrl: `/api/evaluations/${report.id}`,
+    reportUrl: `/api/evaluations/${report.id}/report`
+  });
+}));
+
+app.get('/api/evaluations', ErrorHandler.asyncHandler(async (req, res) => {
+  res.json({ evaluations: await evaluationService.listReports() });
+}));
+
+app.get('/api/evaluations/:id', ErrorHandler.asyncHandler(async (req, res) => {
+  const report = await evaluationService.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: 'Evaluation not found' });
+  }
+  res.json(report);
+}));
+
+app.get('/api/evaluations/:id/report', ErrorHandler.asyncHandler(async (req, res) => {
+  const report = await evaluationService.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: 'Evaluation not found' });
+  }
+  res.type('html').send(evaluationService.renderHtml(report, res.locals.cspNonce));
+}));
+
+// Render/export labels for an analysis language (used by the client-side results page)
+app.get('/api/locales/:language', (req, res) => {
+  if (!isSupportedLanguage(req.params.language)) {
+    return res.status(404).json({ error: 'Unsupported language' });
+  }
+  res.json(getMessages(req.params.language));
 });
 
-// Server-Sent Events endpoint for real-time analysis
-app.get('/api/analyze-stream', ErrorHandler.asyncHandler(async (req, res) => {
-  // Set up SSE headers
+// Diagnostics (admins only). Reports whether each secret is configured, never any part of its value,
+// and the whole response goes through the redactor as a last line of defence.
+app.get('/api/admin/diagnostics', SessionAuth.requireRole('admin'), ErrorHandler.asyncHandler(async (req, res) => {
+  const tokenInfo = await authService.getTokenInfo();
+  const llm = chatGPTService.getProviderStatus();
+
+  res.json(redact({
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development',
+    node: process.version,
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    storage: dataService.storage.name,
+    productHunt: {
+      authMethod: authService.developerToken ? 'developer_token' : 'oauth',
+      hasToken: tokenInfo.hasToken,
+      isExpired: tokenInfo.isExpired,
+      tokenEncrypted: tokenInfo.encrypted,
+      oauthClientConfigured: !!(process.env.PH_CLIENT_ID && process.env.PH_CLIENT_SECRET),
+      pkce: authService.usePkce,
+      rateLimit: productHuntService.rateLimit.getStatus(),
+      mockDataAllowed: productHuntService.allowMockData
+    },
+    llm: { provider: llm.provider, configured: llm.configured, model: llm.model, analysisModel: llm.analysisModel },
+    executor: analysisExecutor.getStatus(),
+    budget: await usageService.getBudgetStatus(),
+    scheduler: await schedulerService.getStatus(),
+    security: {
+      sessionSecretConfigured: sessionService.hasFixedSecret,
+      tokenEncryptionKeyConfigured: authService.encryptionKeys.length > 0,
+      tokenEncryptionKeyRotating: authService.encryptionKeys.length > 1,
+      oidcConfigured: oidcService.isConfigured(),
+      redaction: { keyRules: redactor.keyRules.length, patternRules: redactor.patternRules.length }
+    }
+  }));
+}));
+
+// Scheduler status and manual trigger
+app.get('/api/schedule', ErrorHandler.asyncHandler(async (req, res) => {
+  res.json(await schedulerService.getStatus());
+}));
+
+app.post('/api/schedule/run-now', SessionAuth.requireRole('analyst'), (req, res) => {
+  if (schedulerService.isRunning()) {
+    return res.status(409).json({
+      error: 'An analysis run is already in progress',
+      running: schedulerService.currentRun
+    });
+  }
+
+  // Runs take minutes, so respond immediately and let clients poll /api/schedule
+  schedulerService.runNow('manual').catch(error => {
+    logger.error('Manual scheduled run failed', { error: error.message });
+  });
+
+  res.status(202).json({
+    started: true,
+    message: 'Analysis run started',
+    status: schedulerService.currentRun
+  });
+});
+
+// Stream a job's events over SSE, replaying anything after lastEventId first.
+// Event IDs are "<jobId>:<sequence>" so reconnecting clients can resume via Last-Event-ID.
+function streamJobEvents(req, res, job, lastEventId = 0) {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
   });
 
-  const sendEvent = (event, data) => {
-    res.write(`event: ${event}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  res.write(`event: job\n`);
+  res.write(`data: ${JSON.stringify({ jobId: job.id, status: job.status })}\n\n`);
+
+  let unsubscribe = () => {};
+  let finished = false;
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    unsubscribe();
+    res.end();
   };
 
-  try {
-    logger.info('Starting streaming analysis');
-    sendEvent('status', { message: 'Starting analysis...', step: 'init' });
-
-    // Check authentication (simplified for internal use)
-    const accessToken = await authService.getStoredToken();
-    if (!accessToken) {
-      sendEvent('error', { message: 'Authentication required. Please set up API credentials.' });
-      return res.end();
+  unsubscribe = jobService.subscribe(job.id, lastEventId, (entry) => {
+    if (finished) return;
+    res.write(`id: ${job.id}:${entry.id}\n`);
+    res.write(`event: ${entry.event}\n`);
+    res.write(`data: ${JSON.stringify(entry.data)}\n\n`);
+
+    if (jobService.isTerminalEvent(entry.event)) {
+      finish();
     }
+  });
 
-    sendEvent('status', { message: 'Fetching trending products...', step: 'fetch' });
+  // Replay may already have delivered the final event
+  if (finished) {
+    unsubscribe();
+  }
 
-    // Fetch products with timeout
-    const products = await Promise.race([
-      productHuntService.getTrendingProducts(accessToken, 10), // Limit to 10 products
-      new Promise((_, reject) => setTimeout(() => reject(new Error('Fetch timeout')), 15000))
-    ]);
+  // The job keeps running in the background when the client goes away, unless it was started
+  // with cancelOnDisconnect and nobody reconnects (see jobService.disconnectGraceMs)
+  req.on('close', finish);
 
-    if (!products || products.length === 0) {
-      sendEvent('error', { message: 'No trending products found' });
-      return res.end();
-    }
+  if (!jobService.isActive(job)) {
+    finish();
+  }
+}
 
-    sendEvent('status', {
-      message: `Found ${products.length} products. Starting analysis...`,
-      step: 'analyze',
-      total: products.length
-    });
+// Parse a "<jobId>:<sequence>" Last-Event-ID header
+function parseLastEventId(req) {
+  const header = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (!header || !header.includes(':')) {
+    return null;
+  }
 
-    const analyzedProducts = [];
-    let successCount = 0;
-    let errorCount = 0;
-
-    // Process products in smaller batches to avoid timeout
-    for (let i = 0; i < products.length; i++) {
-      const product = products[i];
-
-      try {
-        sendEvent('progress', {
-          current: i + 1,
-          total: products.length,
-          product: product.name,
-          message: `Analyzing ${product.name}...`
-        });
-
-        const analysis = await Promise.race([
-          chatGPTService.analyzeProduct(product),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Analysis timeout')), 8000))
-        ]);
-
-        const analyzedProduct = { ...product, analysis };
-        analyzedProducts.push(analyzedProduct);
-        successCount++;
-
-        // Send individual product result
-        sendEvent('product', analyzedProduct);
-
-      } catch (error) {
-        logger.error(`Error analyzing product ${product.name}`, { error: error.message });
-        const errorProduct = {
-          ...product,
-          analysis: { error: error.message }
-        };
-        analyzedProducts.push(errorProduct);
-        errorCount++;
-
-        sendEvent('product', errorProduct);
-      }
+  const [jobId, sequence] = header.split(':');
+  return { jobId, sequence: parseInt(sequence, 10) || 0 };
+}
 
-      // Small delay to prevent overwhelming
-      await new Promise(resolve => setTimeout(resolve, 200));
-    }
+// Background analysis jobs
+// cancelOnDisconnect: true cancels the job once no client has watched its events for STREAM_DISCONNECT_GRACE_MS.
+app.post('/api/jobs', SessionAuth.requireRole('analyst'), (req, res) => {
+  const { cancelOnDisconnect, ...body } = req.body || {};
+  const params = parseAnalysisParams(body);
+  const { job, joined } = jobService.createJob({ trigger: 'api', params, cancelOnDisconnect: cancelOnDisconnect === true });
+  res.status(joined ? 200 : 202).json({ joined, job: jobService.toJSON(job) });
+});
 
-    // Send final results
-    const finalData = {
-      totalProducts: analyzedProducts.length,
-      successCount,
-      errorCount,
-      timestamp: new Date().toISOString(),
-      products: analyzedProducts
-    };
+// Backfill: queue one job per launch day in the range (jobs run one after another)
+app.post('/api/backfill', SessionAuth.requireRole('analyst'), (req, res) => {
+  const { startDate, endDate, ...body } = req.body || {};
+  const days = parseDateRange({ startDate, endDate });
+  const params = parseAnalysisParams(body);
 
-    // Store results for the /results page
-    latestAnalysisResults = finalData;
+  const jobs = days.map(date => {
+    const { job, joined } = jobService.createJob({ trigger: 'backfill', params: { ...params, date } });
+    return { date, joined, jobId: job.id, status: job.status };
+  });
 
-    sendEvent('complete', finalData);
-    logger.info('Streaming analysis completed', { successCount, errorCount });
+  res.status(202).json({ days: days.length, jobs });
+});
 
-  } catch (error) {
-    logger.error('Streaming analysis error', { error: error.message });
-    sendEvent('error', { message: error.message });
-  } finally {
-    res.end();
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: jobService.listJobs() });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
   }
-}));
+  res.json(jobService.toJSON(job));
+});
+
+// Cancel a queued or running analysis job. In-flight LLM and Product Hunt requests are aborted; products
+// analyzed so far are saved as a cancelled run. 404 for unknown jobs, 409 for jobs that already finished.
+app.post('/api/jobs/:id/cancel', SessionAuth.requireRole('analyst'), (req, res) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!jobService.isActive(job)) {
+    return res.status(409).json({ error: `Job already ${job.status}`, job: jobService.toJSON(job) });
+  }
+
+  jobService.cancelJob(job.id);
+  res.status(202).json({ job: jobService.toJSON(job) });
+});
+
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobService.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const lastEvent = parseLastEventId(req);
+  const lastEventId = lastEvent && lastEvent.jobId === job.id ? lastEvent.sequence : 0;
+  streamJobEvents(req, res, job, lastEventId);
+});
+
+// Server-Sent Events endpoint for real-time analysis. Attach-only: runs are started with POST /api/jobs
+// (a GET that spends LLM budget could be triggered cross-site), then followed here with ?jobId= or Last-Event-ID.
+app.get('/api/analyze-stream', (req, res) => {
+  const lastEvent = parseLastEventId(req);
+  const resumeJob = lastEvent && jobService.getJob(lastEvent.jobId);
+
+  if (resumeJob) {
+    return streamJobEvents(req, res, resumeJob, lastEvent.sequence);
+  }
+
+  if (!req.query.jobId) {
+    return res.status(400).json({ error: 'Start an analysis with POST /api/jobs, then pass its jobId' });
+  }
+
+  const requestedJob = jobService.getJob(req.query.jobId);
+  if (!requestedJob) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  streamJobEvents(req, res, requestedJob);
+});
 
 // Quick analysis endpoint (for testing without streaming)
-app.post('/api/quick-analyze', ErrorHandler.asyncHandler(async (req, res) => {
+app.post('/api/quick-analyze', SessionAuth.requireRole('analyst'), ErrorHandler.asyncHandler(async (req, res) => {
+  // Same parameters as the stream, but only 3 products unless asked otherwise
+  const params = parseAnalysisParams(req.body || {}, { limit: { default: 3 } });
+  await usageService.assertWithinBudget();
+
   const accessToken = await authService.getStoredToken();
   if (!accessToken) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
+  // Stop fetching and analyzing (and paying for it) if the client hangs up first
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(createAbortError('Client disconnected'));
+    }
+  });
+
   try {
-    // Get just 3 products for quick testing
-    const products = await productHuntService.getTrendingProducts(accessToken, 3);
+    const { products, launchDay } = await analysisPipeline.fetchProducts(accessToken, params, controller.signal);
 
     if (!products || products.length === 0) {
       return res.status(404).json({ error: 'No products found' });
     }
 
-    const analyzedProducts = [];
-    for (const product of products) {
-      const analysis = await chatGPTService.analyzeProduct(product);
-      analyzedProducts.push({ ...product, analysis });
+    const analyses = await chatGPTService.analyzeProductsBatch(products, {
+      concurrency: params.concurrency,
+      model: params.model,
+      language: params.language,
+      force: params.force,
+      signal: controller.signal
+    });
+    if (controller.signal.aborted) {
+      return;
     }
+    const analyzedProducts = products.map((product, index) => ({ ...product, analysis: analyses[index] }));
 
     res.json({
       success: true,
       data: {
         totalProducts: analyzedProducts.length,
         timestamp: new Date().toISOString(),
+        params,
+        launchDay,
+        provenance: summarizeProvenance(products, launchDay),
+        usage: dataService.sumRunUsage(analyzedProducts),
         products: analyzedProducts
       }
     });
   } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
     res.status(500).json({ error: error.message });
   }
 }));
 
+// The signed-in user
+app.get('/api/me', (req, res) => {
+  res.json({
+    user: req.user,
+    session: req.session ? { method: req.session.method, expiresAt: req.session.expiresAt } : null,
+    apiKey: req.apiKey ? apiKeyService.toPublic(req.apiKey) : null
+  });
+});
+
+// API keys (admins only). The full key is only in the create response; revoked keys stay listed.
+app.get('/api/keys', SessionAuth.requireRole('admin'), ErrorHandler.asyncHandler(async (req, res) => {
+  res.json({ scopes: apiKeyService.scopes, keys: await apiKeyService.list() });
+}));
+
+app.post('/api/keys', SessionAuth.requireRole('admin'), ErrorHandler.asyncHandler(async (req, res) => {
+  const { key, apiKey } = await apiKeyService.create(req.body || {}, req.user.username);
+  res.status(201).json({ key, apiKey, message: 'Store this key now, it cannot be shown again' });
+}));
+
+app.delete('/api/keys/:id', SessionAuth.requireRole('admin'), ErrorHandler.asyncHandler(async (req, res) => {
+  const apiKey = await apiKeyService.revoke(req.params.id, req.user.username);
+  if (!apiKey) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  res.json(apiKey);
+}));
+
+// User management (admins only). Password changes and deletions end the user's sessions.
+app.get('/api/users', SessionAuth.requireRole('admin'), ErrorHandler.asyncHandler(async (req, res) => {
+  res.json({ roles: userService.roles, users: await userService.listUsers() });
+}));
+
+app.post('/api/users', SessionAuth.requireRole('admin'), ErrorHandler.asyncHandler(async (req, res) => {
+  const { username, password, role } = req.body || {};
+  res.status(201).json(await userService.createUser({ username, password, role }));
+}));
+
+app.patch('/api/users/:username', SessionAuth.requireRole('admin'), ErrorHandler.asyncHandler(async (req, res) => {
+  const { role, password } = req.body || {};
+  if (userService.normalizeUsername(req.params.username) === req.user.username && role && role !== 'admin') {
+    throw ErrorHandler.createValidationError('Invalid user', { errors: ['you cannot remove your own admin role'] });
+  }
+
+  const user = await userService.updateUser(req.params.username, { role, password });
+  if (password) {
+    await sessionService.destroyForUser(user.username);
+  }
+  res.json(user);
+}));
+
+app.delete('/api/users/:username', SessionAuth.requireRole('admin'), ErrorHandler.asyncHandler(async (req, res) => {
+  const username = userService.normalizeUsername(req.params.username);
+  if (username === req.user.username) {
+    throw ErrorHandler.createValidationError('Invalid user', { errors: ['you cannot delete your own account'] });
+  }
+  if (!(await userService.deleteUser(username))) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  await sessionService.destroyForUser(username);
+  res.json({ success: true });
+}));
+
 // Error handling middleware
 app.use(ErrorHandler.handle404);
 app.use(ErrorHandler.handleError);
@@ -507,11 +741,13 @@ app.use(ErrorHandler.handleError);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  schedulerService.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  schedulerService.stop();
   process.exit(0);
 });
 
@@ -541,6 +777,14 @@ app.listen(PORT, () => {
 
   console.log(`📡 API status: http://localhost:${PORT}/api/status`);
 
+  // First admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+  userService.ensureBootstrapAdmin().catch(error => {
+    logger.error('Failed to create the bootstrap admin', { error: error.message });
+  });
+
+  // Start automatic daily analysis runs
+  schedulerService.start();
+
   // Clean up old logs on startup
   logger.cleanupLogs().catch(err => {
     logger.error('Failed to cleanup old logs', { error: err.message });
@@ -0,0 +1,86 @@
+// Analysis Cache Service - reuse per-product analyses across runs instead of paying for them again
+const crypto = require('crypto');
+const dataService = require('./dataService');
+
+class AnalysisCacheService {
+  constructor() {
+    this.collection = 'analysis_cache';
+    this.enabled = process.env.ANALYSIS_CACHE_ENABLED !== 'false';
+    this.ttlMs = (parseFloat(process.env.ANALYSIS_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  // Short stable hash of everything besides the product that shapes an analysis (prompt template, model, language)
+  fingerprint(...parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+  }
+
+  // Record keys must be file-name safe, so odd characters in product IDs are replaced
+  getKey(productId, fingerprint) {
+    return `${String(productId).replace(/[^\w.-]/g, '_')}_${fingerprint}`;
+  }
+
+  // Cached analysis for a product, or null on a miss or when the entry has expired
+  async get(productId, fingerprint) {
+    if (!this.enabled || productId == null) {
+      return null;
+    }
+
+    await dataService.ensureStorage();
+    const key = this.getKey(productId, fingerprint);
+    const entry = await dataService.storage.getRecord(this.collection, key);
+
+    if (!entry || new Date(entry.expiresAt) <= new Date()) {
+      if (entry) {
+        await dataService.storage.deleteRecord(this.collection, key);
+      }
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    return { analysis: entry.analysis, cachedAt: entry.cachedAt, expiresAt: entry.expiresAt };
+  }
+
+  async set(productId, fingerprint, analysis) {
+    if (!this.enabled || productId == null) {
+      return;
+    }
+
+    await dataService.ensureStorage();
+    const now = Date.now();
+    await dataService.storage.setRecord(this.collection, this.getKey(productId, fingerprint), {
+      productId,
+      fingerprint,
+      cachedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+      analysis
+    });
+    this.stats.writes++;
+  }
+
+  // Delete expired entries
+  async prune() {
+    await dataService.ensureStorage();
+    const now = new Date();
+    const records = await dataService.storage.listRecords(this.collection);
+    const expired = records.filter(record => new Date(record.value.expiresAt) <= now);
+
+    for (const record of expired) {
+      await dataService.storage.deleteRecord(this.collection, record.key);
+    }
+
+    return { deletedCount: expired.length, remainingCount: records.length - expired.length };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      ttlHours: this.ttlMs / (60 * 60 * 1000),
+      storage: dataService.storage.name,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new AnalysisCacheService();
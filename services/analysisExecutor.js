@@ -0,0 +1,176 @@
+// Analysis Executor - bounded worker pool for product analyses, and the gate every LLM call passes through:
+// a tokens-per-minute limiter plus an adaptive slowdown after rate-limit responses. One instance is shared by
+// the streaming pipeline, background jobs and batch analysis so concurrent runs respect the same limits.
+const logger = require('../utils/logger');
+const { sleep } = require('../utils/abort');
+
+class AnalysisExecutor {
+  constructor(options = {}) {
+    this.tokensPerMinute = options.tokensPerMinute ?? (parseInt(process.env.LLM_TOKENS_PER_MINUTE, 10) || 0); // 0 = no limit
+    this.maxConcurrency = options.maxConcurrency ?? (parseInt(process.env.LLM_MAX_CONCURRENCY, 10) || 10);
+    this.backoffMs = options.backoffMs ?? 5000; // Pause after a 429 that has no Retry-After
+    this.successesToGrow = 5; // Successful calls before the concurrency ceiling is raised again
+
+    this.limit = this.maxConcurrency; // Current concurrency ceiling, halved on every rate limit
+    this.active = 0; // Analyses in flight across every map() call
+    this.queue = []; // Workers waiting for a slot
+    this.successStreak = 0;
+    this.pausedUntil = 0;
+    this.window = []; // { at, tokens } for LLM calls started in the last minute, oldest first
+    this.stats = { calls: 0, rateLimited: 0, throttledMs: 0 };
+  }
+
+  // Run worker(item, index) over items with at most `concurrency` in flight for this call. Every call
+  // also takes a slot from the executor-wide pool (this.limit, lowered while backing off), so overlapping
+  // runs share one ceiling. Resolves with results in input order; onStart/onSettled fire as items start
+  // and finish, so onSettled sees completion order. startIntervalMs spaces out starts.
+  async map(items, worker, { concurrency = 1, startIntervalMs = 0, onStart = () => {}, onSettled = () => {} } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+    let completed = 0;
+    let lastStartAt = 0;
+    let failed = false;
+
+    const waitForStartInterval = async () => {
+      for (;;) {
+        const wait = lastStartAt + startIntervalMs - Date.now();
+        if (wait <= 0) {
+          lastStartAt = Date.now();
+          return;
+        }
+        await sleep(wait);
+      }
+    };
+
+    const runWorker = async () => {
+      while (!failed && next < items.length) {
+        const index = next++;
+        await this.acquireSlot();
+        try {
+          await waitForStartInterval();
+          onStart(items[index], index);
+          results[index] = await worker(items[index], index);
+        } catch (error) {
+          failed = true;
+          throw error;
+        } finally {
+          this.releaseSlot();
+        }
+        completed++;
+        onSettled(results[index], index, completed);
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, runWorker);
+    await Promise.all(workers);
+    return results;
+  }
+
+  // Executor-wide semaphore: resolves once one of this.limit slots is free (FIFO)
+  acquireSlot() {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+
+  releaseSlot() {
+    this.active--;
+    this.drainQueue();
+  }
+
+  // Hand free slots to waiting workers (also called when the ceiling is raised again)
+  drainQueue() {
+    while (this.queue.length > 0 && this.active < this.limit) {
+      this.active++;
+      this.queue.shift()();
+    }
+  }
+
+  // Rough token count for a completion request: prompt characters / 4 plus the output allowance
+  estimateTokens(request) {
+    return Math.ceil(((request.system || '').length + (request.prompt || '').length) / 4) + (request.maxTokens || 0);
+  }
+
+  // Gate one LLM call. Waits out any rate-limit pause and the tokens-per-minute budget, then runs fn.
+  // A 429/529 error lowers the concurrency ceiling and pauses new calls for retryDelay(error) ms before
+  // being rethrown to the caller's own retry logic. An aborted signal ends the wait without calling fn.
+  async call(fn, { estimatedTokens = 0, retryDelay = () => this.backoffMs, signal } = {}) {
+    await this.waitForCapacity(estimatedTokens, signal);
+
+    const reservation = { at: Date.now(), tokens: estimatedTokens };
+    this.window.push(reservation);
+    this.stats.calls++;
+
+    try {
+      const result = await fn();
+      reservation.tokens = result?.usage?.totalTokens ?? estimatedTokens;
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      reservation.tokens = 0;
+      if (error.status === 429 || error.status === 529) {
+        this.recordRateLimit(retryDelay(error));
+      }
+      throw error;
+    }
+  }
+
+  async waitForCapacity(tokens, signal) {
+    for (;;) {
+      signal?.throwIfAborted();
+      const now = Date.now();
+      this.window = this.window.filter(entry => entry.at > now - 60000);
+
+      let waitMs = this.pausedUntil - now;
+      if (waitMs <= 0 && this.tokensPerMinute > 0) {
+        const used = this.window.reduce((sum, entry) => sum + entry.tokens, 0);
+        // A call bigger than the whole budget still goes through once the window is empty
+        if (used > 0 && used + tokens > this.tokensPerMinute) {
+          waitMs = this.window[0].at + 60000 - now;
+        }
+      }
+
+      if (waitMs <= 0) {
+        return;
+      }
+      this.stats.throttledMs += waitMs;
+      await sleep(waitMs, signal);
+    }
+  }
+
+  recordSuccess() {
+    this.successStreak++;
+    if (this.successStreak >= this.successesToGrow && this.limit < this.maxConcurrency) {
+      this.limit++;
+      this.successStreak = 0;
+      this.drainQueue();
+    }
+  }
+
+  recordRateLimit(delayMs) {
+    this.stats.rateLimited++;
+    this.successStreak = 0;
+    this.limit = Math.max(1, Math.floor(this.limit / 2));
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+    logger.warn('LLM rate limited, slowing down analyses', { concurrencyLimit: this.limit, pauseMs: delayMs });
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      concurrencyLimit: this.limit,
+      maxConcurrency: this.maxConcurrency,
+      active: this.active,
+      queued: this.queue.length,
+      tokensPerMinute: this.tokensPerMinute || null,
+      tokensLastMinute: this.window.filter(entry => entry.at > now - 60000).reduce((sum, entry) => sum + entry.tokens, 0),
+      pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new AnalysisExecutor();
+module.exports.AnalysisExecutor = AnalysisExecutor;
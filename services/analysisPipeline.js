@@ -0,0 +1,270 @@
+// Analysis Pipeline - fetch trending products, analyze each one and save the run
+const authService = require('./authService');
+const productHuntService = require('./productHuntService');
+const chatGPTService = require('./chatGPTService');
+const dataService = require('./dataService');
+const analysisCacheService = require('./analysisCacheService');
+const usageService = require('./usageService');
+const analysisExecutor = require('./analysisExecutor');
+const logger = require('../utils/logger');
+const { parseAnalysisParams } = require('../utils/analysisParams');
+const { getLaunchDate } = require('../utils/launchDay');
+const { SOURCES, summarizeProvenance } = require('../utils/provenance');
+const { withTimeout, whenAborted } = require('../utils/abort');
+
+class AnalysisPipeline {
+
+  // Run fn(signal) with a signal that aborts when the run is cancelled or after ms. The abort cancels the
+  // work fn started (HTTP requests, retry waits) instead of just no longer waiting for it.
+  async withDeadline(signal, ms, message, fn) {
+    const deadline = withTimeout(signal, ms, message);
+    try {
+      return await Promise.race([fn(deadline.signal), whenAborted(deadline.signal)]);
+    } finally {
+      deadline.clear();
+    }
+  }
+
+  // Fetch a launch day live, falling back to the products of a stored run for the same day
+  async fetchLaunchDayProducts(accessToken, limit, date, signal) {
+    try {
+      return await productHuntService.getLaunchDayProducts(accessToken, limit, { date, signal });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      const cached = date ? await dataService.findLatestRunForDate(date) : null;
+      if (!cached) {
+        throw error;
+      }
+
+      logger.warn('Product Hunt unavailable, using products from a stored run', {
+        date,
+        runId: cached.metadata.runId,
+        error: error.message
+      });
+
+      const products = cached.products.slice(0, limit).map(({ analysis, ...product }) => ({
+        ...product,
+        source: SOURCES.CACHE
+      }));
+      return { products, launchDay: cached.metadata.launchDay };
+    }
+  }
+
+  // Fetch candidate products for the run's launch day, applying the topic and vote filters.
+  // Returns { products, launchDay } where launchDay says which day window was actually used.
+  async fetchProducts(accessToken, params, signal) {
+    const hasFilters = !!params.topic || params.minVotes > 0;
+    // Over-fetch when filtering so the limit can still be reached afterwards
+    const fetchLimit = hasFilters ? 50 : params.limit;
+
+    const { products, launchDay } = await this.fetchLaunchDayProducts(accessToken, fetchLimit, params.date, signal);
+
+    const topic = params.topic ? params.topic.toLowerCase() : null;
+    const filtered = (products || [])
+      .filter(product => (product.votesCount || 0) >= params.minVotes)
+      .filter(product => !topic || (product.topics || []).some(t =>
+        (t.name || '').toLowerCase().includes(topic) || (t.slug || '') === topic
+      ))
+      .slice(0, params.limit);
+
+    return { products: filtered, launchDay };
+  }
+
+  // Analyze one product, converting failures into an error analysis. Products the run was cancelled
+  // before (or while) analyzing come back without an analysis and marked cancelled.
+  async analyzeOne(product, params, signal) {
+    if (signal?.aborted) {
+      return { product, success: false, cancelled: true };
+    }
+
+    try {
+      const analysis = await this.withDeadline(signal, params.analysisTimeout, 'Analysis timeout', deadline =>
+        chatGPTService.analyzeProduct(product, {
+          model: params.model,
+          language: params.language,
+          force: params.force,
+          signal: deadline
+        })
+      );
+      // Fallbacks and outputs still invalid after repair resolve with `error` set and count as failures
+      return { product: { ...product, analysis }, success: !analysis.error };
+    } catch (error) {
+      if (signal?.aborted) {
+        return { product, success: false, cancelled: true };
+      }
+      logger.error(`Error analyzing product ${product.name}`, { error: error.message });
+      return { product: { ...product, analysis: { error: error.message } }, success: false };
+    }
+  }
+
+  // Market summary across the run's analyses; a timeout falls back to the rule-based summary
+  async summarizeMarket(analyzedProducts, params, signal) {
+    try {
+      return await this.withDeadline(signal, params.summaryTimeout, 'Market summary timeout', deadline =>
+        chatGPTService.generateMarketSummary(analyzedProducts, {
+          model: params.model,
+          language: params.language,
+          signal: deadline
+        })
+      );
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      logger.warn('Market summary failed, using the rule-based summary', { error: error.message });
+      return { ...chatGPTService.createFallbackMarketSummary(analyzedProducts, params.language), error: error.message };
+    }
+  }
+
+  // Run the full pipeline. onEvent(event, data) receives the same events the SSE stream sends.
+  // Params are validated with the analysis params schema (see utils/analysisParams).
+  // Aborting `signal` cancels in-flight requests: before any product was analyzed the run rejects with the
+  // signal's reason, afterwards the finished analyses are saved as a cancelled run and returned with
+  // status 'cancelled'.
+  async run({ trigger = 'manual', onEvent = () => {}, signal, ...input } = {}) {
+    const params = parseAnalysisParams(input);
+    // Always analyze an explicit launch day rather than "whatever today is" on this server
+    params.date = params.date || getLaunchDate();
+    const startedAt = new Date().toISOString();
+
+    // Refuse new runs once the monthly LLM budget is spent (when LLM_BUDGET_ACTION=refuse)
+    await usageService.assertWithinBudget();
+
+    logger.info('Starting analysis run', { trigger, params });
+    onEvent('status', { message: 'Starting analysis...', step: 'init' });
+
+    // Check authentication (simplified for internal use)
+    const accessToken = await authService.getStoredToken();
+    if (!accessToken) {
+      throw new Error('Authentication required. Please set up API credentials.');
+    }
+
+    onEvent('status', { message: `Fetching products launched on ${params.date}...`, step: 'fetch' });
+
+    signal?.throwIfAborted();
+    const { products, launchDay } = await this.withDeadline(signal, params.fetchTimeout, 'Fetch timeout', deadline =>
+      this.fetchProducts(accessToken, params, deadline)
+    );
+
+    if (!products || products.length === 0) {
+      throw new Error('No trending products found');
+    }
+
+    const provenance = summarizeProvenance(products, launchDay);
+    if (provenance.notice) {
+      logger.warn('Analysis run is not using live data for the requested day', { provenance });
+    }
+
+    onEvent('status', {
+      message: `Found ${products.length} products from ${launchDay.date}. Starting analysis...`,
+      step: 'analyze',
+      total: products.length,
+      launchDay,
+      provenance
+    });
+
+    // Analyze up to `concurrency` products at a time. Products finish out of order, so progress
+    // events carry both the product's position and the number completed so far.
+    let completedCount = 0;
+    const results = await analysisExecutor.map(products, product => this.analyzeOne(product, params, signal), {
+      concurrency: params.concurrency,
+      startIntervalMs: params.delayMs,
+      onStart: (product, index) => {
+        if (signal?.aborted) {
+          return;
+        }
+        onEvent('progress', {
+          current: index + 1,
+          completed: completedCount,
+          total: products.length,
+          product: product.name,
+          message: `Analyzing ${product.name}...`
+        });
+      },
+      onSettled: (result, index, completed) => {
+        completedCount = completed;
+        if (result.cancelled) {
+          return;
+        }
+        onEvent('product', result.product);
+        onEvent('progress', {
+          current: index + 1,
+          completed,
+          total: products.length,
+          product: result.product.name,
+          message: `Analyzed ${result.product.name} (${completed}/${products.length})`
+        });
+      }
+    });
+
+    // Products the run never got to are left out of a cancelled run
+    const finished = results.filter(result => !result.cancelled);
+    const analyzedProducts = finished.map(result => result.product);
+    const successCount = finished.filter(result => result.success).length;
+    const errorCount = finished.length - successCount;
+
+    const cacheHits = analyzedProducts.filter(product => product.analysis?.metadata?.cacheHit).length;
+
+    let marketSummary = null;
+    if (params.marketSummary && successCount > 0 && !signal?.aborted) {
+      onEvent('status', { message: 'Generating market summary...', step: 'summary' });
+      try {
+        marketSummary = await this.summarizeMarket(analyzedProducts, params, signal);
+        onEvent('marketSummary', marketSummary);
+      } catch (error) {
+        // Only a cancellation gets here; the run is saved without a summary below
+        logger.info('Market summary skipped, run cancelled', { error: error.message });
+      }
+    }
+
+    const status = signal?.aborted ? 'cancelled' : 'completed';
+    if (status === 'cancelled' && analyzedProducts.length === 0) {
+      throw signal.reason;
+    }
+
+    // Persist the run so it survives restarts and shows up in the run history
+    const saved = await dataService.saveAnalyzedData(analyzedProducts, {
+      trigger,
+      status,
+      params,
+      launchDay,
+      provenance,
+      analyzer: `${chatGPTService.provider.name}/${params.model || chatGPTService.analysisModel}`,
+      startedAt,
+      successCount,
+      errorCount,
+      cacheHits
+    }, marketSummary);
+
+    analysisCacheService.prune().catch(error => {
+      logger.warn('Failed to prune analysis cache', { error: error.message });
+    });
+
+    const usage = dataService.sumRunUsage(analyzedProducts, marketSummary);
+
+    const finalData = {
+      runId: saved.runId,
+      status,
+      totalProducts: analyzedProducts.length,
+      successCount,
+      errorCount,
+      cacheHits,
+      usage,
+      timestamp: saved.timestamp,
+      params,
+      launchDay,
+      provenance,
+      marketSummary,
+      products: analyzedProducts
+    };
+
+    logger.info(status === 'cancelled' ? 'Analysis run cancelled' : 'Analysis run completed', {
+      runId: saved.runId, trigger, successCount, errorCount, cacheHits, cost: usage.cost
+    });
+    return finalData;
+  }
+}
+
+module.exports = new AnalysisPipeline();
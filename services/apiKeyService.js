@@ -0,0 +1,182 @@
+// API Key Service - scoped keys for scripts and dashboards. Only a SHA-256 hash of each key is stored;
+// the full key ("pha_<id>_<secret>") is shown once, when it is created.
+const crypto = require('crypto');
+const ErrorHandler = require('../middleware/errorHandler');
+const dataService = require('./dataService');
+const logger = require('../utils/logger');
+
+// Scopes are cumulative and line up with the user roles: trigger-runs can also read results,
+// and admin can do everything
+const SCOPE_ROLES = {
+  'read-results': 'viewer',
+  'trigger-runs': 'analyst',
+  admin: 'admin'
+};
+const ROLE_ORDER = ['viewer', 'analyst', 'admin'];
+const KEY_PATTERN = /^pha_([a-f0-9]{16})_([\w-]{32})$/;
+const USAGE_WRITE_INTERVAL_MS = 60 * 1000; // lastUsedAt is written at most once a minute per key
+
+class ApiKeyService {
+  constructor() {
+    this.collection = 'api_keys';
+  }
+
+  get scopes() {
+    return Object.keys(SCOPE_ROLES);
+  }
+
+  // The role a key acts with: the highest role among its scopes
+  roleForScopes(scopes = []) {
+    return scopes
+      .map(scope => SCOPE_ROLES[scope])
+      .filter(Boolean)
+      .sort((a, b) => ROLE_ORDER.indexOf(b) - ROLE_ORDER.indexOf(a))[0] || null;
+  }
+
+  // The scope a key needs for an action that requires `role`
+  scopeForRole(role) {
+    return Object.keys(SCOPE_ROLES).find(scope => SCOPE_ROLES[scope] === role) || null;
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  // Key without its hash
+  toPublic(key) {
+    const { hash, ...info } = key;
+    return {
+      ...info,
+      status: key.revokedAt ? 'revoked' : this.isExpired(key) ? 'expired' : 'active'
+    };
+  }
+
+  isExpired(key, now = new Date()) {
+    return !!key.expiresAt && new Date(key.expiresAt) <= now;
+  }
+
+  parseCreateRequest({ name, scopes, expiresAt, expiresInDays } = {}) {
+    const errors = [];
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      errors.push('name must be a non-empty string of at most 100 characters');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPE_ROLES[scope])) {
+      errors.push(`scopes must be a non-empty array of: ${this.scopes.join(', ')}`);
+    }
+
+    let expiry = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0) {
+        errors.push('expiresInDays must be a positive number');
+      } else {
+        expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      }
+    } else if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        errors.push('expiresAt must be a date in the future');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw ErrorHandler.createValidationError('Invalid API key request', { errors });
+    }
+    return { name: name.trim(), scopes: [...new Set(scopes)], expiresAt: expiry ? expiry.toISOString() : null };
+  }
+
+  // Issue a key. Returns { key, apiKey } where key is the full secret (not stored anywhere).
+  async create(request, createdBy) {
+    const { name, scopes, expiresAt } = this.parseCreateRequest(request);
+    await dataService.ensureStorage();
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const apiKey = {
+      id,
+      name,
+      scopes,
+      prefix: `pha_${id}`,
+      hash: this.hashSecret(secret),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null
+    };
+
+    await dataService.storage.setRecord(this.collection, id, apiKey);
+    logger.info('API key created', { id, name, scopes, createdBy, expiresAt });
+    return { key: `pha_${id}_${secret}`, apiKey: this.toPublic(apiKey) };
+  }
+
+  async list() {
+    await dataService.ensureStorage();
+    const records = await dataService.storage.listRecords(this.collection);
+    return records
+      .map(record => this.toPublic(record.value))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Revoked keys stay listed (with revokedAt) so their usage can still be audited
+  async revoke(id, revokedBy) {
+    await dataService.ensureStorage();
+    const apiKey = /^[a-f0-9]{16}$/.test(id) ? await dataService.storage.getRecord(this.collection, id) : null;
+    if (!apiKey) {
+      return null;
+    }
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date().toISOString();
+      apiKey.revokedBy = revokedBy;
+      await dataService.storage.setRecord(this.collection, id, apiKey);
+      logger.info('API key revoked', { id, name: apiKey.name, revokedBy });
+    }
+    return this.toPublic(apiKey);
+  }
+
+  // The active key matching a presented secret, or null (malformed, unknown, revoked or expired)
+  async verify(presented, ip) {
+    const match = KEY_PATTERN.exec(String(presented || ''));
+    if (!match) {
+      return null;
+    }
+
+    await dataService.ensureStorage();
+    const [, id, secret] = match;
+    const apiKey = await dataService.storage.getRecord(this.collection, id);
+    if (!apiKey) {
+      return null;
+    }
+
+    const expected = Buffer.from(apiKey.hash, 'hex');
+    const actual = Buffer.from(this.hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual) || apiKey.revokedAt || this.isExpired(apiKey)) {
+      return null;
+    }
+
+    this.recordUse(apiKey, ip).catch(error => {
+      logger.warn('Failed to record API key use', { id, error: error.message });
+    });
+    return apiKey;
+  }
+
+  async recordUse(apiKey, ip) {
+    const now = Date.now();
+    if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt).getTime() < USAGE_WRITE_INTERVAL_MS) {
+      return;
+    }
+    // Re-read so a revocation made since verify() is not overwritten
+    const current = await dataService.storage.getRecord(this.collection, apiKey.id);
+    if (!current || current.revokedAt) {
+      return;
+    }
+    await dataService.storage.setRecord(this.collection, apiKey.id, {
+      ...current,
+      lastUsedAt: new Date(now).toISOString(),
+      lastUsedIp: ip || null
+    });
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -1,7 +1,10 @@
 // Product Hunt OAuth Authentication Service (Internal Use)
 const { AuthorizationCode } = require('simple-oauth2');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const dataService = require('./dataService');
+const { loadKeys, encrypt, decrypt, isEncrypted } = require('../utils/encryption');
 
 class AuthService {
   constructor() {
@@ -34,6 +37,11 @@ class AuthService {
 
     this.tokenFile = path.join(__dirname, '..', 'data', 'access_token.json');
     this.redirectUri = process.env.REDIRECT_URL || 'http://localhost:3000/callback';
+    this.encryptionKeys = loadKeys(); // The first key encrypts, any of them decrypts
+    this.stateCollection = 'oauth_states';
+    this.stateTtlMs = 10 * 60 * 1000; // 10 minutes to finish the Product Hunt consent screen
+    // Product Hunt does not document PKCE, so code_challenge/code_verifier are only sent when enabled
+    this.usePkce = process.env.PH_OAUTH_PKCE === 'true';
   }
 
   // Background authentication check (for internal monitoring)
@@ -66,8 +74,46 @@ class AuthService {
     }
   };
 
+  // Remember a setup attempt server-side; the random state is its only handle
+  async createState(username) {
+    await dataService.ensureStorage();
+    const state = crypto.randomBytes(24).toString('hex');
+    const now = Date.now();
+    const pending = {
+      username: username || null,
+      codeVerifier: this.usePkce ? crypto.randomBytes(32).toString('base64url') : null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.stateTtlMs).toISOString()
+    };
+    await dataService.storage.setRecord(this.stateCollection, state, pending);
+    this.pruneStates().catch(error => console.error('Failed to prune OAuth states:', error.message));
+    return { state, pending };
+  }
+
+  // Look up and delete a state in one go, so each one can be used once. Null if unknown or expired.
+  async consumeState(state) {
+    if (typeof state !== 'string' || !/^[a-f0-9]{48}$/.test(state)) {
+      return null;
+    }
+    await dataService.ensureStorage();
+    const pending = await dataService.storage.getRecord(this.stateCollection, state);
+    if (!pending) {
+      return null;
+    }
+    await dataService.storage.deleteRecord(this.stateCollection, state);
+    return new Date(pending.expiresAt) > new Date() ? pending : null;
+  }
+
+  async pruneStates() {
+    const now = new Date();
+    const records = await dataService.storage.listRecords(this.stateCollection);
+    await Promise.all(records
+      .filter(record => new Date(record.value.expiresAt) <= now)
+      .map(record => dataService.storage.deleteRecord(this.stateCollection, record.key)));
+  }
+
   // Manual OAuth initiation (only for initial setup)
-  initiateAuth = (req, res) => {
+  initiateAuth = async (req, res) => {
     try {
       if (!this.client) {
         return res.status(500).json({
@@ -75,11 +121,22 @@ class AuthService {
           configured: false
         });
       }
+      if (this.encryptionKeys.length === 0) {
+        return res.status(500).json({
+          error: 'Set TOKEN_ENCRYPTION_KEY before connecting Product Hunt OAuth, tokens are only stored encrypted.',
+          configured: false
+        });
+      }
 
+      const { state, pending } = await this.createState(req.user?.username);
       const authorizationUri = this.client.authorizeURL({
         redirect_uri: this.redirectUri,
         scope: 'public private',
-        state: 'internal-setup-' + Date.now(),
+        state,
+        ...(pending.codeVerifier ? {
+          code_challenge: crypto.createHash('sha256').update(pending.codeVerifier).digest('base64url'),
+          code_challenge_method: 'S256'
+        } : {})
       });
 
       console.log('🔧 Initial OAuth setup - redirecting to Product Hunt...');
@@ -99,11 +156,12 @@ class AuthService {
         return res.status(400).json({ error: 'Authorization code not provided' });
       }
 
-      // Verify this is a legitimate setup request
-      if (!state || !state.startsWith('internal-setup-')) {
-        console.warn('⚠️  Unauthorized OAuth callback attempt');
+      // Only a state issued by initiateAuth, unused, unexpired and started by the same user is accepted
+      const pending = await this.consumeState(state);
+      if (!pending || (pending.username && pending.username !== req.user?.username)) {
+        console.warn('⚠️  OAuth callback with an unknown, expired or foreign state');
         return res.status(403).json({
-          error: 'Unauthorized access attempt'
+          error: 'Invalid or expired OAuth state, start the setup again'
         });
       }
 
@@ -112,6 +170,7 @@ class AuthService {
       const tokenParams = {
         code,
         redirect_uri: this.redirectUri,
+        ...(pending.codeVerifier ? { code_verifier: pending.codeVerifier } : {})
       };
 
       const accessToken = await this.client.getToken(tokenParams);
@@ -133,17 +192,9 @@ class AuthService {
     }
   };
 
-  // Store access token securely
+  // Store access token encrypted with TOKEN_ENCRYPTION_KEY
   async storeToken(accessToken) {
     try {
-      // Ensure data directory exists
-      const dataDir = path.dirname(this.tokenFile);
-      try {
-        await fs.access(dataDir);
-      } catch (error) {
-        await fs.mkdir(dataDir, { recursive: true });
-      }
-
       const tokenData = {
         access_token: accessToken.token.access_token,
         refresh_token: accessToken.token.refresh_token,
@@ -153,7 +204,7 @@ class AuthService {
         created_at: new Date().toISOString()
       };
 
-      await fs.writeFile(this.tokenFile, JSON.stringify(tokenData, null, 2));
+      await this.writeTokenFile(tokenData);
       console.log('OAuth token stored successfully');
     } catch (error) {
       console.error('Error storing token:', error);
@@ -161,6 +212,108 @@ class AuthService {
     }
   }
 
+  async writeTokenFile(tokenData) {
+    if (this.encryptionKeys.length === 0) {
+      throw new Error('TOKEN_ENCRYPTION_KEY is not set, refusing to store the OAuth token in plaintext');
+    }
+
+    // Ensure data directory exists
+    await fs.mkdir(path.dirname(this.tokenFile), { recursive: true });
+    const envelope = encrypt(JSON.stringify(tokenData), this.encryptionKeys[0]);
+    await fs.writeFile(this.tokenFile, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+    await fs.chmod(this.tokenFile, 0o600); // mode only applies when the file is created
+  }
+
+  // Stored token data, or null when there is none. Plaintext files from before encryption are
+  // re-written encrypted as soon as a key is configured.
+  async readTokenFile() {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(this.tokenFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    if (isEncrypted(stored)) {
+      const tokenData = JSON.parse(decrypt(stored, this.encryptionKeys));
+      // Written with TOKEN_ENCRYPTION_KEY_PREVIOUS: move it to the current key
+      if (stored.keyId !== this.encryptionKeys[0].id) {
+        await this.writeTokenFile(tokenData);
+        console.log('OAuth token re-encrypted with the current TOKEN_ENCRYPTION_KEY');
+      }
+      return tokenData;
+    }
+
+    if (this.encryptionKeys.length > 0) {
+      await this.writeTokenFile(stored);
+      console.log('Plaintext OAuth token found and encrypted');
+    } else {
+      console.warn('OAuth token is stored in plaintext. Set TOKEN_ENCRYPTION_KEY to encrypt it.');
+    }
+    return stored;
+  }
+
+  // Delete the stored OAuth token (Product Hunt has no revocation endpoint, so this only forgets it here)
+  async revokeStoredToken() {
+    try {
+      await fs.unlink(this.tokenFile);
+      console.log('Stored OAuth token revoked');
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Swap the stored token for a fresh one through its refresh token (when it has one) and
+  // re-encrypt it with the current key. Returns the new token info, or null when nothing is stored.
+  async rotateStoredToken() {
+    const tokenData = await this.readTokenFile();
+    if (!tokenData) {
+      return null;
+    }
+
+    if (tokenData.refresh_token && this.client) {
+      const refreshed = await this.client.createToken(tokenData).refresh();
+      await this.storeToken(refreshed);
+      console.log('Stored OAuth token rotated');
+    } else {
+      await this.writeTokenFile(tokenData);
+      console.log('Stored OAuth token has no refresh token, re-encrypted only');
+    }
+    return this.getTokenInfo();
+  }
+
+  // Admin route handlers for the stored token
+  revokeTokenHandler = async (req, res) => {
+    if (this.developerToken) {
+      return res.status(409).json({ error: 'Using PH_DEVELOPER_TOKEN, there is no stored OAuth token to revoke' });
+    }
+    const revoked = await this.revokeStoredToken();
+    if (!revoked) {
+      return res.status(404).json({ error: 'No stored OAuth token' });
+    }
+    console.log(`OAuth token revoked by ${req.user?.username || 'unknown'}`);
+    res.json({ revoked: true, tokenInfo: await this.getTokenInfo() });
+  };
+
+  rotateTokenHandler = async (req, res) => {
+    if (this.developerToken) {
+      return res.status(409).json({ error: 'Using PH_DEVELOPER_TOKEN, there is no stored OAuth token to rotate' });
+    }
+    const tokenInfo = await this.rotateStoredToken();
+    if (!tokenInfo) {
+      return res.status(404).json({ error: 'No stored OAuth token' });
+    }
+    console.log(`OAuth token rotated by ${req.user?.username || 'unknown'}`);
+    res.json({ rotated: true, tokenInfo });
+  };
+
   // Get stored access token or developer token
   async getStoredToken() {
     // If we have a developer token, use it directly
@@ -173,8 +326,11 @@ class AuthService {
 
     // Otherwise, try to get OAuth token from file
     try {
-      const tokenData = await fs.readFile(this.tokenFile, 'utf8');
-      const token = JSON.parse(tokenData);
+      const token = await this.readTokenFile();
+      if (!token) {
+        console.log('No stored OAuth token found');
+        return null;
+      }
 
       // Check if token is expired
       if (token.expires_at && new Date(token.expires_at) <= new Date()) {
@@ -184,10 +340,6 @@ class AuthService {
 
       return token.access_token;
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        console.log('No stored OAuth token found');
-        return null;
-      }
       console.error('Error reading stored token:', error);
       return null;
     }
@@ -239,8 +391,10 @@ class AuthService {
 
     // Otherwise check OAuth token file
     try {
-      const tokenData = await fs.readFile(this.tokenFile, 'utf8');
-      const token = JSON.parse(tokenData);
+      const token = await this.readTokenFile();
+      if (!token) {
+        return { hasToken: false, authMethod: 'oauth', configured: !!this.client, error: 'No token stored' };
+      }
 
       return {
         hasToken: true,
@@ -249,6 +403,7 @@ class AuthService {
         expires_at: token.expires_at,
         created_at: token.created_at,
         isExpired: token.expires_at ? new Date(token.expires_at) <= new Date() : false,
+        encrypted: this.encryptionKeys.length > 0,
         configured: !!this.client
       };
     } catch (error) {
@@ -256,7 +411,7 @@ class AuthService {
         hasToken: false,
         authMethod: 'oauth',
         configured: !!this.client,
-        error: error.code === 'ENOENT' ? 'No token stored' : error.message
+        error: error.message
       };
     }
   }
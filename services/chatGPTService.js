@@ -1,107 +1,237 @@
-// ChatGPT Analysis Service - Analyze products for target user demographics
-const OpenAI = require('openai');
+// ChatGPT Analysis Service - Analyze products for target user demographics on the configured LLM provider
+const { createLLMProvider } = require('./llm');
+const { validateAnalysis, normalizeLikelihood } = require('../utils/analysisSchema');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/locale');
+const analysisCacheService = require('./analysisCacheService');
+const promptService = require('./promptService');
+const usageService = require('./usageService');
+const analysisExecutor = require('./analysisExecutor');
+const { sumUsage } = require('../utils/pricing');
+const { sleep } = require('../utils/abort');
+
+// Rule-based fallback wording; languages without their own entry use English
+const FALLBACK_TEXT = {
+  zh: {
+    developers: '开发者和技术专业人士',
+    business: '商业专业人士',
+    designers: '设计师和创意工作者',
+    ai: 'AI和机器学习从业者',
+    marketing: '营销和社交媒体专家',
+    general: '一般科技用户',
+    summary: (votes, demographic) => `获得${votes}票的产品，主要面向${demographic}`,
+    insights: '基于产品类别和投票数的基础分析',
+    trend: (topic, count) => `${topic}（${count}个产品）`,
+    opportunity: (name, tagline) => tagline ? `${name}：${tagline}` : name,
+    recommendation: (topic, demographic) => `关注面向${demographic}的${topic}产品`,
+    marketInsights: '基于各产品分析结果的汇总统计，未使用AI生成',
+    marketSummary: (count, topic, highCount) => `共分析${count}个产品，最常见的主题是${topic}，其中${highCount}个产品成功概率较高`
+  },
+  en: {
+    developers: 'Developers and tech professionals',
+    business: 'Business professionals',
+    designers: 'Designers and creatives',
+    ai: 'AI and machine learning practitioners',
+    marketing: 'Marketing and social media specialists',
+    general: 'General tech users',
+    summary: (votes, demographic) => `A product with ${votes} votes, aimed mainly at ${demographic.toLowerCase()}`,
+    insights: 'Basic analysis based on product category and vote count',
+    trend: (topic, count) => `${topic} (${count} product${count === 1 ? '' : 's'})`,
+    opportunity: (name, tagline) => tagline ? `${name}: ${tagline}` : name,
+    recommendation: (topic, demographic) => `Focus on ${topic} products for ${demographic.toLowerCase()}`,
+    marketInsights: 'Aggregated from the per-product analyses without an LLM',
+    marketSummary: (count, topic, highCount) => `${count} products analyzed; the most common topic is ${topic} and ${highCount} have a high success probability`
+  }
+};
 
 class ChatGPTService {
-  constructor() {
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key') {
-      console.warn('OpenAI API key not configured. ChatGPT analysis will not be available.');
-      this.openai = null;
-    } else {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-    }
-    this.model = 'gpt-4o'; // Using GPT-4o as requested
+  constructor(provider = createLLMProvider()) {
     this.maxRetries = 3;
-    this.retryDelay = 2000; // 2 seconds
+    this.maxRepairAttempts = 1; // Re-prompts for output that fails schema validation
+    this.setProvider(provider);
   }
 
-  // Create optimized analysis prompt for a product (with Chinese translation)
-  createAnalysisPrompt(product) {
-    return `Analyze this Product Hunt product for target users. Provide response in Chinese except for the product name:
-
-Product: ${product.name}
-Tagline: ${product.tagline}
-Votes: ${product.votesCount} | Comments: ${product.commentsCount}
-Topics: ${product.topics?.map(t => t.name).join(', ') || 'None'}
-
-Return JSON with Chinese content (except productName):
-{
-  "productName": "${product.name}",
-  "targetUsers": [{"demographic": "目标用户群体描述", "likelihood": "高/中/低"}],
-  "successProbability": "高/中/低",
-  "summary": "详细的分析摘要，包含2-3句话，描述产品特点、目标用户和市场潜力",
-  "userPersonas": ["用户画像1", "用户画像2", "用户画像3"]
-}
+  // Swap the LLM provider (used to compare vendors and by scripts)
+  setProvider(provider) {
+    this.provider = provider;
+    this.model = provider.defaultModel; // Market summaries
+    this.analysisModel = provider.analysisModel; // Per-product analysis uses the cheaper model
+    if (!provider.isConfigured()) {
+      console.warn(`LLM provider "${provider.name}" not configured. AI analysis will not be available.`);
+    }
+  }
+
+  // Provider, models and token usage for /api/status
+  getProviderStatus() {
+    return {
+      provider: this.provider.name,
+      configured: this.provider.isConfigured(),
+      model: this.model,
+      analysisModel: this.analysisModel,
+      usage: this.provider.getUsage()
+    };
+  }
+
+  // Render the analysis prompt template for a product: { system, prompt, promptVersion, template }.
+  // Chinese has its own template; other languages share one. Ratings are always requested as high/medium/low.
+  // Uses the active template version unless a version number is given.
+  async createAnalysisPrompt(product, language = DEFAULT_LANGUAGE, version = null) {
+    const templateName = language === 'zh' ? 'analysis-zh' : 'analysis';
+    const variables = {
+      name: product.name,
+      tagline: product.tagline,
+      votesCount: product.votesCount,
+      commentsCount: product.commentsCount,
+      topics: product.topics?.map(t => t.name).join(', ') || 'None',
+      languageName: (LANGUAGES[language] || LANGUAGES.en).name
+    };
+
+    return version
+      ? promptService.renderVersion(templateName, version, variables)
+      : promptService.renderActive(templateName, variables);
+  }
 
-请用中文分析，但保持产品名称为英文。重点关注最可能的目标用户群体。分析摘要应该详细且有深度，不要过于简化。`;
+  // Hash of the prompt template version, provider, model and language: the part of a cache key that is not the product
+  async getCacheFingerprint(options = {}) {
+    const language = options.language || DEFAULT_LANGUAGE;
+    const template = await promptService.getActiveTemplate(language === 'zh' ? 'analysis-zh' : 'analysis');
+    return analysisCacheService.fingerprint(
+      this.provider.name,
+      options.model || this.analysisModel,
+      language,
+      template.id,
+      template.system,
+      template.template
+    );
   }
 
-  // Analyze a single product with ChatGPT
-  async analyzeProduct(product, retryCount = 0) {
+  // Analyze a single product (options: model, language, force, signal). A cached analysis for the same
+  // product, prompt template, model and language is reused unless force is set. Aborting the signal
+  // cancels the in-flight LLM call and any retry, and rejects with the signal's reason.
+  async analyzeProduct(product, options = {}) {
+    const cacheable = this.provider.isConfigured() && product.id != null;
+    const fingerprint = cacheable ? await this.getCacheFingerprint(options) : null;
+
+    if (cacheable && !options.force) {
+      try {
+        const cached = await analysisCacheService.get(product.id, fingerprint);
+        if (cached) {
+          console.log(`Using cached analysis for: ${product.name}`);
+          return {
+            ...cached.analysis,
+            metadata: { ...cached.analysis.metadata, cacheHit: true, cachedAt: cached.cachedAt }
+          };
+        }
+      } catch (error) {
+        console.error(`Analysis cache lookup failed for ${product.name}:`, error.message);
+      }
+    }
+
+    const analysis = await this.requestAnalysis(product, options);
+    analysis.metadata = { ...analysis.metadata, cacheHit: false };
+
+    // Only complete, valid LLM analyses are worth reusing
+    if (cacheable && !analysis.error && !analysis.fallback) {
+      try {
+        await analysisCacheService.set(product.id, fingerprint, analysis);
+      } catch (error) {
+        console.error(`Failed to cache analysis for ${product.name}:`, error.message);
+      }
+    }
+
+    return analysis;
+  }
+
+  // Request an analysis from the LLM provider, retrying temporary errors. Never cached;
+  // options.promptVersion picks a specific analysis template version (used by prompt evaluations).
+  async requestAnalysis(product, options = {}, retryCount = 0) {
     try {
-      if (!this.openai) {
+      if (!this.provider.isConfigured()) {
         console.log(`Using fallback analysis for: ${product.name}`);
-        return this.createFallbackAnalysis(product);
+        return this.createFallbackAnalysis(product, options.language);
+      }
+      if (await usageService.shouldUseFallback()) {
+        console.log(`Monthly LLM budget exceeded, using fallback analysis for: ${product.name}`);
+        return this.createFallbackAnalysis(product, options.language);
       }
 
       console.log(`Analyzing product: ${product.name} (attempt ${retryCount + 1})`);
 
-      const prompt = this.createAnalysisPrompt(product);
-      
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini', // Use mini version for cost efficiency
-        messages: [
-          {
-            role: "system",
-            content: "You are a market analyst. Provide concise JSON analysis of products and their target users."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
+      const language = options.language || DEFAULT_LANGUAGE;
+      const { system, prompt, promptVersion } = await this.createAnalysisPrompt(product, language, options.promptVersion);
+      const request = {
+        model: options.model || this.analysisModel,
+        system,
+        prompt,
         temperature: 0.3, // Lower temperature for more consistent results
-        max_tokens: 300, // Reduced tokens for cost efficiency
-        response_format: { type: "json_object" }
-      });
+        maxTokens: 300, // Reduced tokens for cost efficiency
+        json: true
+      };
 
-      const analysisText = completion.choices[0].message.content;
-      
-      // Parse the JSON response
-      let analysis;
-      try {
-        analysis = JSON.parse(analysisText);
-      } catch (parseError) {
-        console.error('Failed to parse ChatGPT response as JSON:', parseError);
-        // Fallback: return the raw text if JSON parsing fails
-        analysis = {
-          error: 'Failed to parse structured response',
-          rawResponse: analysisText,
-          summary: 'Analysis completed but response format was invalid'
-        };
+      let completion = await this.complete(request, options.signal);
+      const calls = [completion.usage];
+      let result = this.parseAnalysis(completion.text, language);
+      const initialErrors = result.errors;
+      let repairAttempts = 0;
+
+      // Invalid output gets re-prompted with the validation errors so the model can fix it
+      while (!result.valid && repairAttempts < this.maxRepairAttempts) {
+        repairAttempts++;
+        console.warn(`Analysis for ${product.name} failed validation, requesting repair: ${result.errors.join('; ')}`);
+        completion = await this.complete({
+          ...request,
+          prompt: this.createRepairPrompt(prompt, completion.text, result.errors)
+        }, options.signal);
+        calls.push(completion.usage);
+        result = this.parseAnalysis(completion.text, language);
       }
 
-      // Add metadata
+      const analysis = result.valid ? result.value : {
+        error: 'Analysis output failed schema validation',
+        rawResponse: completion.text,
+        summary: 'Analysis completed but response format was invalid'
+      };
+
+      // passed: valid first time, repaired: valid after a re-prompt, failed: still invalid
+      analysis.validation = {
+        status: !result.valid ? 'failed' : repairAttempts > 0 ? 'repaired' : 'passed',
+        repairAttempts,
+        errors: result.valid ? initialErrors : result.errors
+      };
+
+      // Add metadata (usage covers the first call and any repair calls)
+      const usage = sumUsage(calls);
       analysis.metadata = {
         analyzedAt: new Date().toISOString(),
-        model: this.model,
-        tokensUsed: completion.usage?.total_tokens || 0,
+        provider: this.provider.name,
+        model: completion.model,
+        language,
+        promptVersion,
+        tokensUsed: usage.totalTokens,
+        usage,
         productId: product.id,
         productName: product.name
       };
 
-      console.log(`Successfully analyzed product: ${product.name}`);
+      if (result.valid) {
+        console.log(`Successfully analyzed product: ${product.name} (${analysis.validation.status})`);
+      } else {
+        console.error(`Analysis for ${product.name} failed validation: ${result.errors.join('; ')}`);
+      }
       return analysis;
 
     } catch (error) {
+      // A cancelled run or passed deadline is not an API failure: stop without retrying
+      if (options.signal?.aborted) {
+        throw options.signal.reason;
+      }
       console.error(`Error analyzing product ${product.name} (attempt ${retryCount + 1}):`, error.message);
       
       // Retry logic for rate limits and temporary errors
       if (retryCount < this.maxRetries && this.shouldRetry(error)) {
-        console.log(`Retrying analysis for ${product.name} in ${this.retryDelay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-        return this.analyzeProduct(product, retryCount + 1);
+        const delay = this.provider.getRetryDelay(error, retryCount);
+        console.log(`Retrying analysis for ${product.name} in ${delay}ms...`);
+        await sleep(delay, options.signal);
+        return this.requestAnalysis(product, options, retryCount + 1);
       }
       
       // Return simplified error analysis if all retries failed
@@ -115,149 +245,224 @@ Return JSON with Chinese content (except productName):
     }
   }
 
-  // Determine if we should retry the request
-  shouldRetry(error) {
-    // Retry on rate limits and temporary server errors
-    if (error.status === 429) return true; // Rate limit
-    if (error.status >= 500 && error.status < 600) return true; // Server errors
-    if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') return true; // Network errors
+  // Parse and validate a raw model response against the analysis schema
+  parseAnalysis(text, language) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (parseError) {
+      return { valid: false, errors: [`Response is not valid JSON: ${parseError.message}`], value: null };
+    }
+    return validateAnalysis(parsed);
+  }
+
+  // Follow-up prompt asking the model to correct a response that failed validation
+  createRepairPrompt(originalPrompt, response, errors) {
+    return `${originalPrompt}
 
-    return false;
+Your previous response was:
+${response}
+
+It failed validation with these errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only, with every required field filled in.`;
+  }
+
+  // Run a completion on the provider (through the shared executor's rate limits) and add its tokens and
+  // cost to the daily usage totals. completion.usage gains the call's cost (null for unpriced models).
+  // The signal is handed to the provider so aborting it cancels the HTTP request itself.
+  async complete(request, signal) {
+    const completion = await analysisExecutor.call(() => this.provider.complete({ ...request, signal }), {
+      estimatedTokens: analysisExecutor.estimateTokens(request),
+      retryDelay: error => this.provider.getRetryDelay(error),
+      signal
+    });
+    completion.usage = await usageService.record(this.provider.name, completion.model, completion.usage);
+    return completion;
+  }
+
+  // Determine if we should retry the request (each provider has its own rules)
+  shouldRetry(error) {
+    return this.provider.shouldRetry(error);
   }
 
-  // Fallback analysis when ChatGPT is unavailable (Chinese version)
-  createFallbackAnalysis(product) {
+  // Fallback analysis when no LLM provider is configured
+  createFallbackAnalysis(product, language = DEFAULT_LANGUAGE) {
     // Simple rule-based analysis based on product data
+    const text = FALLBACK_TEXT[language] || FALLBACK_TEXT.en;
     const voteCount = product.votesCount || 0;
     const topics = product.topics?.map(t => t.name) || [];
 
     let targetUsers = [];
-    let successProbability = '中';
+    let successProbability = 'medium';
 
-    // Basic categorization based on topics and votes (Chinese)
+    // Basic categorization based on topics and votes
     if (topics.some(t => t.toLowerCase().includes('developer') || t.toLowerCase().includes('tech'))) {
-      targetUsers.push({ demographic: "开发者和技术专业人士", likelihood: "高" });
+      targetUsers.push({ demographic: text.developers, likelihood: "high" });
     }
     if (topics.some(t => t.toLowerCase().includes('business') || t.toLowerCase().includes('productivity'))) {
-      targetUsers.push({ demographic: "商业专业人士", likelihood: "高" });
+      targetUsers.push({ demographic: text.business, likelihood: "high" });
     }
     if (topics.some(t => t.toLowerCase().includes('design') || t.toLowerCase().includes('creative'))) {
-      targetUsers.push({ demographic: "设计师和创意工作者", likelihood: "高" });
+      targetUsers.push({ demographic: text.designers, likelihood: "high" });
     }
     if (topics.some(t => t.toLowerCase().includes('ai') || t.toLowerCase().includes('machine learning'))) {
-      targetUsers.push({ demographic: "AI和机器学习从业者", likelihood: "高" });
+      targetUsers.push({ demographic: text.ai, likelihood: "high" });
     }
     if (topics.some(t => t.toLowerCase().includes('marketing') || t.toLowerCase().includes('social'))) {
-      targetUsers.push({ demographic: "营销和社交媒体专家", likelihood: "高" });
+      targetUsers.push({ demographic: text.marketing, likelihood: "high" });
     }
 
     // Default if no specific category found
     if (targetUsers.length === 0) {
-      targetUsers.push({ demographic: "一般科技用户", likelihood: "中" });
+      targetUsers.push({ demographic: text.general, likelihood: "medium" });
     }
 
     // Success probability based on vote count
-    if (voteCount > 100) successProbability = '高';
-    else if (voteCount < 20) successProbability = '低';
+    if (voteCount > 100) successProbability = 'high';
+    else if (voteCount < 20) successProbability = 'low';
 
     return {
       productName: product.name,
       targetUsers,
       successProbability,
-      summary: `获得${voteCount}票的产品，主要面向${targetUsers[0].demographic}`,
-      marketInsights: "基于产品类别和投票数的基础分析",
+      summary: text.summary(voteCount, targetUsers[0].demographic),
+      marketInsights: text.insights,
       userPersonas: targetUsers.slice(0, 3).map(user => user.demographic),
       fallback: true,
+      language: FALLBACK_TEXT[language] ? language : 'en',
       analyzedAt: new Date().toISOString()
     };
   }
 
-  // Analyze multiple products in batch
-  async analyzeProductsBatch(products, batchSize = 5, delayBetweenBatches = 5000) {
-    const results = [];
-    
-    for (let i = 0; i < products.length; i += batchSize) {
-      const batch = products.slice(i, i + batchSize);
-      console.log(`Processing batch ${Math.floor(i / batchSize) + 1} of ${Math.ceil(products.length / batchSize)}`);
-      
-      const batchPromises = batch.map(product => this.analyzeProduct(product));
-      const batchResults = await Promise.allSettled(batchPromises);
-      
-      // Process results
-      batchResults.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          results.push(result.value);
-        } else {
-          console.error(`Failed to analyze product ${batch[index].name}:`, result.reason);
-          results.push({
-            error: result.reason.message,
-            productId: batch[index].id,
-            productName: batch[index].name,
-            analyzedAt: new Date().toISOString()
-          });
-        }
-      });
-      
-      // Delay between batches to respect rate limits
-      if (i + batchSize < products.length) {
-        console.log(`Waiting ${delayBetweenBatches}ms before next batch...`);
-        await new Promise(resolve => setTimeout(resolve, delayBetweenBatches));
+  // Analyze multiple products, up to `concurrency` at a time on the shared executor.
+  // Results keep the input order; failures become error entries.
+  async analyzeProductsBatch(products, { concurrency = 5, ...options } = {}) {
+    return analysisExecutor.map(products, async (product) => {
+      try {
+        return await this.analyzeProduct(product, options);
+      } catch (error) {
+        console.error(`Failed to analyze product ${product.name}:`, error);
+        return {
+          error: error.message,
+          productId: product.id,
+          productName: product.name,
+          analyzedAt: new Date().toISOString()
+        };
       }
-    }
-    
-    return results;
+    }, { concurrency });
   }
 
-  // Generate market summary from multiple product analyses
-  async generateMarketSummary(analyzedProducts) {
+  // Cross-product market summary for a run. Takes products with their analysis attached; failed analyses are
+  // left out. Without a configured provider (or when the provider call fails) the analyses are aggregated instead.
+  // An aborted options.signal rejects with its reason rather than falling back.
+  async generateMarketSummary(analyzedProducts, options = {}) {
+    const language = options.language || DEFAULT_LANGUAGE;
+    const analyzed = analyzedProducts.filter(product => product.analysis && !product.analysis.error);
+
+    if (!this.provider.isConfigured() || await usageService.shouldUseFallback()) {
+      return this.createFallbackMarketSummary(analyzed, language);
+    }
+
     try {
-      const summaryPrompt = `
-Based on the following product analyses, generate a comprehensive market summary:
-
-${analyzedProducts.map((product, index) => `
-Product ${index + 1}: ${product.productName || 'Unknown'}
-Analysis Summary: ${product.summary || 'No summary available'}
-Target Users: ${product.targetUsers?.map(u => u.demographic).join(', ') || 'Not specified'}
-Success Probability: ${product.successProbability || 'Unknown'}
-`).join('\n')}
-
-Please provide a market summary in JSON format:
-{
-  "overallTrends": ["trend 1", "trend 2"],
-  "emergingOpportunities": ["opportunity 1", "opportunity 2"],
-  "commonTargetDemographics": ["demographic 1", "demographic 2"],
-  "marketInsights": "Overall market analysis",
-  "recommendations": ["recommendation 1", "recommendation 2"],
-  "summary": "Executive summary of the market analysis"
-}
-`;
-
-      const completion = await this.openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: "system",
-            content: "You are a senior market research analyst. Synthesize multiple product analyses into comprehensive market insights."
-          },
-          {
-            role: "user",
-            content: summaryPrompt
-          }
-        ],
-        temperature: 0.6,
-        max_tokens: 1500,
-        response_format: { type: "json_object" }
+      const products = analyzed.map((product, index) => `
+Product ${index + 1}: ${product.name || product.analysis.productName || 'Unknown'}
+Analysis Summary: ${product.analysis.summary || 'No summary available'}
+Target Users: ${product.analysis.targetUsers?.map(u => u.demographic).join(', ') || 'Not specified'}
+Success Probability: ${product.analysis.successProbability || 'Unknown'}
+`).join('\n');
+
+      const { system, prompt, promptVersion } = await promptService.renderActive('market-summary', {
+        products,
+        productCount: analyzed.length,
+        languageName: (LANGUAGES[language] || LANGUAGES.en).name
       });
 
-      return JSON.parse(completion.choices[0].message.content);
-    } catch (error) {
-      console.error('Error generating market summary:', error);
+      const completion = await this.complete({
+        model: options.model || this.model,
+        system,
+        prompt,
+        temperature: 0.6,
+        maxTokens: 1500,
+        json: true
+      }, options.signal);
+
+      const summary = this.normalizeMarketSummary(JSON.parse(completion.text));
+      if (!summary.summary) {
+        throw new Error('Market summary response has no summary');
+      }
+
       return {
-        error: error.message,
-        summary: 'Failed to generate market summary'
+        ...summary,
+        language,
+        metadata: {
+          generatedAt: new Date().toISOString(),
+          provider: this.provider.name,
+          model: completion.model,
+          promptVersion,
+          productCount: analyzed.length,
+          tokensUsed: completion.usage.totalTokens,
+          usage: sumUsage([completion.usage])
+        }
       };
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw options.signal.reason;
+      }
+      console.error('Error generating market summary:', error);
+      return { ...this.createFallbackMarketSummary(analyzed, language), error: error.message };
     }
   }
+
+  // Keep the market summary fields the pages and exports use, as strings and string arrays
+  normalizeMarketSummary(raw) {
+    const list = value => Array.isArray(value)
+      ? value.filter(item => typeof item === 'string' && item.trim() !== '').map(item => item.trim())
+      : [];
+    const text = value => typeof value === 'string' ? value.trim() : '';
+
+    return {
+      overallTrends: list(raw?.overallTrends),
+      emergingOpportunities: list(raw?.emergingOpportunities),
+      commonTargetDemographics: list(raw?.commonTargetDemographics),
+      marketInsights: text(raw?.marketInsights),
+      recommendations: list(raw?.recommendations),
+      summary: text(raw?.summary)
+    };
+  }
+
+  // Rule-based market summary: the most common topics and target users, and the products rated high
+  createFallbackMarketSummary(analyzedProducts, language = DEFAULT_LANGUAGE) {
+    const text = FALLBACK_TEXT[language] || FALLBACK_TEXT.en;
+    const analyzed = analyzedProducts.filter(product => product.analysis && !product.analysis.error);
+
+    const countBy = values => Object.entries(values.reduce((counts, value) => {
+      counts[value] = (counts[value] || 0) + 1;
+      return counts;
+    }, {})).sort((a, b) => b[1] - a[1]).slice(0, 5);
+
+    const topics = countBy(analyzed.flatMap(product => product.topics?.map(t => t.name) || []));
+    const demographics = countBy(analyzed.flatMap(product => product.analysis.targetUsers?.map(u => u.demographic) || []));
+    const promising = analyzed.filter(product => normalizeLikelihood(product.analysis.successProbability) === 'high');
+    const topTopic = topics[0]?.[0] || text.general;
+    const topDemographic = demographics[0]?.[0] || text.general;
+
+    return {
+      overallTrends: topics.map(([topic, count]) => text.trend(topic, count)),
+      emergingOpportunities: promising.slice(0, 5).map(product => text.opportunity(product.name, product.tagline)),
+      commonTargetDemographics: demographics.map(([demographic]) => demographic),
+      marketInsights: text.marketInsights,
+      recommendations: [text.recommendation(topTopic, topDemographic)],
+      summary: text.marketSummary(analyzed.length, topTopic, promising.length),
+      fallback: true,
+      language: FALLBACK_TEXT[language] ? language : 'en',
+      metadata: {
+        generatedAt: new Date().toISOString(),
+        productCount: analyzed.length
+      }
+    };
+  }
 }
 
 module.exports = new ChatGPTService();
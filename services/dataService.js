@@ -1,23 +1,31 @@
-// Data Storage Service - Local file-based storage for analyzed product data
-const fs = require('fs').promises;
-const path = require('path');
+// Data Storage Service - Storage for analyzed product data on a pluggable backend
+const { createStorageAdapter } = require('./storage');
+const { getMessages, getRunLanguage, formatLikelihood } = require('../utils/locale');
+const { sumUsage } = require('../utils/pricing');
 
 class DataService {
-  constructor() {
-    this.dataDir = path.join(__dirname, '..', 'data');
-    this.ensureDataDirectory();
+  constructor(storage = createStorageAdapter()) {
+    this.storage = storage;
+    this.snapshotVersion = '1.1.0';
+    this.maxStoredRuns = parseInt(process.env.MAX_STORED_RUNS, 10) || 50;
+    this.ensureStorage().catch(error => {
+      console.error(`Failed to initialise ${this.storage.name} storage:`, error.message);
+    });
   }
 
-  // Ensure data directory exists
-  async ensureDataDirectory() {
-    try {
-      await fs.access(this.dataDir);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        await fs.mkdir(this.dataDir, { recursive: true });
-        console.log('Created data directory');
-      }
+  // Ensure the storage backend is ready (safe to call repeatedly)
+  ensureStorage() {
+    if (!this.storageReady) {
+      this.storageReady = this.storage.init();
     }
+    return this.storageReady;
+  }
+
+  // Swap the storage backend (used by tests and scripts)
+  setStorage(storage) {
+    this.storage = storage;
+    this.storageReady = null;
+    return this.ensureStorage();
   }
 
   // Generate filename with timestamp
@@ -26,46 +34,64 @@ class DataService {
     return `${prefix}_${timestamp}.json`;
   }
 
-  // Save analyzed product data
-  async saveAnalyzedData(analyzedProducts) {
+  // Run IDs are snapshot filenames without the .json extension
+  getRunId(filename) {
+    return filename.replace(/\.json$/, '');
+  }
+
+  // Only allow IDs the backends can store safely (no path separators)
+  isValidRunId(runId) {
+    return typeof runId === 'string' && /^product_analysis_[\w-]+$/.test(runId);
+  }
+
+  // Save analyzed product data (and the run's market summary, if any) as a new run snapshot
+  async saveAnalyzedData(analyzedProducts, runInfo = {}, marketSummary = null) {
     try {
-      await this.ensureDataDirectory();
+      await this.ensureStorage();
       
       const filename = this.generateFilename('product_analysis');
-      const filepath = path.join(this.dataDir, filename);
+      const hasError = p => p.error || p.analysis?.error;
       
       const dataToSave = {
         metadata: {
+          runId: this.getRunId(filename),
           timestamp: new Date().toISOString(),
           totalProducts: analyzedProducts.length,
-          version: '1.0.0',
+          version: this.snapshotVersion,
+          storage: this.storage.name,
           source: 'Product Hunt API',
-          analyzer: 'ChatGPT-4o'
+          analyzer: 'ChatGPT-4o',
+          ...runInfo
         },
         summary: {
-          successfulAnalyses: analyzedProducts.filter(p => !p.error).length,
-          failedAnalyses: analyzedProducts.filter(p => p.error).length,
+          status: runInfo.status || 'completed', // 'cancelled' runs hold only the products analyzed before cancellation
+          successfulAnalyses: analyzedProducts.filter(p => !hasError(p)).length,
+          failedAnalyses: analyzedProducts.filter(p => hasError(p)).length,
           totalVotes: analyzedProducts.reduce((sum, p) => sum + (p.votesCount || 0), 0),
           averageVotes: analyzedProducts.length > 0 ? 
             Math.round(analyzedProducts.reduce((sum, p) => sum + (p.votesCount || 0), 0) / analyzedProducts.length) : 0,
+          validation: this.countValidationStatuses(analyzedProducts),
           topCategories: this.extractTopCategories(analyzedProducts),
-          commonTargetUsers: this.extractCommonTargetUsers(analyzedProducts)
+          commonTargetUsers: this.extractCommonTargetUsers(analyzedProducts),
+          usage: this.sumRunUsage(analyzedProducts, marketSummary)
         },
+        marketSummary,
         products: analyzedProducts
       };
 
-      await fs.writeFile(filepath, JSON.stringify(dataToSave, null, 2));
+      const runId = dataToSave.metadata.runId;
+      const stored = await this.storage.saveRun(runId, dataToSave);
       
-      console.log(`Data saved successfully to: ${filename}`);
+      console.log(`Data saved successfully (${this.storage.name}): ${runId}`);
       
-      // Also save a latest.json file for easy access
-      const latestPath = path.join(this.dataDir, 'latest.json');
-      await fs.writeFile(latestPath, JSON.stringify(dataToSave, null, 2));
+      // Keep the data directory from growing without bound
+      await this.cleanupOldFiles(this.maxStoredRuns);
       
       return {
         success: true,
+        runId,
         filename: filename,
-        filepath: filepath,
+        filepath: stored.filepath || null,
         timestamp: dataToSave.metadata.timestamp,
         totalProducts: analyzedProducts.length
       };
@@ -76,6 +102,18 @@ class DataService {
     }
   }
 
+  // Count analyses by schema validation outcome (passed / repaired / failed)
+  countValidationStatuses(products) {
+    const counts = { passed: 0, repaired: 0, failed: 0 };
+    products.forEach(product => {
+      const status = product.analysis?.validation?.status;
+      if (status in counts) {
+        counts[status]++;
+      }
+    });
+    return counts;
+  }
+
   // Extract top categories from products
   extractTopCategories(products) {
     const categoryCount = {};
@@ -116,46 +154,77 @@ class DataService {
       .map(([demographic, count]) => ({ demographic, count }));
   }
 
-  // Get all stored data files
-  async getStoredData(req, res) {
+  // List all stored run snapshots, newest first
+  async listRuns() {
+    await this.ensureStorage();
+    return this.storage.listRuns();
+  }
+
+  // Get a stored run snapshot by ID (null if it does not exist)
+  async getRun(runId) {
+    if (!this.isValidRunId(runId)) {
+      return null;
+    }
+    
+    await this.ensureStorage();
+    return this.storage.getRun(runId);
+  }
+
+  // Newest stored run that analyzed the given launch day with live data (null if none)
+  async findLatestRunForDate(date) {
+    const runs = (await this.listRuns()).filter(run => !run.error);
+    
+    for (const run of runs) {
+      const data = await this.getRun(run.runId);
+      if (data?.metadata?.launchDay?.date === date && data.metadata.provenance?.live) {
+        return data;
+      }
+    }
+    return null;
+  }
+
+  // Delete a stored run snapshot
+  async deleteRun(runId) {
+    if (!this.isValidRunId(runId)) {
+      return false;
+    }
+    
+    await this.ensureStorage();
+    const deleted = await this.storage.deleteRun(runId);
+    if (deleted) {
+      console.log(`Deleted run: ${runId}`);
+    }
+    return deleted;
+  }
+
+  // Convert a stored snapshot into the shape the results page and SSE stream use
+  toRunResult(data) {
+    const products = data.products || [];
+    return {
+      runId: data.metadata?.runId || null,
+      status: data.metadata?.status || 'completed',
+      totalProducts: data.metadata?.totalProducts ?? products.length,
+      successCount: data.metadata?.successCount ?? data.summary?.successfulAnalyses ?? 0,
+      errorCount: data.metadata?.errorCount ?? data.summary?.failedAnalyses ?? 0,
+      timestamp: data.metadata?.timestamp,
+      params: data.metadata?.params || null,
+      launchDay: data.metadata?.launchDay || null,
+      provenance: data.metadata?.provenance || null,
+      marketSummary: data.marketSummary || null,
+      usage: data.summary?.usage || null,
+      products
+    };
+  }
+
+  // Get all stored data files (route handler)
+  getStoredData = async (req, res) => {
     try {
-      const files = await fs.readdir(this.dataDir);
-      const jsonFiles = files.filter(file => file.endsWith('.json') && file !== 'access_token.json');
-      
-      const fileDetails = await Promise.all(
-        jsonFiles.map(async (filename) => {
-          try {
-            const filepath = path.join(this.dataDir, filename);
-            const stats = await fs.stat(filepath);
-            const content = await fs.readFile(filepath, 'utf8');
-            const data = JSON.parse(content);
-            
-            return {
-              filename,
-              size: stats.size,
-              created: stats.birthtime,
-              modified: stats.mtime,
-              totalProducts: data.metadata?.totalProducts || 0,
-              timestamp: data.metadata?.timestamp,
-              summary: data.summary || {}
-            };
-          } catch (error) {
-            console.error(`Error reading file ${filename}:`, error);
-            return {
-              filename,
-              error: error.message
-            };
-          }
-        })
-      );
-      
-      // Sort by creation date, newest first
-      fileDetails.sort((a, b) => new Date(b.created) - new Date(a.created));
+      const runs = await this.listRuns();
       
       res.json({
         success: true,
-        totalFiles: fileDetails.length,
-        files: fileDetails
+        totalFiles: runs.length,
+        files: runs
       });
       
     } catch (error) {
@@ -165,84 +234,104 @@ class DataService {
         message: error.message
       });
     }
-  }
+  };
 
-  // Get specific data file by filename
-  async getDataByFilename(req, res) {
+  // Get specific run snapshot by ID or filename (route handler)
+  getDataByFilename = async (req, res) => {
+    const runId = this.getRunId(req.params.id || req.params.filename || '');
+    
     try {
-      const { filename } = req.params;
-      
-      // Security check: ensure filename doesn't contain path traversal
-      if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
-        return res.status(400).json({ error: 'Invalid filename' });
+      // Security check: the ID pattern rules out path traversal
+      if (!this.isValidRunId(runId)) {
+        return res.status(400).json({ error: 'Invalid run ID' });
       }
       
-      const filepath = path.join(this.dataDir, filename);
-      
-      try {
-        await fs.access(filepath);
-      } catch (error) {
-        return res.status(404).json({ error: 'File not found' });
+      const data = await this.getRun(runId);
+      if (!data) {
+        return res.status(404).json({ error: 'Run not found' });
       }
       
-      const content = await fs.readFile(filepath, 'utf8');
-      const data = JSON.parse(content);
-      
       res.json({
         success: true,
-        filename,
+        runId,
+        filename: `${runId}.json`,
         data
       });
       
     } catch (error) {
-      console.error(`Error reading file ${req.params.filename}:`, error);
+      console.error(`Error reading run ${runId}:`, error);
       res.status(500).json({
-        error: 'Failed to read file',
+        error: 'Failed to read run',
         message: error.message
       });
     }
-  }
+  };
 
-  // Get latest analysis data
-  async getLatestData() {
+  // Delete a run snapshot by ID (route handler)
+  deleteRunHandler = async (req, res) => {
+    const runId = req.params.id;
+    
     try {
-      const latestPath = path.join(this.dataDir, 'latest.json');
-      const content = await fs.readFile(latestPath, 'utf8');
-      return JSON.parse(content);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return null; // No data available
+      if (!this.isValidRunId(runId)) {
+        return res.status(400).json({ error: 'Invalid run ID' });
       }
-      throw error;
+      
+      const deleted = await this.deleteRun(runId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Run not found' });
+      }
+      
+      res.json({ success: true, runId });
+      
+    } catch (error) {
+      console.error(`Error deleting run ${runId}:`, error);
+      res.status(500).json({
+        error: 'Failed to delete run',
+        message: error.message
+      });
     }
+  };
+
+  // Get latest analysis data
+  async getLatestData() {
+    await this.ensureStorage();
+    return this.storage.getLatestRun(); // null when no data is available
   }
 
-  // Export data to CSV format
+  // Export data to CSV format (accepts a run ID or snapshot filename)
   async exportToCSV(filename) {
     try {
-      const filepath = path.join(this.dataDir, filename);
-      const content = await fs.readFile(filepath, 'utf8');
-      const data = JSON.parse(content);
+      const runId = this.getRunId(filename);
+      const data = await this.getRun(runId);
+      
+      if (!data) {
+        throw new Error(`Run not found: ${runId}`);
+      }
       
       if (!data.products || !Array.isArray(data.products)) {
         throw new Error('Invalid data format');
       }
       
-      // Create CSV headers
+      // Create CSV headers in the run's locale
+      const language = getRunLanguage(data);
+      const messages = getMessages(language);
+      const { csv } = messages;
       const headers = [
-        'Product Name',
-        'Tagline',
-        'Votes Count',
-        'Comments Count',
-        'Website',
-        'Topics',
-        'Target Users',
-        'Success Probability',
-        'Market Fit',
-        'Analysis Summary'
+        csv.name,
+        csv.tagline,
+        csv.votes,
+        csv.comments,
+        csv.website,
+        csv.topics,
+        csv.targetUsers,
+        csv.successProbability,
+        csv.marketFit,
+        csv.summary,
+        csv.source,
+        csv.dateWindow
       ];
       
-      // Create CSV rows
+      // Create CSV rows (ratings are stored canonical and localized here)
       const rows = data.products.map(product => [
         product.name || '',
         product.tagline || '',
@@ -251,25 +340,28 @@ class DataService {
         product.website || '',
         product.topics?.map(t => t.name).join('; ') || '',
         product.analysis?.targetUsers?.map(u => u.demographic).join('; ') || '',
-        product.analysis?.successProbability || '',
+        product.analysis?.successProbability ? formatLikelihood(product.analysis.successProbability, language) : '',
         product.analysis?.productAnalysis?.marketFit || '',
-        product.analysis?.summary || ''
+        product.analysis?.summary || '',
+        product.source || '',
+        product.dateWindow || ''
       ]);
       
-      // Combine headers and rows
-      const csvContent = [headers, ...rows]
-        .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      // Combine headers and rows, with a warning row first when the data is not live
+      const notice = data.metadata?.provenance?.notice;
+      const noticeRows = notice ? [[`NOT LIVE DATA: ${notice}`]] : [];
+      const csvContent = [...noticeRows, headers, ...rows, ...this.marketSummaryRows(data.marketSummary, messages)]
+        .map(row => row.map(cell => this.csvCell(cell)).join(','))
         .join('\n');
       
-      const csvFilename = filename.replace('.json', '.csv');
-      const csvPath = path.join(this.dataDir, csvFilename);
-      
-      await fs.writeFile(csvPath, csvContent);
+      const csvFilename = `${runId}.csv`;
+      const stored = await this.storage.saveExport(csvFilename, csvContent);
       
       return {
         success: true,
         csvFilename,
-        csvPath
+        csvPath: stored.filepath || null,
+        csvContent
       };
       
     } catch (error) {
@@ -278,39 +370,49 @@ class DataService {
     }
   }
 
-  // Clean up old data files (keep only last N files)
+  // LLM tokens and cost spent by a run: fresh analyses (cache hits cost nothing) plus the market summary
+  sumRunUsage(analyzedProducts, marketSummary = null) {
+    return sumUsage([
+      ...analyzedProducts
+        .filter(product => !product.analysis?.metadata?.cacheHit)
+        .map(product => product.analysis?.metadata?.usage),
+      marketSummary?.metadata?.usage
+    ]);
+  }
+
+  // Quote a CSV cell, doubling embedded quotes. Cells starting with = + - @ tab or CR are prefixed with '
+  // so spreadsheets treat scraped product text as text rather than a formula (same rule as public/js/resultsExport.js).
+  csvCell(value) {
+    const text = String(value ?? '').replace(/^[=+\-@\t\r]/, "'$&");
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  // CSV rows for a run's market summary, placed after the product rows (none when the run has no summary)
+  marketSummaryRows(marketSummary, messages) {
+    if (!marketSummary) {
+      return [];
+    }
+
+    return [
+      [],
+      [messages.marketSummaryTitle, marketSummary.summary || ''],
+      [messages.overallTrends, (marketSummary.overallTrends || []).join('; ')],
+      [messages.emergingOpportunities, (marketSummary.emergingOpportunities || []).join('; ')],
+      [messages.commonTargetDemographics, (marketSummary.commonTargetDemographics || []).join('; ')],
+      [messages.marketInsights, marketSummary.marketInsights || ''],
+      [messages.recommendations, (marketSummary.recommendations || []).join('; ')]
+    ];
+  }
+
+  // Clean up old runs (keep only last N runs)
   async cleanupOldFiles(keepCount = 10) {
     try {
-      const files = await fs.readdir(this.dataDir);
-      const jsonFiles = files
-        .filter(file => file.endsWith('.json') && file !== 'access_token.json' && file !== 'latest.json')
-        .map(filename => ({
-          filename,
-          path: path.join(this.dataDir, filename)
-        }));
-      
-      // Get file stats and sort by creation date
-      const filesWithStats = await Promise.all(
-        jsonFiles.map(async (file) => {
-          const stats = await fs.stat(file.path);
-          return { ...file, created: stats.birthtime };
-        })
-      );
-      
-      filesWithStats.sort((a, b) => b.created - a.created);
-      
-      // Delete files beyond the keep count
-      const filesToDelete = filesWithStats.slice(keepCount);
-      
-      for (const file of filesToDelete) {
-        await fs.unlink(file.path);
-        console.log(`Deleted old file: ${file.filename}`);
-      }
+      await this.ensureStorage();
+      const result = await this.storage.pruneRuns(keepCount);
       
       return {
         success: true,
-        deletedCount: filesToDelete.length,
-        remainingCount: filesWithStats.length - filesToDelete.length
+        ...result
       };
       
     } catch (error) {
@@ -321,3 +423,4 @@ class DataService {
 }
 
 module.exports = new DataService();
+module.exports.DataService = DataService;
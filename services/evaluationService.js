@@ -0,0 +1,326 @@
+// Evaluation Service - replay stored or mock products through two prompt/model variants and compare them
+const crypto = require('crypto');
+const ErrorHandler = require('../middleware/errorHandler');
+const chatGPTService = require('./chatGPTService');
+const dataService = require('./dataService');
+const productHuntService = require('./productHuntService');
+const promptService = require('./promptService');
+const logger = require('../utils/logger');
+const { validateField } = require('../utils/analysisParams');
+const { html } = require('../utils/html');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, formatLikelihood } = require('../utils/locale');
+
+const variantSchema = {
+  label: { type: 'string', maxLength: 50 },
+  model: { type: 'string', pattern: /^[\w.:\/-]{1,100}$/ },
+  promptVersion: { type: 'integer', min: 1, max: 10000 }
+};
+
+class EvaluationService {
+  constructor() {
+    this.collection = 'evaluations';
+    this.running = new Map(); // id -> in-progress report
+    this.finishing = new Map(); // id -> promise that settles once the report is stored
+  }
+
+  // Validate an evaluation request: { runId | source: 'mock', limit, language, variants: [a, b] }
+  parseRequest(input = {}) {
+    const errors = [];
+    const request = { runId: null, limit: 5, language: DEFAULT_LANGUAGE, variants: [] };
+
+    if (input.runId !== undefined) {
+      if (!dataService.isValidRunId(input.runId)) {
+        errors.push('runId is not a valid run ID');
+      } else {
+        request.runId = input.runId;
+      }
+    } else if (input.source !== undefined && input.source !== 'mock') {
+      errors.push('source must be "mock" when no runId is given');
+    }
+
+    const fields = {
+      limit: { type: 'integer', min: 1, max: 20 },
+      language: { type: 'string', enum: SUPPORTED_LANGUAGES }
+    };
+    Object.entries(fields).forEach(([name, rule]) => {
+      if (input[name] === undefined || input[name] === '') return;
+      const [value, error] = validateField(name, rule, input[name]);
+      if (error) errors.push(error);
+      else request[name] = value;
+    });
+
+    if (!Array.isArray(input.variants) || input.variants.length !== 2) {
+      errors.push('variants must be an array of exactly two { label, model, promptVersion } objects');
+    } else {
+      input.variants.forEach((variant, index) => {
+        const parsed = { label: index === 0 ? 'A' : 'B' };
+        Object.entries(variant || {}).forEach(([name, raw]) => {
+          const rule = variantSchema[name];
+          if (!rule) {
+            errors.push(`variants[${index}]: unknown field ${name}`);
+            return;
+          }
+          const [value, error] = validateField(`variants[${index}].${name}`, rule, raw);
+          if (error) errors.push(error);
+          else parsed[name] = value;
+        });
+        request.variants.push(parsed);
+      });
+    }
+
+    if (!chatGPTService.provider.isConfigured()) {
+      errors.push(`LLM provider "${chatGPTService.provider.name}" is not configured; evaluations need real model output`);
+    }
+
+    if (errors.length > 0) {
+      throw ErrorHandler.createValidationError('Invalid evaluation request', { errors });
+    }
+    return request;
+  }
+
+  // Products to replay, without their stored analyses
+  async loadProducts(request) {
+    let products;
+    if (request.runId) {
+      const run = await dataService.getRun(request.runId);
+      if (!run) {
+        const error = new Error(`Run not found: ${request.runId}`);
+        error.name = 'NotFoundError';
+        throw error;
+      }
+      products = run.products || [];
+    } else {
+      products = productHuntService.getMockProducts(request.limit);
+    }
+    return products.slice(0, request.limit).map(({ analysis, ...product }) => product);
+  }
+
+  // Analyze one product with one variant, timing the call. Never touches the analysis cache.
+  async runVariant(product, variant, language) {
+    const startedAt = Date.now();
+    const analysis = await chatGPTService.requestAnalysis(product, {
+      model: variant.model,
+      language,
+      promptVersion: variant.promptVersion
+    });
+
+    return {
+      variant: variant.label,
+      status: analysis.validation?.status || 'failed',
+      error: analysis.error || null,
+      successProbability: analysis.successProbability || null,
+      targetUsers: analysis.targetUsers || [],
+      summary: analysis.summary || null,
+      promptVersion: analysis.metadata?.promptVersion || null,
+      model: analysis.metadata?.model || variant.model || chatGPTService.analysisModel,
+      tokensUsed: analysis.metadata?.tokensUsed || 0,
+      cost: analysis.metadata?.usage?.cost || 0,
+      latencyMs: Date.now() - startedAt
+    };
+  }
+
+  // Aggregate one variant's results: schema pass rate, tokens and latency
+  summarizeVariant(variant, results) {
+    const count = status => results.filter(result => result.status === status).length;
+    const latencies = results.map(result => result.latencyMs).sort((a, b) => a - b);
+    const tokens = results.reduce((sum, result) => sum + result.tokensUsed, 0);
+    const cost = results.reduce((sum, result) => sum + (result.cost || 0), 0);
+    const rate = value => results.length > 0 ? Math.round((value / results.length) * 1000) / 1000 : 0;
+
+    return {
+      ...variant,
+      products: results.length,
+      passed: count('passed'),
+      repaired: count('repaired'),
+      failed: count('failed'),
+      schemaPassRate: rate(count('passed')),
+      validRate: rate(count('passed') + count('repaired')),
+      totalTokens: tokens,
+      averageTokens: results.length > 0 ? Math.round(tokens / results.length) : 0,
+      totalCost: Math.round(cost * 1e6) / 1e6,
+      averageLatencyMs: results.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / results.length) : 0,
+      medianLatencyMs: latencies.length > 0 ? latencies[Math.floor(latencies.length / 2)] : 0,
+      maxLatencyMs: latencies.length > 0 ? latencies[latencies.length - 1] : 0
+    };
+  }
+
+  // Start an evaluation in the background; returns the in-progress report
+  async start(input) {
+    const request = this.parseRequest(input);
+
+    // Fail before any model call when a variant names a prompt version that does not exist
+    const templateName = request.language === 'zh' ? 'analysis-zh' : 'analysis';
+    for (const variant of request.variants.filter(variant => variant.promptVersion)) {
+      if (!await promptService.getVersion(templateName, variant.promptVersion)) {
+        throw ErrorHandler.createValidationError('Invalid evaluation request', {
+          errors: [`Prompt template ${templateName} has no version ${variant.promptVersion}`]
+        });
+      }
+    }
+
+    const products = await this.loadProducts(request);
+
+    const report = {
+      // Random suffix so evaluations started in the same millisecond do not overwrite each other
+      id: `evaluation_${new Date().toISOString().replace(/[:.]/g, '-')}_${crypto.randomBytes(4).toString('hex')}`,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      source: request.runId ? { type: 'run', runId: request.runId } : { type: 'mock' },
+      language: request.language,
+      provider: chatGPTService.provider.name,
+      variants: request.variants,
+      progress: { completed: 0, total: products.length },
+      summary: null,
+      products: []
+    };
+
+    this.running.set(report.id, report);
+    const finished = this.run(report, products).catch(error => {
+      report.status = 'failed';
+      report.error = error.message;
+      report.completedAt = new Date().toISOString();
+      logger.error('Prompt evaluation failed', { id: report.id, error: error.message });
+      return this.saveReport(report);
+    }).catch(error => {
+      logger.error('Failed to store prompt evaluation', { id: report.id, error: error.message });
+    }).finally(() => this.finishing.delete(report.id));
+    this.finishing.set(report.id, finished);
+
+    return report;
+  }
+
+  // Resolve with the report once its evaluation has finished (completed or failed)
+  async waitForReport(id) {
+    await this.finishing.get(id);
+    return this.getReport(id);
+  }
+
+  async run(report, products) {
+    for (const product of products) {
+      // Variants run one after the other so their latencies are not measured under each other's load
+      const results = [];
+      for (const variant of report.variants) {
+        results.push(await this.runVariant(product, variant, report.language));
+      }
+
+      const [a, b] = results;
+      report.products.push({
+        product: { id: product.id, name: product.name, tagline: product.tagline },
+        results,
+        agree: a.successProbability && b.successProbability ? a.successProbability === b.successProbability : null
+      });
+      report.progress.completed++;
+    }
+
+    const compared = report.products.filter(entry => entry.agree !== null);
+    report.summary = {
+      variants: report.variants.map((variant, index) =>
+        this.summarizeVariant(variant, report.products.map(entry => entry.results[index]))
+      ),
+      successProbabilityAgreement: {
+        compared: compared.length,
+        agreed: compared.filter(entry => entry.agree).length,
+        rate: compared.length > 0 ? Math.round((compared.filter(entry => entry.agree).length / compared.length) * 1000) / 1000 : null
+      }
+    };
+    report.status = 'completed';
+    report.completedAt = new Date().toISOString();
+
+    await this.saveReport(report);
+    logger.info('Prompt evaluation completed', { id: report.id, agreement: report.summary.successProbabilityAgreement.rate });
+  }
+
+  // Finished (completed or failed) reports move from memory to storage
+  async saveReport(report) {
+    await dataService.ensureStorage();
+    await dataService.storage.setRecord(this.collection, report.id, report);
+    this.running.delete(report.id);
+  }
+
+  async getReport(id) {
+    if (this.running.has(id)) {
+      return this.running.get(id);
+    }
+    if (!/^evaluation_[\w-]+$/.test(id)) {
+      return null;
+    }
+    await dataService.ensureStorage();
+    return dataService.storage.getRecord(this.collection, id);
+  }
+
+  // Evaluation summaries, newest first
+  async listReports() {
+    await dataService.ensureStorage();
+    const stored = (await dataService.storage.listRecords(this.collection)).map(record => record.value);
+    return [...this.running.values(), ...stored]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(({ products, ...summary }) => summary);
+  }
+
+  // Side-by-side HTML comparison of a finished (or running) evaluation; `nonce` is the request's CSP nonce
+  renderHtml(report, nonce) {
+    const describe = variant => `${variant.label}: ${variant.model || chatGPTService.analysisModel}, prompt ${variant.promptVersion ? `v${variant.promptVersion}` : 'active'}`;
+    const rating = value => value ? formatLikelihood(value, 'en') : '—';
+
+    const summaryRows = (report.summary?.variants || []).map(variant => html`
+      <tr>
+        <td>${describe(variant)}</td>
+        <td>${variant.passed} / ${variant.repaired} / ${variant.failed}</td>
+        <td>${Math.round(variant.schemaPassRate * 100)}% (${Math.round(variant.validRate * 100)}% after repair)</td>
+        <td>${variant.totalTokens} (avg ${variant.averageTokens}) · $${(variant.totalCost || 0).toFixed(4)}</td>
+        <td>${variant.averageLatencyMs} ms (median ${variant.medianLatencyMs}, max ${variant.maxLatencyMs})</td>
+      </tr>`);
+
+    const productRows = report.products.map(entry => html`
+      <tr class="${entry.agree === false ? 'disagree' : ''}">
+        <td><strong>${entry.product.name}</strong><br><small>${entry.product.tagline}</small></td>
+        ${entry.results.map(result => html`
+        <td>
+          <div><span class="status status-${result.status}">${result.status}</span> · ${rating(result.successProbability)} · ${result.tokensUsed} tokens · ${result.latencyMs} ms</div>
+          ${result.error && html`<div class="error">${result.error}</div>`}
+          <div>${result.summary}</div>
+          <div><small>${result.targetUsers.map(user => user.demographic).join(' · ')}</small></div>
+        </td>`)}
+      </tr>`);
+
+    const agreement = report.summary?.successProbabilityAgreement;
+
+    return String(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Prompt Evaluation ${report.id} - Product Hunt Analyzer</title>
+    <style nonce="${nonce}">
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; margin: 20px; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 30px; }
+        th, td { border: 1px solid #ddd; padding: 8px; vertical-align: top; text-align: left; }
+        th { background: #f8f9fa; }
+        tr.disagree { background: #fff3cd; }
+        .status { padding: 2px 6px; border-radius: 4px; font-size: 0.8rem; }
+        .status-passed { background: #d4edda; }
+        .status-repaired { background: #fff3cd; }
+        .status-failed { background: #f8d7da; }
+        .error { color: #721c24; }
+    </style>
+</head>
+<body>
+    <h1>Prompt Evaluation</h1>
+    <p>${report.id} · ${report.status} · ${report.progress.completed}/${report.progress.total} products ·
+       source: ${report.source.type === 'run' ? `run ${report.source.runId}` : 'mock products'} · language: ${report.language} · provider: ${report.provider}</p>
+    ${agreement && html`<p><strong>successProbability agreement:</strong> ${agreement.agreed}/${agreement.compared}${agreement.rate !== null && ` (${Math.round(agreement.rate * 100)}%)`}</p>`}
+    <table>
+        <tr><th>Variant</th><th>Passed / repaired / failed</th><th>Schema pass rate</th><th>Tokens · cost</th><th>Latency</th></tr>
+        ${summaryRows}
+    </table>
+    <table>
+        <tr><th>Product</th>${report.variants.map(variant => html`<th>${describe(variant)}</th>`)}</tr>
+        ${productRows}
+    </table>
+</body>
+</html>`);
+  }
+}
+
+module.exports = new EvaluationService();
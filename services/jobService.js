@@ -0,0 +1,279 @@
+// Job Service - background analysis jobs decoupled from the HTTP connections that watch them
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const analysisPipeline = require('./analysisPipeline');
+const logger = require('../utils/logger');
+const { getLaunchDate } = require('../utils/launchDay');
+const { createAbortError } = require('../utils/abort');
+
+// Events that end a job's event stream
+const TERMINAL_EVENTS = ['complete', 'error', 'cancelled'];
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.queue = [];
+    this.activeCount = 0;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+    this.maxFinishedJobs = parseInt(process.env.MAX_FINISHED_JOBS, 10) || 20;
+    // How long a job started by a streaming request survives with no client watching (room for
+    // EventSource reconnects) before it is cancelled
+    this.disconnectGraceMs = parseInt(process.env.STREAM_DISCONNECT_GRACE_MS, 10) || 15000;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per connected SSE client
+  }
+
+  // Jobs for the same launch day share a key so concurrent requests join one run
+  getDayKey(date = new Date()) {
+    return getLaunchDate(date);
+  }
+
+  // Jobs only join when they would analyze the same day with the same parameters
+  getJoinKey(dayKey, params) {
+    const sorted = Object.keys(params).sort().reduce((acc, key) => {
+      acc[key] = params[key];
+      return acc;
+    }, {});
+    return `${dayKey}:${JSON.stringify(sorted)}`;
+  }
+
+  isActive(job) {
+    return job.status === 'queued' || job.status === 'running';
+  }
+
+  isTerminalEvent(event) {
+    return TERMINAL_EVENTS.includes(event);
+  }
+
+  // Create a job, or return the matching active job for the same day. Returns { job, joined }.
+  // params must already be validated with parseAnalysisParams. cancelOnDisconnect ties the job to its
+  // SSE watchers: once the last one has been gone for disconnectGraceMs the job is cancelled.
+  createJob({ trigger = 'manual', params: input = {}, cancelOnDisconnect = false } = {}) {
+    // Pin the launch day now so a job queued before midnight Pacific still analyzes that day
+    const params = { ...input, date: input.date || this.getDayKey() };
+    const dayKey = params.date;
+    const joinKey = this.getJoinKey(dayKey, params);
+    const existing = Array.from(this.jobs.values()).find(job => job.joinKey === joinKey && this.isActive(job));
+
+    if (existing) {
+      // Someone else now wants the result, so only cancel on disconnect if every requester asked for it
+      existing.cancelOnDisconnect = existing.cancelOnDisconnect && cancelOnDisconnect;
+      logger.info('Joining active analysis job', { jobId: existing.id, trigger });
+      return { job: existing, joined: true };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      dayKey,
+      joinKey,
+      trigger,
+      params,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      runId: null,
+      error: null,
+      result: null,
+      events: [],
+      cancelOnDisconnect,
+      subscribers: 0,
+      disconnectTimer: null,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    logger.info('Analysis job queued', { jobId: job.id, trigger });
+
+    // Nobody is watching yet: a client that never attaches gets the same grace period as one that left
+    if (cancelOnDisconnect) {
+      this.scheduleDisconnectCancel(job);
+    }
+
+    this.processQueue();
+    return { job, joined: false };
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Public view of a job (events are served through the SSE endpoint)
+  toJSON(job) {
+    const { events, result, joinKey, subscribers, disconnectTimer, controller, ...info } = job;
+    return {
+      ...info,
+      eventCount: events.length,
+      summary: result ? {
+        status: result.status,
+        totalProducts: result.totalProducts,
+        successCount: result.successCount,
+        errorCount: result.errorCount
+      } : null
+    };
+  }
+
+  listJobs() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(job => this.toJSON(job));
+  }
+
+  // Append an event to the job log and notify subscribers
+  emit(job, event, data) {
+    const entry = { id: job.events.length + 1, event, data };
+    job.events.push(entry);
+    this.emitter.emit(job.id, entry);
+  }
+
+  // Replay events after lastEventId, then follow live events until the job finishes.
+  // Returns an unsubscribe function.
+  subscribe(jobId, lastEventId, listener) {
+    const job = this.getJob(jobId);
+    if (!job) {
+      return () => {};
+    }
+
+    job.events
+      .filter(entry => entry.id > lastEventId)
+      .forEach(entry => listener(entry));
+
+    if (!this.isActive(job)) {
+      return () => {};
+    }
+
+    this.emitter.on(jobId, listener);
+    job.subscribers++;
+    clearTimeout(job.disconnectTimer);
+
+    return () => {
+      this.emitter.removeListener(jobId, listener);
+      job.subscribers--;
+      if (job.cancelOnDisconnect && job.subscribers === 0 && this.isActive(job)) {
+        this.scheduleDisconnectCancel(job);
+      }
+    };
+  }
+
+  // Cancel the job once it has had no SSE watcher for disconnectGraceMs
+  scheduleDisconnectCancel(job) {
+    clearTimeout(job.disconnectTimer);
+    job.disconnectTimer = setTimeout(() => {
+      if (job.subscribers === 0) {
+        logger.info('No client watching streamed analysis job, cancelling', { jobId: job.id });
+        this.cancelJob(job.id, 'Client disconnected');
+      }
+    }, this.disconnectGraceMs);
+  }
+
+  // Cancel a queued or running job. Queued jobs are dropped right away; running jobs have their
+  // in-flight requests aborted and finish as 'cancelled' once the pipeline has unwound.
+  // Returns the job, or null when there is no such job.
+  cancelJob(jobId, reason = 'Run cancelled') {
+    const job = this.getJob(jobId);
+    if (!job || !this.isActive(job) || job.controller.signal.aborted) {
+      return job;
+    }
+
+    logger.info('Cancelling analysis job', { jobId, reason });
+    job.controller.abort(createAbortError(reason));
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+      this.finishCancelled(job, { message: reason });
+      this.pruneFinishedJobs();
+    }
+    return job;
+  }
+
+  finishCancelled(job, data) {
+    clearTimeout(job.disconnectTimer);
+    job.status = 'cancelled';
+    job.error = data.message;
+    job.finishedAt = new Date().toISOString();
+    this.emit(job, 'cancelled', data);
+  }
+
+  // Resolve with the finished job
+  waitForJob(jobId) {
+    const job = this.getJob(jobId);
+    if (!job || !this.isActive(job)) {
+      return Promise.resolve(job);
+    }
+
+    return new Promise(resolve => {
+      const listener = (entry) => {
+        if (this.isTerminalEvent(entry.event)) {
+          this.emitter.removeListener(jobId, listener);
+          resolve(job);
+        }
+      };
+      this.emitter.on(jobId, listener);
+    });
+  }
+
+  processQueue() {
+    while (this.activeCount < this.concurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.activeCount++;
+
+      this.runJob(job).finally(() => {
+        this.activeCount--;
+        this.pruneFinishedJobs();
+        this.processQueue();
+      });
+    }
+  }
+
+  async runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const result = await analysisPipeline.run({
+        ...job.params,
+        trigger: job.trigger,
+        signal: job.controller.signal,
+        onEvent: (event, data) => this.emit(job, event, data)
+      });
+
+      // Cancelled after some products were analyzed: the partial run was saved
+      if (result.status === 'cancelled') {
+        job.runId = result.runId;
+        job.result = result;
+        this.finishCancelled(job, { ...result, message: job.controller.signal.reason.message });
+        return;
+      }
+
+      clearTimeout(job.disconnectTimer);
+      job.status = 'completed';
+      job.runId = result.runId;
+      job.result = result;
+      job.finishedAt = new Date().toISOString();
+      this.emit(job, 'complete', result);
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.finishCancelled(job, { message: job.controller.signal.reason.message });
+        return;
+      }
+      clearTimeout(job.disconnectTimer);
+      logger.error('Analysis job failed', { jobId: job.id, error: error.message });
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+      this.emit(job, 'error', { message: error.message });
+    }
+  }
+
+  // Keep only the most recent finished jobs in memory (runs themselves live in dataService)
+  pruneFinishedJobs() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => !this.isActive(job))
+      .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+
+    finished.slice(this.maxFinishedJobs).forEach(job => this.jobs.delete(job.id));
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,116 @@
+// Anthropic Provider - Claude models through the Messages API
+const axios = require('axios');
+const UsageTracker = require('./usageTracker');
+
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey;
+    this.apiUrl = options.apiUrl || 'https://api.anthropic.com/v1/messages';
+    this.apiVersion = '2023-06-01';
+    this.defaultModel = options.model || 'claude-3-5-sonnet-latest';
+    this.analysisModel = options.analysisModel || 'claude-3-5-haiku-latest';
+    this.timeout = options.timeout || 60000;
+    this.retryDelay = 2000; // 2 seconds
+    this.usage = new UsageTracker();
+  }
+
+  isConfigured() {
+    return !!this.apiKey && this.apiKey !== 'your_anthropic_api_key';
+  }
+
+  // Run one message: { model, system, prompt, temperature, maxTokens, json, signal } -> { text, model, usage }.
+  // There is no JSON mode, so JSON requests prefill the reply with "{" to keep the model on format.
+  async complete({ model = this.defaultModel, system, prompt, temperature, maxTokens = 1024, json = false, signal }) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} provider is not configured`);
+    }
+
+    const prefill = json ? '{' : '';
+
+    try {
+      const response = await axios.post(
+        this.apiUrl,
+        {
+          model,
+          max_tokens: maxTokens,
+          temperature,
+          ...(system ? { system } : {}),
+          messages: [
+            { role: 'user', content: prompt },
+            ...(prefill ? [{ role: 'assistant', content: prefill }] : [])
+          ]
+        },
+        {
+          headers: {
+            'x-api-key': this.apiKey,
+            'anthropic-version': this.apiVersion,
+            'content-type': 'application/json'
+          },
+          timeout: this.timeout,
+          signal
+        }
+      );
+
+      const data = response.data;
+      const usage = {
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0
+      };
+      this.usage.record(model, usage);
+
+      const text = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return {
+        text: prefill + text,
+        model: data.model || model,
+        usage: { ...usage, totalTokens: usage.inputTokens + usage.outputTokens }
+      };
+    } catch (error) {
+      this.usage.recordError(model);
+      throw this.normalizeError(error);
+    }
+  }
+
+  // Give axios errors the same status/headers shape the OpenAI SDK errors have
+  normalizeError(error) {
+    if (!error.response) {
+      return error;
+    }
+
+    const apiError = error.response.data?.error;
+    const normalized = new Error(`Anthropic API error ${error.response.status}: ${apiError?.message || error.message}`);
+    normalized.status = error.response.status;
+    normalized.headers = error.response.headers || {};
+    normalized.type = apiError?.type;
+    return normalized;
+  }
+
+  // Retry rate limits, overload (529) and server errors
+  shouldRetry(error) {
+    if (error.status === 429 || error.status === 529) return true;
+    if (error.status >= 500 && error.status < 600) return true;
+    if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') return true;
+
+    return false;
+  }
+
+  getRetryDelay(error, retryCount = 0) {
+    const retryAfter = parseFloat(error.headers?.['retry-after']);
+    if (!Number.isNaN(retryAfter)) {
+      return Math.ceil(retryAfter * 1000);
+    }
+    // Overload clears more slowly than a per-minute rate limit
+    const base = error.status === 529 ? this.retryDelay * 2 : this.retryDelay;
+    return base * (retryCount + 1);
+  }
+
+  getUsage() {
+    return this.usage.toJSON();
+  }
+}
+
+module.exports = AnthropicProvider;
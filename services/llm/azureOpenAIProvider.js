@@ -0,0 +1,46 @@
+// Azure OpenAI Provider - same chat completions API, addressed by deployment instead of model name
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openAIProvider');
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    const deployment = options.deployment;
+    super({
+      ...options,
+      name: 'azure',
+      // Azure routes by deployment, so "model" is a deployment name here
+      model: options.model || deployment,
+      analysisModel: options.analysisModel || deployment
+    });
+  }
+
+  isConfigured() {
+    return !!this.apiKey && !!this.options.endpoint && !!this.defaultModel;
+  }
+
+  createClient() {
+    return new AzureOpenAI({
+      apiKey: this.apiKey,
+      endpoint: this.options.endpoint,
+      apiVersion: this.options.apiVersion || '2024-10-21',
+      timeout: this.timeout,
+      maxRetries: 0
+    });
+  }
+
+  // Azure answers 408 when an overloaded deployment times out the request
+  shouldRetry(error) {
+    return error.status === 408 || super.shouldRetry(error);
+  }
+
+  // Azure sends the precise wait in retry-after-ms
+  getRetryDelay(error, retryCount = 0) {
+    const retryAfterMs = parseInt(error.headers?.['retry-after-ms'], 10);
+    if (!Number.isNaN(retryAfterMs)) {
+      return retryAfterMs;
+    }
+    return super.getRetryDelay(error, retryCount);
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,56 @@
+// LLM provider factory - picks the ChatGPTService backend from LLM_PROVIDER
+//
+// Every provider implements the same interface:
+//   name                         provider id (openai, anthropic, azure, local)
+//   defaultModel, analysisModel  models for market summaries and per-product analysis
+//   isConfigured()               true when credentials/endpoint are present
+//   complete(request)            { model, system, prompt, temperature, maxTokens, json } -> { text, model, usage }
+//   shouldRetry(error)           provider-specific retry rules
+//   getRetryDelay(error, retry)  milliseconds to wait before the next attempt
+//   getUsage()                   token accounting since startup, totals and per model
+//
+// LLM_MODEL and LLM_ANALYSIS_MODEL override the provider's default models.
+const OpenAIProvider = require('./openAIProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const AzureOpenAIProvider = require('./azureOpenAIProvider');
+const LocalProvider = require('./localProvider');
+
+function createLLMProvider(provider = process.env.LLM_PROVIDER || 'openai') {
+  const models = {
+    model: process.env.LLM_MODEL,
+    analysisModel: process.env.LLM_ANALYSIS_MODEL
+  };
+
+  switch (provider.toLowerCase()) {
+    case 'openai':
+      return new OpenAIProvider({ ...models, apiKey: process.env.OPENAI_API_KEY });
+    case 'anthropic':
+      return new AnthropicProvider({ ...models, apiKey: process.env.ANTHROPIC_API_KEY });
+    case 'azure':
+      return new AzureOpenAIProvider({
+        ...models,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION
+      });
+    case 'local':
+      return new LocalProvider({
+        ...models,
+        baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LOCAL_LLM_API_KEY,
+        model: process.env.LLM_MODEL || process.env.LOCAL_LLM_MODEL,
+        jsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false'
+      });
+    default:
+      throw new Error(`Unknown LLM provider "${provider}". Use openai, anthropic, azure or local.`);
+  }
+}
+
+module.exports = {
+  createLLMProvider,
+  OpenAIProvider,
+  AnthropicProvider,
+  AzureOpenAIProvider,
+  LocalProvider
+};
@@ -0,0 +1,40 @@
+// Local Provider - any OpenAI-compatible endpoint (Ollama, llama.cpp server, vLLM) for offline runs
+const OpenAI = require('openai');
+const OpenAIProvider = require('./openAIProvider');
+
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'local',
+      model: options.model || 'llama3.1',
+      analysisModel: options.analysisModel || options.model || 'llama3.1',
+      timeout: options.timeout || 120000 // CPU inference can be slow
+    });
+  }
+
+  // Local servers usually need no key, only a reachable base URL
+  isConfigured() {
+    return !!this.options.baseURL;
+  }
+
+  createClient() {
+    return new OpenAI({
+      baseURL: this.options.baseURL,
+      apiKey: this.apiKey || 'local', // The SDK insists on a key; local servers ignore it
+      timeout: this.timeout,
+      maxRetries: 0
+    });
+  }
+
+  // A model that is still loading answers 503; a server that is down will not come back by retrying
+  shouldRetry(error) {
+    if (error.code === 'ECONNREFUSED') return false;
+    if (error.status >= 500 && error.status < 600) return true;
+    if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') return true;
+
+    return false;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,87 @@
+// OpenAI Provider - chat completions through the official openai SDK
+const OpenAI = require('openai');
+const UsageTracker = require('./usageTracker');
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.options = options;
+    this.name = options.name || 'openai';
+    this.apiKey = options.apiKey;
+    this.defaultModel = options.model || 'gpt-4o';
+    this.analysisModel = options.analysisModel || 'gpt-4o-mini';
+    this.supportsJsonMode = options.jsonMode ?? true;
+    this.timeout = options.timeout || 60000;
+    this.retryDelay = 2000; // 2 seconds
+    this.usage = new UsageTracker();
+    this.client = this.isConfigured() ? this.createClient() : null;
+  }
+
+  isConfigured() {
+    return !!this.apiKey && this.apiKey !== 'your_openai_api_key';
+  }
+
+  // Retries are handled by ChatGPTService using the rules below, so the SDK's own retries are off
+  createClient() {
+    return new OpenAI({ apiKey: this.apiKey, timeout: this.timeout, maxRetries: 0 });
+  }
+
+  // Run one chat completion: { model, system, prompt, temperature, maxTokens, json, signal } -> { text, model, usage }
+  async complete({ model = this.defaultModel, system, prompt, temperature, maxTokens, json = false, signal }) {
+    if (!this.client) {
+      throw new Error(`${this.name} provider is not configured`);
+    }
+
+    try {
+      const completion = await this.client.chat.completions.create({
+        model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+        ...(json && this.supportsJsonMode ? { response_format: { type: 'json_object' } } : {})
+      }, { signal });
+
+      const usage = {
+        inputTokens: completion.usage?.prompt_tokens || 0,
+        outputTokens: completion.usage?.completion_tokens || 0
+      };
+      this.usage.record(model, usage);
+
+      return {
+        text: completion.choices[0].message.content,
+        model: completion.model || model,
+        usage: { ...usage, totalTokens: usage.inputTokens + usage.outputTokens }
+      };
+    } catch (error) {
+      this.usage.recordError(model);
+      throw error;
+    }
+  }
+
+  // Retry rate limits and temporary server errors, but not an exhausted quota
+  shouldRetry(error) {
+    if (error.code === 'insufficient_quota') return false;
+    if (error.status === 429) return true; // Rate limit
+    if (error.status >= 500 && error.status < 600) return true; // Server errors
+    if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') return true; // Network errors
+
+    return false;
+  }
+
+  // Honour Retry-After when the API sends it
+  getRetryDelay(error, retryCount = 0) {
+    const retryAfter = parseFloat(error.headers?.['retry-after']);
+    if (!Number.isNaN(retryAfter)) {
+      return Math.ceil(retryAfter * 1000);
+    }
+    return this.retryDelay * (retryCount + 1);
+  }
+
+  getUsage() {
+    return this.usage.toJSON();
+  }
+}
+
+module.exports = OpenAIProvider;
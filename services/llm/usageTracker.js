@@ -0,0 +1,52 @@
+// Token accounting for one LLM provider - totals plus a per-model breakdown
+class UsageTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.totals = this.emptyCounters();
+    this.byModel = {};
+    this.since = new Date().toISOString();
+  }
+
+  emptyCounters() {
+    return { requests: 0, errors: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+  }
+
+  counters(model) {
+    if (!this.byModel[model]) {
+      this.byModel[model] = this.emptyCounters();
+    }
+    return this.byModel[model];
+  }
+
+  // Record a successful completion ({ inputTokens, outputTokens })
+  record(model, usage = {}) {
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+
+    for (const counters of [this.totals, this.counters(model)]) {
+      counters.requests++;
+      counters.inputTokens += inputTokens;
+      counters.outputTokens += outputTokens;
+      counters.totalTokens += inputTokens + outputTokens;
+    }
+  }
+
+  // Record a failed request
+  recordError(model) {
+    this.totals.errors++;
+    this.counters(model).errors++;
+  }
+
+  toJSON() {
+    return {
+      since: this.since,
+      ...this.totals,
+      byModel: { ...this.byModel }
+    };
+  }
+}
+
+module.exports = UsageTracker;
@@ -0,0 +1,109 @@
+// OIDC Service - team sign-in through an OpenID Connect issuer (authorization code flow with PKCE).
+// The ID token comes straight from the issuer's token endpoint over TLS, so its claims are checked
+// (issuer, audience, expiry, nonce) but its signature is not verified.
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+class OidcService {
+  constructor() {
+    this.issuer = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+    this.clientId = process.env.OIDC_CLIENT_ID;
+    this.clientSecret = process.env.OIDC_CLIENT_SECRET;
+    this.redirectUri = process.env.OIDC_REDIRECT_URI || 'http://localhost:3000/auth/oidc/callback';
+    this.scopes = process.env.OIDC_SCOPES || 'openid email profile';
+    this.defaultRole = process.env.OIDC_DEFAULT_ROLE || 'viewer'; // Role of accounts created by a first login
+    this.discovery = null;
+  }
+
+  isConfigured() {
+    return !!(this.issuer && this.clientId && this.clientSecret);
+  }
+
+  // Issuer metadata from /.well-known/openid-configuration (fetched once)
+  async discover() {
+    if (!this.discovery) {
+      const response = await axios.get(`${this.issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+      if (!response.data?.authorization_endpoint || !response.data?.token_endpoint) {
+        throw new Error('OIDC discovery document has no authorization or token endpoint');
+      }
+      this.discovery = response.data;
+    }
+    return this.discovery;
+  }
+
+  // New login attempt: the values to keep until the callback, and the issuer URL to redirect to
+  async createLogin(returnTo = '/') {
+    const { authorization_endpoint: endpoint } = await this.discover();
+    const login = {
+      state: crypto.randomBytes(16).toString('base64url'),
+      nonce: crypto.randomBytes(16).toString('base64url'),
+      codeVerifier: crypto.randomBytes(32).toString('base64url'),
+      returnTo
+    };
+
+    const url = new URL(endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state: login.state,
+      nonce: login.nonce,
+      code_challenge: crypto.createHash('sha256').update(login.codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return { login, url: url.toString() };
+  }
+
+  // Exchange the callback's code and return the verified ID token claims
+  async completeLogin(code, login) {
+    const { token_endpoint: endpoint } = await this.discover();
+    const response = await axios.post(endpoint, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      code_verifier: login.codeVerifier
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      timeout: 10000
+    });
+
+    if (!response.data?.id_token) {
+      throw new Error('OIDC token response has no id_token');
+    }
+    return this.verifyClaims(this.decodeIdToken(response.data.id_token), login.nonce);
+  }
+
+  decodeIdToken(idToken) {
+    const payload = String(idToken).split('.')[1];
+    try {
+      return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('OIDC id_token is not a valid JWT');
+    }
+  }
+
+  verifyClaims(claims, nonce) {
+    const audiences = [].concat(claims.aud || []);
+    const expectedIssuer = this.discovery?.issuer || this.issuer;
+    const problems = [
+      claims.iss !== expectedIssuer && `issuer ${claims.iss} does not match ${expectedIssuer}`,
+      !audiences.includes(this.clientId) && 'audience does not include this client',
+      !(claims.exp * 1000 > Date.now()) && 'token has expired',
+      claims.nonce !== nonce && 'nonce does not match',
+      !claims.sub && 'token has no subject'
+    ].filter(Boolean);
+
+    if (problems.length > 0) {
+      logger.warn('Rejected OIDC id_token', { problems });
+      throw new Error(`Invalid OIDC id_token: ${problems.join('; ')}`);
+    }
+    return claims;
+  }
+}
+
+module.exports = new OidcService();
@@ -1,18 +1,33 @@
 // Product Hunt API Service - GraphQL queries for trending products
 const axios = require('axios');
+const launchDay = require('../utils/launchDay');
+const { SOURCES, tagProducts } = require('../utils/provenance');
+const RateLimitGovernor = require('./rateLimitGovernor');
+const { sleep } = require('../utils/abort');
 
 class ProductHuntService {
   constructor() {
     this.apiUrl = 'https://api.producthunt.com/v2/api/graphql';
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1 second
+    this.pageSize = parseInt(process.env.PH_PAGE_SIZE, 10) || 20; // Nodes requested per page
+    this.maxPages = 100; // Safety net against runaway pagination
+    this.allowMockData = process.env.ALLOW_MOCK_DATA === 'true'; // Demo data only when explicitly enabled
+    this.rateLimit = new RateLimitGovernor({
+      reserve: process.env.PH_RATE_LIMIT_RESERVE ? parseInt(process.env.PH_RATE_LIMIT_RESERVE, 10) : undefined,
+      maxWaitMs: process.env.PH_RATE_LIMIT_MAX_WAIT_MS ? parseInt(process.env.PH_RATE_LIMIT_MAX_WAIT_MS, 10) : undefined
+    });
   }
 
-  // GraphQL query to get today's products using postedAfter parameter
+  // GraphQL query to get the products posted inside a window (postedBefore may be null for "until now")
   getTodayProductsQuery() {
     return `
-      query getTodaysPosts($first: Int!, $after: String, $postedAfter: DateTime!, $order: PostsOrder!) {
-        posts(first: $first, after: $after, postedAfter: $postedAfter, order: $order) {
+      query getTodaysPosts($first: Int!, $after: String, $postedAfter: DateTime!, $postedBefore: DateTime, $order: PostsOrder!, $featured: Boolean) {
+        posts(first: $first, after: $after, postedAfter: $postedAfter, postedBefore: $postedBefore, order: $order, featured: $featured) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
           edges {
             node {
               id
@@ -57,6 +72,10 @@ class ProductHuntService {
     return `
       query getFeaturedPosts($first: Int!, $after: String, $order: PostsOrder!, $featured: Boolean!) {
         posts(first: $first, after: $after, order: $order, featured: $featured) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
           edges {
             node {
               id
@@ -86,9 +105,15 @@ class ProductHuntService {
     `;
   }
 
-  // Make GraphQL request with retry logic
-  async makeGraphQLRequest(query, variables, accessToken, retryCount = 0) {
+  // Make GraphQL request with retry logic. options.signal aborts the request, the budget wait and any retry.
+  async makeGraphQLRequest(query, variables, accessToken, options = {}, retryCount = 0) {
+    const { signal } = options;
+    let reservation = null;
+
     try {
+      // Waits for (or rejects when) the complexity budget is too low for another query
+      reservation = await this.rateLimit.acquire(signal);
+
       // Enhanced headers to avoid bot detection
       const authHeaders = {
         'Content-Type': 'application/json',
@@ -123,6 +148,7 @@ class ProductHuntService {
         {
           headers: authHeaders,
           timeout: 30000, // 30 seconds timeout
+          signal,
           maxRedirects: 5,
           validateStatus: function (status) {
             return status < 500; // Resolve only if the status code is less than 500
@@ -130,9 +156,18 @@ class ProductHuntService {
         }
       );
 
+      this.rateLimit.settle(reservation, response.headers, response.status);
+      reservation = null;
+
       console.log('GraphQL Response status:', response.status);
       console.log('GraphQL Response data keys:', Object.keys(response.data || {}));
 
+      if (response.status === 429) {
+        const error = new Error('Product Hunt rate limit exceeded');
+        error.response = response;
+        throw error;
+      }
+
       // Check for Cloudflare challenge page
       if (typeof response.data === 'string' && response.data.includes('Just a moment')) {
         console.log('Cloudflare challenge detected, will retry...');
@@ -151,28 +186,87 @@ class ProductHuntService {
 
       return response.data;
     } catch (error) {
+      if (reservation) {
+        this.rateLimit.settle(reservation, error.response?.headers, error.response?.status);
+      }
+
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
       console.error(`GraphQL request failed (attempt ${retryCount + 1}):`, error.message);
 
       // Log more details about the error
       if (error.response) {
         console.error('Response status:', error.response.status);
         console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-        console.error('Response headers:', error.response.headers);
+        // Only the headers useful for diagnosing rate limits and Cloudflare blocks, never cookies
+        const headers = error.response.headers || {};
+        console.error('Response headers:', {
+          'retry-after': headers['retry-after'],
+          'x-rate-limit-remaining': headers['x-rate-limit-remaining'],
+          'x-rate-limit-reset': headers['x-rate-limit-reset'],
+          'cf-ray': headers['cf-ray']
+        });
       }
 
       // Retry logic for network errors or rate limits
       if (retryCount < this.maxRetries && this.shouldRetry(error)) {
-        // Increase delay for Cloudflare challenges
-        const delay = error.message.includes('Cloudflare challenge detected') ? 5000 : this.retryDelay;
+        // Increase delay for Cloudflare challenges; after a 429 the governor waits for the window reset instead
+        const delay = error.message.includes('Cloudflare challenge detected') ? 5000
+          : error.response?.status === 429 ? 0 : this.retryDelay;
         console.log(`Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this.makeGraphQLRequest(query, variables, accessToken, retryCount + 1);
+        await sleep(delay, signal);
+        return this.makeGraphQLRequest(query, variables, accessToken, options, retryCount + 1);
       }
 
       throw error;
     }
   }
 
+  // Iterate over every node of a paginated connection, following pageInfo.endCursor.
+  // Options: connection (field under data, default 'posts'), pageSize, maxItems, maxPages, signal.
+  // Stop early by breaking out of the for-await loop; no further pages are requested.
+  async *paginate(query, variables, accessToken, options = {}) {
+    const connection = options.connection || 'posts';
+    const pageSize = options.pageSize || this.pageSize;
+    const maxItems = options.maxItems ?? Infinity;
+    const maxPages = options.maxPages || this.maxPages;
+
+    let after = variables.after || null;
+    let yielded = 0;
+
+    for (let page = 1; page <= maxPages; page++) {
+      const first = Math.min(pageSize, maxItems - yielded);
+      if (first <= 0) {
+        return;
+      }
+
+      const response = await this.makeGraphQLRequest(query, { ...variables, first, after }, accessToken, { signal: options.signal });
+      const data = response.data && response.data[connection];
+
+      if (!data || !Array.isArray(data.edges)) {
+        throw new Error('Invalid response structure from Product Hunt API');
+      }
+
+      // A query without pageInfo would quietly stop after the first page
+      if (!data.pageInfo) {
+        throw new Error(`Paginated query must select ${connection}.pageInfo`);
+      }
+
+      for (const edge of data.edges) {
+        yield edge.node;
+        yielded++;
+      }
+
+      if (!data.pageInfo?.hasNextPage || !data.pageInfo.endCursor) {
+        return;
+      }
+      after = data.pageInfo.endCursor;
+    }
+
+    console.warn(`Pagination stopped after ${maxPages} pages`);
+  }
+
   // Determine if we should retry the request
   shouldRetry(error) {
     // Retry on Cloudflare challenges
@@ -189,124 +283,134 @@ class ProductHuntService {
     return error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT';
   }
 
-  // Get today's trending products from Product Hunt (launched today, sorted by votes)
-  async getTrendingProducts(accessToken, limit = 20) {
+  // Get a launch day's trending products from Product Hunt (sorted by votes).
+  // options.date is the launch day (YYYY-MM-DD in LAUNCH_DAY_TIMEZONE), defaulting to the current one;
+  // options.signal cancels the fetch, including the REST and mock fallbacks.
+  async getTrendingProducts(accessToken, limit = 20, options = {}) {
+    const { products } = await this.getLaunchDayProducts(accessToken, limit, options);
+    return products;
+  }
+
+  // Like getTrendingProducts, but also reports which launch day window the products came from:
+  // { products, launchDay: { date, timezone, start, end, window } } where window is
+  // 'today' (the requested day), 'yesterday' (the day before it) or 'unfiltered'.
+  // Every product is tagged with `source` (graphql, rest-v1, mock) and `dateWindow`.
+  async getLaunchDayProducts(accessToken, limit = 20, options = {}) {
+    const timezone = options.timezone || launchDay.getTimezone();
+    const currentDate = launchDay.getLaunchDate(new Date(), timezone);
+    const date = options.date || currentDate;
+    const day = launchDay.getLaunchDayWindow(date, timezone);
+    const previousDay = launchDay.getLaunchDayWindow(launchDay.addDays(date, -1), timezone);
+    const describe = (window, usedDay = day) => ({
+      date: usedDay.date,
+      timezone,
+      start: usedDay.start.toISOString(),
+      end: usedDay.end.toISOString(),
+      window
+    });
+    const result = (products, window, usedDay) => ({
+      products: tagProducts(products, SOURCES.GRAPHQL, window),
+      launchDay: describe(window, usedDay)
+    });
+
     try {
-      console.log(`Fetching products launched today from Product Hunt...`);
+      // Older days are far down the featured feed, so query their posted-date window directly,
+      // then rank the day's featured posts by votes like the current day below
+      if (date < launchDay.addDays(currentDate, -1)) {
+        const featured = await this.getProductsByDateRange(accessToken, day.start, new Date(day.end.getTime() - 1), 500, {
+          signal: options.signal
+        });
+        const products = featured.sort((a, b) => (b.votesCount || 0) - (a.votesCount || 0)).slice(0, limit);
+        console.log(`Found ${products.length} products launched on ${date} (${timezone})`);
+        return result(products, 'today');
+      }
+
+      console.log(`Fetching products launched on ${date} (${timezone}) from Product Hunt...`);
 
       // Get featured products sorted by featured date (this matches "Best of" pages)
       const query = this.getFeaturedProductsQuery();
       const variables = {
-        first: Math.min(limit * 5, 50), // Fetch more to find today's featured products
         after: null,
         order: "FEATURED_AT", // Sort by featured date (most recent featured first)
         featured: true // Only get featured products (like "Best of" pages)
       };
 
-      const response = await this.makeGraphQLRequest(query, variables, accessToken);
-
-      if (!response.data || !response.data.posts) {
-        throw new Error('Invalid response structure from Product Hunt API');
-      }
-
-      const posts = response.data.posts.edges.map(edge => edge.node);
-
-      // Filter for today's products using both createdAt and featuredAt
-      const today = new Date();
-      const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const todayEnd = new Date(todayStart.getTime() + 24 * 60 * 60 * 1000);
-
-      console.log(`Filtering ${posts.length} products for today's launches (${todayStart.toISOString().split('T')[0]})...`);
-
-      // Filter for today's featured products (since we're only getting featured products now)
-      const todaysFeaturedProducts = posts.filter(post => {
-        const featuredDate = post.featuredAt ? new Date(post.featuredAt) : null;
-
-        if (!featuredDate) {
-          return false; // Skip products without featured date
+      // Page through until we are past the previous day, so busy days with well over 50 launches are complete
+      const posts = [];
+      for await (const post of this.paginate(query, variables, accessToken, { maxItems: 500, signal: options.signal })) {
+        posts.push(post);
+        if (post.featuredAt && new Date(post.featuredAt) < previousDay.start && posts.length >= limit) {
+          break;
         }
+      }
 
-        const isFeaturedToday = featuredDate >= todayStart && featuredDate < todayEnd;
-
-        // Log for debugging
-        if (isFeaturedToday) {
-          console.log(`Found today's featured product: ${post.name} (featured: ${post.featuredAt}, votes: ${post.votesCount})`);
-        }
-
-        return isFeaturedToday;
-      });
-
-      if (todaysFeaturedProducts.length > 0) {
-        // Sort featured products by votes (highest first)
-        todaysFeaturedProducts.sort((a, b) => (b.votesCount || 0) - (a.votesCount || 0));
-
-        const products = todaysFeaturedProducts.slice(0, limit).map(post => this.transformProduct(post));
-        console.log(`Successfully found ${products.length} featured products for today (sorted by votes)`);
-        return products;
-      } else {
-        console.log('No products found for today. This might be normal if no products were launched today.');
-        console.log('Checking recent products for reference...');
-
-        // Show recent products with their dates for debugging
-        posts.slice(0, 5).forEach(post => {
-          console.log(`Recent product: ${post.name} (created: ${post.createdAt}, featured: ${post.featuredAt}, votes: ${post.votesCount})`);
-        });
-
-        // Instead of returning old trending products, let's try yesterday's products
-        const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
-        const yesterdayStart = new Date(yesterday.getFullYear(), yesterday.getMonth(), yesterday.getDate());
-        const yesterdayEnd = new Date(yesterdayStart.getTime() + 24 * 60 * 60 * 1000);
-
-        // Filter for yesterday's featured products (since we're only getting featured products)
-        const yesterdaysFeatured = posts.filter(post => {
+      // Featured products inside a launch day window, highest votes first
+      const featuredWithin = (window) => posts
+        .filter(post => {
           const featuredDate = post.featuredAt ? new Date(post.featuredAt) : null;
+          return featuredDate && featuredDate >= window.start && featuredDate < window.end;
+        })
+        .sort((a, b) => (b.votesCount || 0) - (a.votesCount || 0));
 
-          if (!featuredDate) {
-            return false; // Skip products without featured date
-          }
+      console.log(`Filtering ${posts.length} products for launches on ${date} (${day.start.toISOString()} - ${day.end.toISOString()})...`);
 
-          const isFeaturedYesterday = featuredDate >= yesterdayStart && featuredDate < yesterdayEnd;
+      const daysFeatured = featuredWithin(day);
+      if (daysFeatured.length > 0) {
+        const products = daysFeatured.slice(0, limit).map(post => this.transformProduct(post));
+        console.log(`Successfully found ${products.length} featured products for ${date} (sorted by votes)`);
+        return result(products, 'today');
+      }
 
-          // Log for debugging
-          if (isFeaturedYesterday) {
-            console.log(`Found yesterday's featured product: ${post.name} (featured: ${post.featuredAt}, votes: ${post.votesCount})`);
-          }
+      console.log(`No products found for ${date}. This might be normal early in the launch day.`);
 
-          return isFeaturedYesterday;
-        });
+      // Show recent products with their dates for debugging
+      posts.slice(0, 5).forEach(post => {
+        console.log(`Recent product: ${post.name} (created: ${post.createdAt}, featured: ${post.featuredAt}, votes: ${post.votesCount})`);
+      });
 
-        if (yesterdaysFeatured.length > 0) {
-          yesterdaysFeatured.sort((a, b) => (b.votesCount || 0) - (a.votesCount || 0));
-          const products = yesterdaysFeatured.slice(0, limit).map(post => this.transformProduct(post));
-          console.log(`No today's featured products found, using ${products.length} featured products from yesterday`);
-          return products;
-        } else {
-          // Last resort: return most recent products but clearly indicate they're not from today
-          const products = posts.slice(0, limit).map(post => this.transformProduct(post));
-          console.log(`No recent daily products found, returning ${products.length} trending products (may not be from today)`);
-          return products;
-        }
+      // Instead of returning old trending products, let's try the previous launch day
+      const previousFeatured = featuredWithin(previousDay);
+      if (previousFeatured.length > 0) {
+        const products = previousFeatured.slice(0, limit).map(post => this.transformProduct(post));
+        console.log(`No featured products for ${date}, using ${products.length} featured products from ${previousDay.date}`);
+        return result(products, 'yesterday', previousDay);
       }
 
+      // Last resort: return most recent products but clearly indicate they're not from the requested day
+      const products = posts.slice(0, limit).map(post => this.transformProduct(post));
+      console.log(`No recent daily products found, returning ${products.length} trending products (may not be from ${date})`);
+      return result(products, 'unfiltered');
+
     } catch (error) {
+      if (options.signal?.aborted) {
+        throw options.signal.reason;
+      }
       console.error('Error fetching trending products via GraphQL:', error.message);
 
       // Try fallback to REST API if GraphQL fails
       try {
         console.log('Attempting fallback to REST API...');
-        return await this.getTrendingProductsREST(accessToken, limit);
+        const products = await this.getTrendingProductsREST(accessToken, limit, { signal: options.signal });
+        return { products: tagProducts(products, SOURCES.REST, 'unfiltered'), launchDay: describe('unfiltered') };
       } catch (restError) {
+        if (options.signal?.aborted) {
+          throw options.signal.reason;
+        }
         console.error('REST API fallback also failed:', restError.message);
 
-        // Final fallback to mock data for demo purposes
+        if (!this.allowMockData) {
+          throw new Error(`Product Hunt API unavailable (GraphQL: ${error.message}; REST: ${restError.message})`);
+        }
+
+        // Final fallback to mock data for demo purposes (opt-in via ALLOW_MOCK_DATA)
         console.log('Using mock data as final fallback...');
-        return this.getMockProducts(limit);
+        return { products: tagProducts(this.getMockProducts(limit), SOURCES.MOCK, 'unfiltered'), launchDay: describe('unfiltered') };
       }
     }
   }
 
   // Fallback REST API method
-  async getTrendingProductsREST(accessToken, limit = 20) {
+  async getTrendingProductsREST(accessToken, limit = 20, options = {}) {
     try {
       console.log('Using REST API fallback...');
 
@@ -324,7 +428,8 @@ class ProductHuntService {
           order: 'desc',
           per_page: Math.min(limit, 50) // REST API has different limits
         },
-        timeout: 30000
+        timeout: 30000,
+        signal: options.signal
       });
 
       if (!response.data || !response.data.posts) {
@@ -365,6 +470,7 @@ class ProductHuntService {
         name: post.user.name || '',
         username: post.user.username || ''
       } : null,
+      source: SOURCES.REST,
       fetchedAt: new Date().toISOString()
     };
   }
@@ -403,6 +509,7 @@ class ProductHuntService {
         name: post.user.name,
         username: post.user.username
       } : null,
+      source: SOURCES.GRAPHQL,
       fetchedAt: new Date().toISOString()
     };
   }
@@ -456,20 +563,40 @@ class ProductHuntService {
     }
   }
 
-  // Get products by date range
-  async getProductsByDateRange(accessToken, startDate, endDate, limit = 50) {
+  // Get products posted within a date range, following cursor pagination until the
+  // range is exhausted or `limit` products were collected (limit = null fetches everything).
+  // Like the launch day feed this defaults to featured posts in FEATURED_AT order;
+  // options.featured = false includes unfeatured posts and options.order changes the order.
+  async getProductsByDateRange(accessToken, startDate, endDate, limit = 50, options = {}) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+      throw new Error('Invalid date range');
+    }
+
+    const query = this.getTodayProductsQuery();
+    const variables = {
+      postedAfter: start.toISOString(),
+      postedBefore: end.toISOString(),
+      order: options.order || 'FEATURED_AT',
+      featured: options.featured ?? true
+    };
+
     try {
-      // Note: Product Hunt API doesn't directly support date filtering in the public API
-      // This is a workaround that fetches recent products and filters them
-      const products = await this.getTrendingProducts(accessToken, limit);
-      
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      
-      return products.filter(product => {
-        const productDate = new Date(product.createdAt);
-        return productDate >= start && productDate <= end;
-      });
+      console.log(`Fetching products posted between ${start.toISOString()} and ${end.toISOString()}...`);
+
+      const products = [];
+      for await (const post of this.paginate(query, variables, accessToken, {
+        pageSize: options.pageSize,
+        maxItems: limit == null ? Infinity : limit,
+        signal: options.signal
+      })) {
+        products.push(this.transformProduct(post));
+      }
+
+      console.log(`Fetched ${products.length} products for the date range`);
+      return products;
     } catch (error) {
       console.error('Error fetching products by date range:', error.message);
       throw error;
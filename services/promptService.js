@@ -0,0 +1,232 @@
+// Prompt Service - versioned prompt templates with {{variable}} placeholders.
+// Version 1 of each template ships as prompts/<name>.v1.txt; later versions are created through the
+// API and stored as records in the storage backend. Each template name has one active version.
+const fs = require('fs');
+const path = require('path');
+const ErrorHandler = require('../middleware/errorHandler');
+const dataService = require('./dataService');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+// Known templates and the variables each one may use
+const PROMPT_DEFINITIONS = {
+  'analysis-zh': {
+    description: 'Per-product analysis in Chinese',
+    variables: ['name', 'tagline', 'votesCount', 'commentsCount', 'topics']
+  },
+  analysis: {
+    description: 'Per-product analysis in any non-Chinese language',
+    variables: ['name', 'tagline', 'votesCount', 'commentsCount', 'topics', 'languageName']
+  },
+  'market-summary': {
+    description: 'Market summary across all analyzed products of a run',
+    variables: ['products', 'productCount', 'languageName']
+  }
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+class PromptService {
+  constructor() {
+    this.versionsCollection = 'prompt_templates';
+    this.activeCollection = 'prompt_active';
+    this.builtins = this.loadBuiltins();
+    this.activeCache = new Map(); // name -> active template, cleared on create/activate
+  }
+
+  // Parse a template file: a --- delimited header of "key: value" lines, then the template body
+  parseTemplateFile(content) {
+    const match = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+    if (!match) {
+      return { template: content.trim() };
+    }
+
+    const header = {};
+    match[1].split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        header[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    });
+    return { ...header, template: match[2].trim() };
+  }
+
+  loadBuiltins() {
+    const builtins = {};
+    Object.keys(PROMPT_DEFINITIONS).forEach(name => {
+      const filepath = path.join(PROMPTS_DIR, `${name}.v1.txt`);
+      const parsed = this.parseTemplateFile(fs.readFileSync(filepath, 'utf8'));
+      builtins[name] = this.toTemplate(name, 1, { ...parsed, builtin: true, createdAt: null });
+    });
+    return builtins;
+  }
+
+  toTemplate(name, version, fields) {
+    return {
+      id: `${name}@${version}`,
+      name,
+      version,
+      description: fields.description || '',
+      system: fields.system || '',
+      template: fields.template,
+      variables: this.extractVariables(`${fields.system || ''}\n${fields.template}`),
+      builtin: !!fields.builtin,
+      createdAt: fields.createdAt
+    };
+  }
+
+  extractVariables(text) {
+    return [...new Set(Array.from(text.matchAll(VARIABLE_PATTERN), match => match[1]))];
+  }
+
+  assertKnownName(name) {
+    if (!PROMPT_DEFINITIONS[name]) {
+      const error = new Error(`Unknown prompt template: ${name}`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+  }
+
+  // All versions of a template, oldest first
+  async listVersions(name) {
+    this.assertKnownName(name);
+    await dataService.ensureStorage();
+
+    const stored = (await dataService.storage.listRecords(this.versionsCollection))
+      .map(record => record.value)
+      .filter(template => template.name === name);
+
+    return [this.builtins[name], ...stored].sort((a, b) => a.version - b.version);
+  }
+
+  async getVersion(name, version) {
+    const versions = await this.listVersions(name);
+    return versions.find(template => template.version === Number(version)) || null;
+  }
+
+  // Active version of a template (version 1 until another one is activated)
+  async getActiveTemplate(name) {
+    this.assertKnownName(name);
+    if (this.activeCache.has(name)) {
+      return this.activeCache.get(name);
+    }
+
+    await dataService.ensureStorage();
+    const active = await dataService.storage.getRecord(this.activeCollection, name);
+    const template = (active && await this.getVersion(name, active.version)) || this.builtins[name];
+
+    this.activeCache.set(name, template);
+    return template;
+  }
+
+  // Every template with its versions and the active version number
+  async listTemplates() {
+    return Promise.all(Object.entries(PROMPT_DEFINITIONS).map(async ([name, definition]) => {
+      const [versions, active] = await Promise.all([this.listVersions(name), this.getActiveTemplate(name)]);
+      return {
+        name,
+        description: definition.description,
+        variables: definition.variables,
+        activeVersion: active.version,
+        versions: versions.map(({ template, system, ...summary }) => summary)
+      };
+    }));
+  }
+
+  // Store a new version ({ template, system, description, activate }). Throws a ValidationError for bad input.
+  async createVersion(name, input = {}) {
+    this.assertKnownName(name);
+    const { variables: allowed } = PROMPT_DEFINITIONS[name];
+    const errors = [];
+
+    if (typeof input.template !== 'string' || input.template.trim() === '') {
+      errors.push('template must be a non-empty string');
+    } else if (input.template.length > 20000) {
+      errors.push('template must be at most 20000 characters');
+    }
+    if (input.system !== undefined && typeof input.system !== 'string') {
+      errors.push('system must be a string');
+    }
+    if (input.description !== undefined && (typeof input.description !== 'string' || input.description.length > 500)) {
+      errors.push('description must be a string of at most 500 characters');
+    }
+
+    if (errors.length === 0) {
+      const unknown = this.extractVariables(`${input.system || ''}\n${input.template}`).filter(variable => !allowed.includes(variable));
+      if (unknown.length > 0) {
+        errors.push(`Unknown variables: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw ErrorHandler.createValidationError('Invalid prompt template', { errors });
+    }
+
+    const versions = await this.listVersions(name);
+    const version = Math.max(...versions.map(template => template.version)) + 1;
+    const template = this.toTemplate(name, version, {
+      description: input.description,
+      system: input.system ?? this.builtins[name].system,
+      template: input.template.trim(),
+      createdAt: new Date().toISOString()
+    });
+
+    await dataService.storage.setRecord(this.versionsCollection, `${name}-v${version}`, template);
+
+    if (input.activate) {
+      await this.activateVersion(name, version);
+    }
+    return template;
+  }
+
+  async activateVersion(name, version) {
+    const template = await this.getVersion(name, version);
+    if (!template) {
+      const error = new Error(`Prompt template ${name} has no version ${version}`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+
+    await dataService.storage.setRecord(this.activeCollection, name, {
+      version: template.version,
+      activatedAt: new Date().toISOString()
+    });
+    this.activeCache.delete(name);
+    return template;
+  }
+
+  // Fill {{variables}}; unknown placeholders are left as they are
+  render(text, variables) {
+    return text.replace(VARIABLE_PATTERN, (placeholder, variable) =>
+      variables[variable] !== undefined ? String(variables[variable]) : placeholder
+    );
+  }
+
+  // Render the active version of a template: { system, prompt, promptVersion }
+  async renderActive(name, variables) {
+    return this.renderTemplate(await this.getActiveTemplate(name), variables);
+  }
+
+  // Render a specific version (used to evaluate versions that are not active)
+  async renderVersion(name, version, variables) {
+    const template = await this.getVersion(name, version);
+    if (!template) {
+      const error = new Error(`Prompt template ${name} has no version ${version}`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    return this.renderTemplate(template, variables);
+  }
+
+  renderTemplate(template, variables) {
+    return {
+      system: this.render(template.system, variables),
+      prompt: this.render(template.template, variables),
+      promptVersion: template.id,
+      template
+    };
+  }
+}
+
+module.exports = new PromptService();
+module.exports.PROMPT_DEFINITIONS = PROMPT_DEFINITIONS;
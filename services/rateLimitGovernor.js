@@ -0,0 +1,129 @@
+// Rate Limit Governor - tracks the Product Hunt complexity budget and holds back queries before it runs out
+const ErrorHandler = require('../middleware/errorHandler');
+const { sleep } = require('../utils/abort');
+
+// Product Hunt reports the budget of the current window in these headers (reset is seconds until the window ends)
+const HEADERS = {
+  limit: 'x-rate-limit-limit',
+  remaining: 'x-rate-limit-remaining',
+  reset: 'x-rate-limit-reset'
+};
+
+class RateLimitGovernor {
+  constructor(options = {}) {
+    this.limit = options.limit || 6250; // Complexity points per window (GraphQL default)
+    this.windowMs = options.windowMs || 15 * 60 * 1000; // 15 minute window
+    this.reserve = options.reserve ?? Math.round(this.limit * 0.05); // Points kept back for interactive use
+    this.maxWaitMs = options.maxWaitMs ?? 60000; // Longer waits are rejected instead of blocking the caller
+    this.estimatedCost = options.estimatedCost || 100; // Updated from observed costs
+
+    this.remaining = null; // Unknown until the first response
+    this.resetAt = null;
+    this.pending = 0; // Points reserved by queries that have not reported back yet
+    this.lastUpdated = null;
+    this.stats = { requests: 0, delayed: 0, rejected: 0, limited: 0 };
+  }
+
+  // Start a fresh window once the reset time has passed
+  refreshWindow(now = Date.now()) {
+    if (this.resetAt && now >= this.resetAt) {
+      this.remaining = null;
+      this.resetAt = null;
+    }
+  }
+
+  // Points available to new queries (null when no response has reported the budget yet)
+  getAvailable() {
+    this.refreshWindow();
+    return this.remaining === null ? null : this.remaining - this.pending;
+  }
+
+  // Wait until a query fits in the budget, or throw a RateLimitError when that would take longer than maxWaitMs.
+  // Returns the reservation to pass to settle() once the response has arrived. An aborted signal ends the wait.
+  async acquire(signal) {
+    const cost = this.estimatedCost;
+    const available = this.getAvailable();
+
+    if (available !== null && available - cost < this.reserve) {
+      const waitMs = Math.max(0, this.resetAt - Date.now());
+
+      if (waitMs > this.maxWaitMs) {
+        this.stats.rejected++;
+        throw ErrorHandler.createRateLimitError(
+          `Product Hunt rate limit budget exhausted (${available} of ${this.limit} points left), resets in ${Math.ceil(waitMs / 1000)}s`
+        );
+      }
+
+      this.stats.delayed++;
+      console.log(`Product Hunt budget low (${available} points left), waiting ${waitMs}ms for the window to reset`);
+      await sleep(waitMs, signal);
+      this.refreshWindow();
+    }
+
+    this.pending += cost;
+    this.stats.requests++;
+    return { cost };
+  }
+
+  // Release a reservation and record the budget reported by the response headers
+  settle(reservation, headers = {}, status) {
+    if (reservation) {
+      this.pending = Math.max(0, this.pending - reservation.cost);
+    }
+
+    const limit = parseInt(headers[HEADERS.limit], 10);
+    const remaining = parseInt(headers[HEADERS.remaining], 10);
+    const reset = parseInt(headers[HEADERS.reset], 10);
+    const retryAfter = parseInt(headers['retry-after'], 10);
+
+    if (!Number.isNaN(limit) && limit > 0) {
+      this.limit = limit;
+    }
+
+    if (!Number.isNaN(remaining)) {
+      // The drop since the last response approximates what a query costs
+      if (this.remaining !== null && remaining < this.remaining && this.pending === 0) {
+        const observed = this.remaining - remaining;
+        this.estimatedCost = Math.max(1, Math.round((this.estimatedCost + observed) / 2));
+      }
+      this.remaining = remaining;
+      this.lastUpdated = new Date().toISOString();
+    }
+
+    if (!Number.isNaN(reset)) {
+      this.resetAt = Date.now() + reset * 1000;
+    } else if (this.remaining !== null && !this.resetAt) {
+      this.resetAt = Date.now() + this.windowMs;
+    }
+
+    if (status === 429) {
+      this.stats.limited++;
+      this.remaining = 0;
+      if (!Number.isNaN(retryAfter)) {
+        this.resetAt = Date.now() + retryAfter * 1000;
+      } else if (!this.resetAt) {
+        this.resetAt = Date.now() + this.windowMs;
+      }
+    }
+  }
+
+  // Budget snapshot for /api/status
+  getStatus() {
+    const available = this.getAvailable();
+    return {
+      limit: this.limit,
+      remaining: this.remaining,
+      available,
+      reserve: this.reserve,
+      estimatedCost: this.estimatedCost,
+      resetAt: this.resetAt ? new Date(this.resetAt).toISOString() : null,
+      resetInSeconds: this.resetAt ? Math.max(0, Math.ceil((this.resetAt - Date.now()) / 1000)) : null,
+      windowMinutes: this.windowMs / 60000,
+      throttled: available !== null && available - this.estimatedCost < this.reserve,
+      lastUpdated: this.lastUpdated,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = RateLimitGovernor;
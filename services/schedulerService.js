@@ -0,0 +1,151 @@
+// Scheduler Service - cron-style automatic analysis runs
+const cron = require('node-cron');
+const jobService = require('./jobService');
+const dataService = require('./dataService');
+const logger = require('../utils/logger');
+const { parseAnalysisParams } = require('../utils/analysisParams');
+
+class SchedulerService {
+  constructor() {
+    this.expression = process.env.ANALYSIS_SCHEDULE || '0 9 * * *'; // Every day at 09:00
+    this.timezone = process.env.ANALYSIS_SCHEDULE_TIMEZONE || 'America/Los_Angeles';
+    this.enabled = process.env.ANALYSIS_SCHEDULE_ENABLED === 'true';
+    this.limit = parseInt(process.env.ANALYSIS_SCHEDULE_LIMIT, 10) || 10;
+    this.maxHistory = 50;
+    this.collection = 'scheduler_runs'; // one record per finished or skipped run
+
+    this.task = null;
+    this.currentRun = null;
+    this.lastRecordedAt = 0;
+  }
+
+  // Start the cron task (no-op when scheduling is disabled)
+  start() {
+    if (!this.enabled) {
+      logger.info('Analysis scheduler disabled (set ANALYSIS_SCHEDULE_ENABLED=true to enable)');
+      return false;
+    }
+
+    if (!cron.validate(this.expression)) {
+      logger.error('Invalid analysis schedule expression, scheduler not started', { expression: this.expression });
+      return false;
+    }
+
+    this.task = cron.schedule(this.expression, () => {
+      this.runNow('schedule').catch(error => {
+        logger.error('Scheduled analysis run failed', { error: error.message });
+      });
+    }, { timezone: this.timezone });
+
+    logger.info('Analysis scheduler started', { expression: this.expression, timezone: this.timezone });
+    return true;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  isRunning() {
+    return !!this.currentRun;
+  }
+
+  // Store the outcome of a run and drop the oldest beyond maxHistory. Keys are millisecond
+  // timestamps, kept unique and increasing so the history sorts in the order runs were recorded.
+  async recordRun(entry) {
+    this.lastRecordedAt = Math.max(Date.now(), this.lastRecordedAt + 1);
+
+    try {
+      await dataService.ensureStorage();
+      await dataService.storage.setRecord(this.collection, `run_${this.lastRecordedAt}`, entry);
+
+      const records = await this.listRecords();
+      await Promise.all(records.slice(this.maxHistory).map(record => dataService.storage.deleteRecord(this.collection, record.key)));
+    } catch (error) {
+      // Losing a history entry must not turn a finished run into a failed one
+      logger.error('Failed to store scheduler run', { trigger: entry.trigger, error: error.message });
+    }
+  }
+
+  // Stored run records, newest first
+  async listRecords() {
+    await dataService.ensureStorage();
+    const records = await dataService.storage.listRecords(this.collection);
+    return records.sort((a, b) => b.key.localeCompare(a.key));
+  }
+
+  // Past runs, newest first
+  async getHistory() {
+    return (await this.listRecords()).map(record => record.value);
+  }
+
+  // Trigger a run immediately. Overlapping runs are skipped and recorded as such.
+  async runNow(trigger = 'manual') {
+    if (this.currentRun) {
+      const skipped = {
+        trigger,
+        status: 'skipped',
+        reason: 'A scheduled analysis run is already in progress',
+        startedAt: new Date().toISOString(),
+        finishedAt: new Date().toISOString()
+      };
+      logger.warn('Skipping analysis run, previous run still in progress', { trigger });
+      await this.recordRun(skipped);
+      return skipped;
+    }
+
+    const entry = {
+      trigger,
+      status: 'running',
+      startedAt: new Date().toISOString()
+    };
+    this.currentRun = entry;
+
+    try {
+      // Goes through the job queue, so a run someone already started today is joined
+      const params = parseAnalysisParams({ limit: this.limit });
+      const { job, joined } = jobService.createJob({ trigger, params });
+      Object.assign(entry, { jobId: job.id, joined });
+
+      const finished = await jobService.waitForJob(job.id);
+      if (finished.status !== 'completed') {
+        throw new Error(finished.error || 'Analysis job failed');
+      }
+
+      Object.assign(entry, {
+        status: 'success',
+        runId: finished.result.runId,
+        totalProducts: finished.result.totalProducts,
+        successCount: finished.result.successCount,
+        errorCount: finished.result.errorCount
+      });
+    } catch (error) {
+      logger.error('Analysis run failed', { trigger, error: error.message });
+      Object.assign(entry, { status: 'failed', error: error.message });
+    } finally {
+      entry.finishedAt = new Date().toISOString();
+      this.currentRun = null;
+      await this.recordRun(entry);
+    }
+
+    return entry;
+  }
+
+  async getStatus() {
+    const history = await this.getHistory();
+    return {
+      enabled: this.enabled,
+      active: !!this.task,
+      expression: this.expression,
+      timezone: this.timezone,
+      limit: this.limit,
+      running: this.currentRun,
+      lastRun: history[0] || null,
+      history
+    };
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,146 @@
+// Session Service - login sessions stored in the storage backend, referenced by a signed cookie.
+// The cookie holds only a random session id plus an HMAC of it keyed with SESSION_SECRET.
+const crypto = require('crypto');
+const dataService = require('./dataService');
+const logger = require('../utils/logger');
+
+const COOKIE_NAME = 'ph_session';
+const PLACEHOLDER_SECRET = 'your_session_secret_here';
+
+class SessionService {
+  constructor() {
+    this.collection = 'sessions';
+    this.cookieName = COOKIE_NAME;
+    this.ttlMs = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+    this.secret = this.loadSecret();
+    this.hasFixedSecret = this.secret === process.env.SESSION_SECRET;
+  }
+
+  // Sessions cannot be trusted across restarts (or dynos) without a fixed secret, so production requires one
+  loadSecret(secret = process.env.SESSION_SECRET) {
+    if (secret && secret !== PLACEHOLDER_SECRET) {
+      return secret;
+    }
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('SESSION_SECRET must be set in production');
+    }
+    logger.warn('SESSION_SECRET is not set, using a random secret: sessions end when the server restarts');
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  // "<value>.<base64url HMAC>" so a cookie cannot be forged or altered without the secret
+  sign(value) {
+    const signature = crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+    return `${value}.${signature}`;
+  }
+
+  // The signed value, or null when the signature does not match
+  unsign(signed) {
+    const separator = String(signed || '').lastIndexOf('.');
+    if (separator <= 0) {
+      return null;
+    }
+    const value = signed.slice(0, separator);
+    const expected = Buffer.from(this.sign(value));
+    const actual = Buffer.from(signed);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? value : null;
+  }
+
+  // Cookie header -> { name: value }
+  parseCookies(header = '') {
+    return header.split(';').reduce((cookies, part) => {
+      const separator = part.indexOf('=');
+      if (separator > 0) {
+        const name = part.slice(0, separator).trim();
+        try {
+          cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+        } catch (error) {
+          // Ignore malformed cookies from other apps on the same host
+        }
+      }
+      return cookies;
+    }, {});
+  }
+
+  // Set-Cookie value; HttpOnly + SameSite=Lax keeps scripts and cross-site POSTs away from it
+  serializeCookie(name, value, { maxAgeMs, secure }) {
+    return [
+      `${name}=${encodeURIComponent(value)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${Math.max(0, Math.floor(maxAgeMs / 1000))}`,
+      ...(secure ? ['Secure'] : [])
+    ].join('; ');
+  }
+
+  setCookie(res, name, value, { maxAgeMs, secure }) {
+    const existing = [].concat(res.getHeader('Set-Cookie') || []);
+    res.setHeader('Set-Cookie', [...existing, this.serializeCookie(name, value, { maxAgeMs, secure })]);
+  }
+
+  clearCookie(res, name, { secure }) {
+    this.setCookie(res, name, '', { maxAgeMs: 0, secure });
+  }
+
+  // Start a session for a user and set its cookie
+  async create(res, user, { secure = false, method = 'password' } = {}) {
+    await dataService.ensureStorage();
+    const id = crypto.randomBytes(24).toString('hex');
+    const now = Date.now();
+    const session = {
+      id,
+      username: user.username,
+      method,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString()
+    };
+
+    await dataService.storage.setRecord(this.collection, id, session);
+    this.setCookie(res, this.cookieName, this.sign(id), { maxAgeMs: this.ttlMs, secure });
+
+    this.pruneExpired().catch(error => logger.warn('Failed to prune expired sessions', { error: error.message }));
+    return session;
+  }
+
+  // The live session for a request's cookie, or null
+  async fromRequest(req) {
+    const id = this.unsign(this.parseCookies(req.get('Cookie'))[this.cookieName]);
+    if (!id) {
+      return null;
+    }
+
+    await dataService.ensureStorage();
+    const session = await dataService.storage.getRecord(this.collection, id);
+    if (!session || new Date(session.expiresAt) <= new Date()) {
+      return null;
+    }
+    return session;
+  }
+
+  async destroy(req, res, { secure = false } = {}) {
+    const session = await this.fromRequest(req);
+    if (session) {
+      await dataService.storage.deleteRecord(this.collection, session.id);
+    }
+    this.clearCookie(res, this.cookieName, { secure });
+  }
+
+  // End every session of a user (after a password change, role change or deletion)
+  async destroyForUser(username) {
+    await dataService.ensureStorage();
+    const records = await dataService.storage.listRecords(this.collection);
+    const owned = records.filter(record => record.value.username === username);
+    await Promise.all(owned.map(record => dataService.storage.deleteRecord(this.collection, record.key)));
+    return owned.length;
+  }
+
+  async pruneExpired() {
+    const now = new Date();
+    const records = await dataService.storage.listRecords(this.collection);
+    const expired = records.filter(record => new Date(record.value.expiresAt) <= now);
+    await Promise.all(expired.map(record => dataService.storage.deleteRecord(this.collection, record.key)));
+  }
+}
+
+module.exports = new SessionService();
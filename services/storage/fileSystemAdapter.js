@@ -0,0 +1,205 @@
+// File System Storage Adapter - JSON snapshot per run plus a latest.json side file
+const fs = require('fs').promises;
+const path = require('path');
+
+class FileSystemAdapter {
+  constructor(options = {}) {
+    this.name = 'filesystem';
+    this.dataDir = options.dataDir || path.join(__dirname, '..', '..', 'data');
+    this.latestFile = 'latest.json';
+  }
+
+  // Ensure data directory exists
+  async init() {
+    try {
+      await fs.access(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await fs.mkdir(this.dataDir, { recursive: true });
+        console.log('Created data directory');
+      }
+    }
+  }
+
+  getRunPath(runId) {
+    return path.join(this.dataDir, `${runId}.json`);
+  }
+
+  isRunFile(filename) {
+    return filename.startsWith('product_analysis_') && filename.endsWith('.json');
+  }
+
+  // Write the run snapshot and point latest.json at it
+  async saveRun(runId, snapshot) {
+    await this.init();
+    const content = JSON.stringify(snapshot, null, 2);
+    await fs.writeFile(this.getRunPath(runId), content);
+    await fs.writeFile(path.join(this.dataDir, this.latestFile), content);
+    return { filepath: this.getRunPath(runId) };
+  }
+
+  async getRun(runId) {
+    try {
+      const content = await fs.readFile(this.getRunPath(runId), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getLatestRun() {
+    try {
+      const content = await fs.readFile(path.join(this.dataDir, this.latestFile), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null; // No data available
+      }
+      throw error;
+    }
+  }
+
+  // List run summaries, newest first
+  async listRuns() {
+    await this.init();
+    const files = (await fs.readdir(this.dataDir)).filter(file => this.isRunFile(file));
+
+    const runs = await Promise.all(
+      files.map(async (filename) => {
+        const runId = filename.replace(/\.json$/, '');
+        try {
+          const filepath = path.join(this.dataDir, filename);
+          const stats = await fs.stat(filepath);
+          const data = JSON.parse(await fs.readFile(filepath, 'utf8'));
+
+          return {
+            runId,
+            filename,
+            size: stats.size,
+            created: stats.birthtime,
+            modified: stats.mtime,
+            totalProducts: data.metadata?.totalProducts || 0,
+            timestamp: data.metadata?.timestamp,
+            summary: data.summary || {}
+          };
+        } catch (error) {
+          console.error(`Error reading file ${filename}:`, error);
+          return { runId, filename, error: error.message };
+        }
+      })
+    );
+
+    runs.sort((a, b) => new Date(b.timestamp || b.created || 0) - new Date(a.timestamp || a.created || 0));
+    return runs;
+  }
+
+  // Delete a run snapshot, repointing latest.json if it was the latest run
+  async deleteRun(runId) {
+    try {
+      await fs.unlink(this.getRunPath(runId));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+
+    const latest = await this.getLatestRun();
+    if (latest && latest.metadata?.runId === runId) {
+      const latestPath = path.join(this.dataDir, this.latestFile);
+      const [newest] = (await this.listRuns()).filter(run => !run.error);
+
+      if (newest) {
+        const data = await this.getRun(newest.runId);
+        await fs.writeFile(latestPath, JSON.stringify(data, null, 2));
+      } else {
+        await fs.unlink(latestPath).catch(() => {});
+      }
+    }
+
+    return true;
+  }
+
+  // Delete runs beyond the keep count (newest are kept)
+  async pruneRuns(keepCount) {
+    const runs = await this.listRuns();
+    const runsToDelete = runs.slice(keepCount);
+
+    for (const run of runsToDelete) {
+      await fs.unlink(this.getRunPath(run.runId));
+      console.log(`Deleted old file: ${run.filename}`);
+    }
+
+    return {
+      deletedCount: runsToDelete.length,
+      remainingCount: runs.length - runsToDelete.length
+    };
+  }
+
+  // Write an export file next to the snapshots
+  async saveExport(filename, content) {
+    await this.init();
+    const filepath = path.join(this.dataDir, filename);
+    await fs.writeFile(filepath, content);
+    return { filepath };
+  }
+
+  // Records live in data/<collection>/<key>.json; both parts are restricted to safe file names
+  getRecordPath(collection, key) {
+    if (!/^[\w-]+$/.test(collection) || !/^[\w.-]+$/.test(key)) {
+      throw new Error(`Invalid record path: ${collection}/${key}`);
+    }
+    return path.join(this.dataDir, collection, `${key}.json`);
+  }
+
+  async getRecord(collection, key) {
+    try {
+      return JSON.parse(await fs.readFile(this.getRecordPath(collection, key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async setRecord(collection, key, value) {
+    const filepath = this.getRecordPath(collection, key);
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(filepath, JSON.stringify(value, null, 2));
+    return { filepath };
+  }
+
+  async deleteRecord(collection, key) {
+    try {
+      await fs.unlink(this.getRecordPath(collection, key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async listRecords(collection) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(this.dataDir, collection));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const keys = files.filter(file => file.endsWith('.json')).map(file => file.replace(/\.json$/, ''));
+    const records = await Promise.all(keys.map(async key => ({ key, value: await this.getRecord(collection, key) })));
+    return records.filter(record => record.value !== null);
+  }
+}
+
+module.exports = FileSystemAdapter;
@@ -0,0 +1,44 @@
+// Storage adapter factory - picks the DataService backend from STORAGE_BACKEND
+//
+// Every adapter implements the same async interface:
+//   init()                      prepare the backend (idempotent)
+//   saveRun(runId, snapshot)    persist a run snapshot ({ metadata, summary, marketSummary, products })
+//   getRun(runId)               snapshot or null
+//   getLatestRun()              newest snapshot or null
+//   listRuns()                  run summaries ({ runId, timestamp, totalProducts, summary }), newest first
+//   deleteRun(runId)            true if a run was deleted
+//   pruneRuns(keepCount)        delete all but the newest keepCount runs
+//   saveExport(filename, data)  store a generated export (CSV)
+//   getRecord(collection, key)        stored JSON value or null (keys are [\w.-]+)
+//   setRecord(collection, key, value) insert or replace a JSON value
+//   deleteRecord(collection, key)     true if a record was deleted
+//   listRecords(collection)           [{ key, value }] for every record in the collection
+const path = require('path');
+const FileSystemAdapter = require('./fileSystemAdapter');
+const SqliteAdapter = require('./sqliteAdapter');
+const MemoryAdapter = require('./memoryAdapter');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+function createStorageAdapter(backend = process.env.STORAGE_BACKEND || 'filesystem') {
+  switch (backend.toLowerCase()) {
+    case 'filesystem':
+    case 'fs':
+      return new FileSystemAdapter({ dataDir: DEFAULT_DATA_DIR });
+    case 'sqlite':
+      return new SqliteAdapter({
+        dbPath: process.env.SQLITE_PATH || path.join(DEFAULT_DATA_DIR, 'analyzer.db')
+      });
+    case 'memory':
+      return new MemoryAdapter();
+    default:
+      throw new Error(`Unknown storage backend "${backend}". Use filesystem, sqlite or memory.`);
+  }
+}
+
+module.exports = {
+  createStorageAdapter,
+  FileSystemAdapter,
+  SqliteAdapter,
+  MemoryAdapter
+};
@@ -0,0 +1,88 @@
+// In-Memory Storage Adapter - non-persistent storage for tests and local experiments
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.runs = new Map();
+    this.exports = new Map();
+    this.records = new Map(); // collection -> Map(key -> value)
+  }
+
+  async init() {}
+
+  // Snapshots are deep-copied so callers cannot mutate stored runs
+  clone(value) {
+    return value == null ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  async saveRun(runId, snapshot) {
+    this.runs.set(runId, this.clone(snapshot));
+    return {};
+  }
+
+  async getRun(runId) {
+    return this.clone(this.runs.get(runId));
+  }
+
+  async getLatestRun() {
+    const [latest] = await this.listRuns();
+    return latest ? this.getRun(latest.runId) : null;
+  }
+
+  async listRuns() {
+    return Array.from(this.runs.entries())
+      .map(([runId, data]) => ({
+        runId,
+        totalProducts: data.metadata?.totalProducts || 0,
+        timestamp: data.metadata?.timestamp,
+        summary: this.clone(data.summary || {})
+      }))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  async deleteRun(runId) {
+    return this.runs.delete(runId);
+  }
+
+  async pruneRuns(keepCount) {
+    const runs = await this.listRuns();
+    const runsToDelete = runs.slice(keepCount);
+    runsToDelete.forEach(run => this.runs.delete(run.runId));
+
+    return {
+      deletedCount: runsToDelete.length,
+      remainingCount: runs.length - runsToDelete.length
+    };
+  }
+
+  async saveExport(filename, content) {
+    this.exports.set(filename, content);
+    return {};
+  }
+
+  getCollection(collection) {
+    if (!this.records.has(collection)) {
+      this.records.set(collection, new Map());
+    }
+    return this.records.get(collection);
+  }
+
+  async getRecord(collection, key) {
+    return this.clone(this.getCollection(collection).get(key));
+  }
+
+  async setRecord(collection, key, value) {
+    this.getCollection(collection).set(key, this.clone(value));
+    return {};
+  }
+
+  async deleteRecord(collection, key) {
+    return this.getCollection(collection).delete(key);
+  }
+
+  async listRecords(collection) {
+    return Array.from(this.getCollection(collection).entries())
+      .map(([key, value]) => ({ key, value: this.clone(value) }));
+  }
+}
+
+module.exports = MemoryAdapter;
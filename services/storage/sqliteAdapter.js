@@ -0,0 +1,258 @@
+// SQLite Storage Adapter - normalized runs, products and analyses tables in an embedded database
+const fs = require('fs');
+const path = require('path');
+
+class SqliteAdapter {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.dbPath = options.dbPath || path.join(__dirname, '..', '..', 'data', 'analyzer.db');
+    this.db = null;
+  }
+
+  // Open the database and create the schema on first use
+  async init() {
+    if (this.db) {
+      return;
+    }
+
+    // Loaded lazily so the other backends work without the native module
+    const Database = require('better-sqlite3');
+
+    if (this.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS runs (
+        id TEXT PRIMARY KEY,
+        timestamp TEXT NOT NULL,
+        total_products INTEGER NOT NULL DEFAULT 0,
+        metadata TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        market_summary TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_runs_timestamp ON runs (timestamp);
+
+      CREATE TABLE IF NOT EXISTS products (
+        run_id TEXT NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        product_id TEXT,
+        name TEXT,
+        tagline TEXT,
+        url TEXT,
+        website TEXT,
+        votes_count INTEGER,
+        comments_count INTEGER,
+        created_at TEXT,
+        featured_at TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (run_id, position)
+      );
+      CREATE INDEX IF NOT EXISTS idx_products_product_id ON products (product_id);
+
+      CREATE TABLE IF NOT EXISTS analyses (
+        run_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        success_probability TEXT,
+        summary TEXT,
+        error TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (run_id, position),
+        FOREIGN KEY (run_id, position) REFERENCES products (run_id, position) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS exports (
+        filename TEXT PRIMARY KEY,
+        content TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      );
+    `);
+
+    // Databases created before market summaries were stored lack the column
+    const runColumns = this.db.prepare('PRAGMA table_info(runs)').all().map(column => column.name);
+    if (!runColumns.includes('market_summary')) {
+      this.db.exec('ALTER TABLE runs ADD COLUMN market_summary TEXT');
+    }
+
+    console.log(`SQLite storage ready at ${this.dbPath}`);
+  }
+
+  async saveRun(runId, snapshot) {
+    await this.init();
+
+    const insertRun = this.db.prepare(`
+      INSERT INTO runs (id, timestamp, total_products, metadata, summary, market_summary)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const insertProduct = this.db.prepare(`
+      INSERT INTO products (run_id, position, product_id, name, tagline, url, website,
+        votes_count, comments_count, created_at, featured_at, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertAnalysis = this.db.prepare(`
+      INSERT INTO analyses (run_id, position, success_probability, summary, error, data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const save = this.db.transaction(() => {
+      insertRun.run(
+        runId,
+        snapshot.metadata.timestamp,
+        snapshot.metadata.totalProducts || 0,
+        JSON.stringify(snapshot.metadata),
+        JSON.stringify(snapshot.summary || {}),
+        JSON.stringify(snapshot.marketSummary ?? null)
+      );
+
+      (snapshot.products || []).forEach((product, position) => {
+        const { analysis, ...productData } = product;
+        insertProduct.run(
+          runId,
+          position,
+          product.id != null ? String(product.id) : null,
+          product.name || null,
+          product.tagline || null,
+          product.url || null,
+          product.website || null,
+          product.votesCount || 0,
+          product.commentsCount || 0,
+          product.createdAt || null,
+          product.featuredAt || null,
+          JSON.stringify(productData)
+        );
+
+        if (analysis) {
+          insertAnalysis.run(
+            runId,
+            position,
+            analysis.successProbability || null,
+            analysis.summary || null,
+            analysis.error || null,
+            JSON.stringify(analysis)
+          );
+        }
+      });
+    });
+
+    save();
+    return {};
+  }
+
+  // Rebuild the snapshot shape from the normalized tables
+  async getRun(runId) {
+    await this.init();
+
+    const run = this.db.prepare('SELECT * FROM runs WHERE id = ?').get(runId);
+    if (!run) {
+      return null;
+    }
+
+    const rows = this.db.prepare(`
+      SELECT p.data AS product, a.data AS analysis
+      FROM products p
+      LEFT JOIN analyses a ON a.run_id = p.run_id AND a.position = p.position
+      WHERE p.run_id = ?
+      ORDER BY p.position
+    `).all(runId);
+
+    return {
+      metadata: JSON.parse(run.metadata),
+      summary: JSON.parse(run.summary),
+      marketSummary: run.market_summary ? JSON.parse(run.market_summary) : null,
+      products: rows.map(row => ({
+        ...JSON.parse(row.product),
+        ...(row.analysis ? { analysis: JSON.parse(row.analysis) } : {})
+      }))
+    };
+  }
+
+  async getLatestRun() {
+    await this.init();
+    const latest = this.db.prepare('SELECT id FROM runs ORDER BY timestamp DESC LIMIT 1').get();
+    return latest ? this.getRun(latest.id) : null;
+  }
+
+  async listRuns() {
+    await this.init();
+    return this.db.prepare('SELECT id, timestamp, total_products, summary FROM runs ORDER BY timestamp DESC')
+      .all()
+      .map(row => ({
+        runId: row.id,
+        totalProducts: row.total_products,
+        timestamp: row.timestamp,
+        summary: JSON.parse(row.summary)
+      }));
+  }
+
+  async deleteRun(runId) {
+    await this.init();
+    const result = this.db.prepare('DELETE FROM runs WHERE id = ?').run(runId);
+    return result.changes > 0;
+  }
+
+  async pruneRuns(keepCount) {
+    await this.init();
+    const total = this.db.prepare('SELECT COUNT(*) AS count FROM runs').get().count;
+    const result = this.db.prepare(`
+      DELETE FROM runs WHERE id IN (
+        SELECT id FROM runs ORDER BY timestamp DESC LIMIT -1 OFFSET ?
+      )
+    `).run(keepCount);
+
+    return {
+      deletedCount: result.changes,
+      remainingCount: total - result.changes
+    };
+  }
+
+  async saveExport(filename, content) {
+    await this.init();
+    this.db.prepare(`
+      INSERT INTO exports (filename, content, created_at) VALUES (?, ?, ?)
+      ON CONFLICT (filename) DO UPDATE SET content = excluded.content, created_at = excluded.created_at
+    `).run(filename, content, new Date().toISOString());
+    return {};
+  }
+
+  async getRecord(collection, key) {
+    await this.init();
+    const row = this.db.prepare('SELECT value FROM records WHERE collection = ? AND key = ?').get(collection, key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async setRecord(collection, key, value) {
+    await this.init();
+    this.db.prepare(`
+      INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `).run(collection, key, JSON.stringify(value), new Date().toISOString());
+    return {};
+  }
+
+  async deleteRecord(collection, key) {
+    await this.init();
+    const result = this.db.prepare('DELETE FROM records WHERE collection = ? AND key = ?').run(collection, key);
+    return result.changes > 0;
+  }
+
+  async listRecords(collection) {
+    await this.init();
+    return this.db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY key')
+      .all(collection)
+      .map(row => ({ key: row.key, value: JSON.parse(row.value) }));
+  }
+}
+
+module.exports = SqliteAdapter;
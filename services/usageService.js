@@ -0,0 +1,119 @@
+// Usage Service - daily LLM token and cost totals, and the monthly budget that new runs are checked against
+const dataService = require('./dataService');
+const ErrorHandler = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { loadPrices, findPrice, calculateCost, sumUsage } = require('../utils/pricing');
+
+class UsageService {
+  constructor() {
+    this.collection = 'llm_usage'; // one record per UTC day
+    this.prices = loadPrices();
+    this.monthlyBudget = parseFloat(process.env.LLM_MONTHLY_BUDGET_USD) || 0; // 0 = no budget
+    // What happens once the budget is spent: 'fallback' analyzes with rules, 'refuse' rejects new runs
+    this.budgetAction = process.env.LLM_BUDGET_ACTION === 'refuse' ? 'refuse' : 'fallback';
+    this.queue = Promise.resolve(); // Day records are read-modify-write, so updates are applied one at a time
+    this.monthCache = null; // { month, cost }
+  }
+
+  getDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  emptyDay(date) {
+    return { date, requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpricedRequests: 0, byModel: {} };
+  }
+
+  // Price one completion and add it to today's totals. Returns the usage with its cost (null when unpriced).
+  async record(provider, model, usage = {}) {
+    const cost = calculateCost(findPrice(this.prices, provider, model), usage);
+    const entry = {
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      totalTokens: usage.totalTokens ?? (usage.inputTokens || 0) + (usage.outputTokens || 0),
+      cost
+    };
+
+    this.queue = this.queue
+      .then(() => this.addToDay(provider, model, entry))
+      .catch(error => logger.error('Failed to record LLM usage', { model, error: error.message }));
+    await this.queue;
+
+    return entry;
+  }
+
+  async addToDay(provider, model, entry) {
+    await dataService.ensureStorage();
+    const date = this.getDay();
+    const day = (await dataService.storage.getRecord(this.collection, date)) || this.emptyDay(date);
+    const key = `${provider}/${model}`;
+
+    day.byModel[key] = sumUsage([day.byModel[key], entry]);
+    Object.assign(day, sumUsage([day, entry]));
+    if (entry.cost === null) {
+      day.unpricedRequests++;
+    }
+
+    await dataService.storage.setRecord(this.collection, date, day);
+
+    if (this.monthCache?.month === date.slice(0, 7)) {
+      this.monthCache.cost = Math.round((this.monthCache.cost + (entry.cost || 0)) * 1e6) / 1e6;
+    }
+  }
+
+  // Daily totals, newest first (the last `days` days that had any usage)
+  async listDays(days = 30) {
+    await dataService.ensureStorage();
+    const records = await dataService.storage.listRecords(this.collection);
+    return records
+      .map(record => record.value)
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .slice(0, days);
+  }
+
+  // Spend so far in the current UTC month
+  async getMonthCost() {
+    const month = this.getDay().slice(0, 7);
+    if (this.monthCache?.month !== month) {
+      await dataService.ensureStorage();
+      const records = await dataService.storage.listRecords(this.collection);
+      const cost = sumUsage(records.filter(record => record.key.startsWith(month)).map(record => record.value)).cost;
+      this.monthCache = { month, cost };
+    }
+    return this.monthCache.cost;
+  }
+
+  async getBudgetStatus() {
+    const spent = await this.getMonthCost();
+    return {
+      month: this.getDay().slice(0, 7),
+      monthlyBudget: this.monthlyBudget || null,
+      action: this.budgetAction,
+      spent,
+      remaining: this.monthlyBudget ? Math.max(0, Math.round((this.monthlyBudget - spent) * 1e6) / 1e6) : null,
+      exceeded: this.monthlyBudget > 0 && spent >= this.monthlyBudget
+    };
+  }
+
+  // True when the budget is spent and analyses should use the rule-based fallback
+  async shouldUseFallback() {
+    if (!this.monthlyBudget || this.budgetAction !== 'fallback') {
+      return false;
+    }
+    return (await this.getBudgetStatus()).exceeded;
+  }
+
+  // Throws a RateLimitError when the budget is spent and new runs are refused
+  async assertWithinBudget() {
+    if (!this.monthlyBudget || this.budgetAction !== 'refuse') {
+      return;
+    }
+    const budget = await this.getBudgetStatus();
+    if (budget.exceeded) {
+      throw ErrorHandler.createRateLimitError(
+        `Monthly LLM budget of $${budget.monthlyBudget} exceeded ($${budget.spent.toFixed(2)} spent in ${budget.month})`
+      );
+    }
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,220 @@
+// User Service - team accounts with roles. Local accounts sign in with a scrypt-hashed password;
+// accounts created by an OIDC login have no password and keep whatever role an admin gives them.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const ErrorHandler = require('../middleware/errorHandler');
+const dataService = require('./dataService');
+const logger = require('../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most access
+const ROLES = ['viewer', 'analyst', 'admin'];
+const USERNAME_PATTERN = /^[\w.@+-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 10;
+
+class UserService {
+  constructor() {
+    this.collection = 'users';
+    this.cache = null; // username -> user, loaded on first use and kept in step with writes
+    this.dummyHash = null; // Hashed against when the user does not exist, so lookups take the same time
+  }
+
+  get roles() {
+    return ROLES;
+  }
+
+  // True when `role` is at least `required` (admin > analyst > viewer)
+  hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+  }
+
+  // Record keys only allow [\w.-], and usernames may be email addresses
+  recordKey(username) {
+    return crypto.createHash('sha256').update(username).digest('hex').slice(0, 32);
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  async loadUsers() {
+    if (!this.cache) {
+      await dataService.ensureStorage();
+      const records = await dataService.storage.listRecords(this.collection);
+      this.cache = new Map(records.map(record => [record.value.username, record.value]));
+    }
+    return this.cache;
+  }
+
+  async saveUser(user) {
+    await dataService.storage.setRecord(this.collection, this.recordKey(user.username), user);
+    (await this.loadUsers()).set(user.username, user);
+    return user;
+  }
+
+  // User without the password hash
+  toPublic(user) {
+    if (!user) {
+      return null;
+    }
+    const { passwordHash, ...info } = user;
+    return { ...info, hasPassword: !!passwordHash };
+  }
+
+  async getUser(username) {
+    return (await this.loadUsers()).get(this.normalizeUsername(username)) || null;
+  }
+
+  async listUsers() {
+    return Array.from((await this.loadUsers()).values())
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .map(user => this.toPublic(user));
+  }
+
+  validate({ username, password, role }, { partial = false } = {}) {
+    const errors = [];
+    if (!partial || username !== undefined) {
+      if (!USERNAME_PATTERN.test(this.normalizeUsername(username))) {
+        errors.push('username must be 3-64 letters, digits or . _ @ + -');
+      }
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!partial && password === undefined) {
+      errors.push('password is required');
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      errors.push(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      throw ErrorHandler.createValidationError('Invalid user', { errors });
+    }
+  }
+
+  // Create a local account ({ username, password, role = viewer })
+  async createUser({ username, password, role = 'viewer' } = {}) {
+    this.validate({ username, password, role });
+    const name = this.normalizeUsername(username);
+    if (await this.getUser(name)) {
+      throw ErrorHandler.createValidationError('Invalid user', { errors: [`user ${name} already exists`] });
+    }
+
+    const user = await this.saveUser({
+      username: name,
+      role,
+      provider: 'local',
+      passwordHash: await this.hashPassword(password),
+      createdAt: new Date().toISOString(),
+      lastLoginAt: null
+    });
+    logger.info('User created', { username: name, role });
+    return this.toPublic(user);
+  }
+
+  // Change a user's role and/or password
+  async updateUser(username, { role, password } = {}) {
+    const user = await this.getUser(username);
+    if (!user) {
+      const error = new Error(`User ${username} not found`);
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    this.validate({ role, password }, { partial: true });
+
+    const updated = {
+      ...user,
+      ...(role ? { role } : {}),
+      ...(password ? { passwordHash: await this.hashPassword(password) } : {}),
+      updatedAt: new Date().toISOString()
+    };
+    await this.saveUser(updated);
+    logger.info('User updated', { username: user.username, role: updated.role, passwordChanged: !!password });
+    return this.toPublic(updated);
+  }
+
+  async deleteUser(username) {
+    const user = await this.getUser(username);
+    if (!user) {
+      return false;
+    }
+    await dataService.storage.deleteRecord(this.collection, this.recordKey(user.username));
+    (await this.loadUsers()).delete(user.username);
+    logger.info('User deleted', { username: user.username });
+    return true;
+  }
+
+  // The user for a username/password pair, or null. Unknown users cost a hash too.
+  async authenticate(username, password) {
+    const user = await this.getUser(username);
+    if (!user || !user.passwordHash) {
+      this.dummyHash = this.dummyHash || await this.hashPassword(crypto.randomBytes(16).toString('hex'));
+      await this.verifyPassword(String(password || ''), this.dummyHash);
+      return null;
+    }
+    if (!(await this.verifyPassword(String(password || ''), user.passwordHash))) {
+      return null;
+    }
+    return this.recordLogin(user);
+  }
+
+  // Find or create the account for an OIDC identity (keyed by verified email, else issuer subject)
+  async findOrCreateOidcUser(claims, defaultRole = 'viewer') {
+    const username = this.normalizeUsername(
+      claims.email && claims.email_verified !== false ? claims.email : `oidc-${claims.sub}`
+    );
+    const existing = await this.getUser(username);
+    if (existing) {
+      return this.recordLogin(existing);
+    }
+
+    const user = await this.saveUser({
+      username,
+      name: claims.name || null,
+      role: ROLES.includes(defaultRole) ? defaultRole : 'viewer',
+      provider: 'oidc',
+      subject: claims.sub,
+      passwordHash: null,
+      createdAt: new Date().toISOString(),
+      lastLoginAt: new Date().toISOString()
+    });
+    logger.info('User created from OIDC login', { username, role: user.role });
+    return user;
+  }
+
+  async recordLogin(user) {
+    return this.saveUser({ ...user, lastLoginAt: new Date().toISOString() });
+  }
+
+  // Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no accounts yet
+  async ensureBootstrapAdmin(username = process.env.ADMIN_USERNAME, password = process.env.ADMIN_PASSWORD) {
+    const users = await this.loadUsers();
+    if (users.size > 0) {
+      return null;
+    }
+    if (!username || !password) {
+      logger.warn('No user accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+      return null;
+    }
+    return this.createUser({ username, password, role: 'admin' });
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,98 @@
+// Analysis cache: per-product analyses are reused by prompt, model and language until they expire
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dataService = require('../services/dataService');
+const { MemoryAdapter } = require('../services/storage');
+const analysisCacheService = require('../services/analysisCacheService');
+const chatGPTService = require('../services/chatGPTService');
+
+const analysisJSON = JSON.stringify({
+  productName: 'Widget',
+  targetUsers: [{ demographic: 'Indie developers', likelihood: 'high' }],
+  successProbability: 'medium',
+  summary: 'A focused tool for small teams.',
+  userPersonas: ['Solo founder']
+});
+
+// Provider that always answers with a valid analysis and counts its requests
+function countingProvider() {
+  const provider = {
+    requests: 0,
+    name: 'fake',
+    defaultModel: 'big',
+    analysisModel: 'small',
+    isConfigured: () => true,
+    complete: async () => {
+      provider.requests++;
+      return { text: analysisJSON, model: 'small', usage: { inputTokens: 5, outputTokens: 5, totalTokens: 10 } };
+    },
+    shouldRetry: () => false,
+    getRetryDelay: () => 0,
+    getUsage: () => ({})
+  };
+  return provider;
+}
+
+function setup(t) {
+  dataService.setStorage(new MemoryAdapter());
+  const provider = countingProvider();
+  const previous = chatGPTService.provider;
+  chatGPTService.setProvider(provider);
+  t.after(() => chatGPTService.setProvider(previous));
+  return provider;
+}
+
+const product = { id: '42', name: 'Widget', tagline: 'Does things' };
+
+test('a second analysis of the same product is served from the cache', async (t) => {
+  const provider = setup(t);
+
+  const first = await chatGPTService.analyzeProduct(product, { language: 'en' });
+  const second = await chatGPTService.analyzeProduct(product, { language: 'en' });
+
+  assert.equal(provider.requests, 1);
+  assert.equal(first.metadata.cacheHit, false);
+  assert.equal(second.metadata.cacheHit, true);
+  assert.ok(second.metadata.cachedAt);
+  assert.equal(second.summary, first.summary);
+});
+
+test('force, another language or another model skip the cached entry', async (t) => {
+  const provider = setup(t);
+
+  await chatGPTService.analyzeProduct(product, { language: 'en' });
+  await chatGPTService.analyzeProduct(product, { language: 'en', force: true });
+  await chatGPTService.analyzeProduct(product, { language: 'zh' });
+  await chatGPTService.analyzeProduct(product, { language: 'en', model: 'other-model' });
+
+  assert.equal(provider.requests, 4);
+  assert.notEqual(await chatGPTService.getCacheFingerprint({ language: 'en' }), await chatGPTService.getCacheFingerprint({ language: 'zh' }));
+});
+
+test('expired entries are misses and are pruned', async (t) => {
+  setup(t);
+  const ttlMs = analysisCacheService.ttlMs;
+  analysisCacheService.ttlMs = -1;
+  t.after(() => { analysisCacheService.ttlMs = ttlMs; });
+
+  await analysisCacheService.set('7', 'abc', { summary: 'Old' });
+  await analysisCacheService.set('8', 'abc', { summary: 'Old' });
+  assert.deepEqual(await analysisCacheService.prune(), { deletedCount: 2, remainingCount: 0 });
+
+  await analysisCacheService.set('7', 'abc', { summary: 'Old' });
+  assert.equal(await analysisCacheService.get('7', 'abc'), null);
+  assert.equal(await dataService.storage.getRecord('analysis_cache', analysisCacheService.getKey('7', 'abc')), null);
+});
+
+test('the cache can be switched off and keys stay file-name safe', async (t) => {
+  setup(t);
+  analysisCacheService.enabled = false;
+  t.after(() => { analysisCacheService.enabled = true; });
+
+  await analysisCacheService.set('7', 'abc', { summary: 'Old' });
+  assert.equal(await analysisCacheService.get('7', 'abc'), null);
+  assert.deepEqual(await dataService.storage.listRecords('analysis_cache'), []);
+  assert.equal(analysisCacheService.getKey('a/b c', 'abc'), 'a_b_c_abc');
+});
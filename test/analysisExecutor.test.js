@@ -0,0 +1,117 @@
+// Analysis executor: bounded worker pool, tokens-per-minute limiter and slowdown after rate limits
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalysisExecutor } = require('../services/analysisExecutor');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('map keeps at most `concurrency` workers in flight and returns results in input order', async () => {
+  const executor = new AnalysisExecutor({ maxConcurrency: 10 });
+  let active = 0;
+  let peak = 0;
+  const settled = [];
+
+  const results = await executor.map([30, 5, 20, 1, 10], async (ms, index) => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(ms);
+    active--;
+    return index * 10;
+  }, { concurrency: 2, onSettled: (result, index, completed) => settled.push([index, completed]) });
+
+  assert.deepEqual(results, [0, 10, 20, 30, 40]);
+  assert.equal(peak, 2);
+  assert.deepEqual(settled.map(([, completed]) => completed), [1, 2, 3, 4, 5]);
+  assert.equal(settled[0][0], 1);
+});
+
+test('overlapping map calls share one executor-wide ceiling', async () => {
+  const executor = new AnalysisExecutor({ maxConcurrency: 3 });
+  let active = 0;
+  let peak = 0;
+  const worker = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(10);
+    active--;
+  };
+
+  await Promise.all([
+    executor.map([1, 2, 3, 4], worker, { concurrency: 2 }),
+    executor.map([1, 2, 3, 4], worker, { concurrency: 2 })
+  ]);
+
+  assert.equal(peak, 3);
+  assert.equal(executor.getStatus().active, 0);
+  assert.equal(executor.getStatus().queued, 0);
+});
+
+test('map spaces out starts and resolves empty input at once', async () => {
+  const executor = new AnalysisExecutor();
+  const starts = [];
+  await executor.map([1, 2, 3], async () => starts.push(Date.now()), { concurrency: 3, startIntervalMs: 20 });
+  assert.ok(starts[2] - starts[0] >= 35);
+  assert.deepEqual(await executor.map([], async () => 1), []);
+});
+
+test('a failing worker rejects the map', async () => {
+  const executor = new AnalysisExecutor();
+  await assert.rejects(executor.map([1, 2], async item => {
+    if (item === 2) throw new Error('boom');
+    return item;
+  }, { concurrency: 2 }), /boom/);
+});
+
+test('calls wait once the tokens-per-minute budget is used up', async (t) => {
+  const executor = new AnalysisExecutor({ tokensPerMinute: 100 });
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'] });
+
+  await executor.call(async () => ({ usage: { totalTokens: 80 } }), { estimatedTokens: 50 });
+  assert.equal(executor.getStatus().tokensLastMinute, 80);
+
+  let ran = false;
+  const waiting = executor.call(async () => { ran = true; return { usage: { totalTokens: 30 } }; }, { estimatedTokens: 30 });
+  await Promise.resolve();
+  assert.equal(ran, false);
+
+  t.mock.timers.tick(60001);
+  await waiting;
+  assert.equal(ran, true);
+  assert.equal(executor.stats.throttledMs, 60000);
+});
+
+test('a call larger than the whole budget still runs when the window is empty', async () => {
+  const executor = new AnalysisExecutor({ tokensPerMinute: 100 });
+  const result = await executor.call(async () => 'ok', { estimatedTokens: 500 });
+  assert.equal(result, 'ok');
+  assert.equal(executor.getStatus().tokensLastMinute, 500);
+});
+
+test('a rate limit halves the ceiling, pauses new calls and successes grow it back', async () => {
+  const executor = new AnalysisExecutor({ maxConcurrency: 8 });
+  const rateLimited = Object.assign(new Error('Too many requests'), { status: 429 });
+
+  await assert.rejects(executor.call(async () => { throw rateLimited; }, { retryDelay: () => 30 }), /Too many requests/);
+  assert.equal(executor.limit, 4);
+  assert.ok(executor.getStatus().pausedUntil);
+
+  const startedAt = Date.now();
+  await executor.call(async () => 'ok');
+  assert.ok(Date.now() - startedAt >= 25);
+
+  for (let i = 0; i < 4; i++) await executor.call(async () => 'ok');
+  assert.equal(executor.limit, 5);
+  assert.equal(executor.stats.rateLimited, 1);
+});
+
+test('other errors pass through without slowing down', async () => {
+  const executor = new AnalysisExecutor({ maxConcurrency: 8 });
+  await assert.rejects(executor.call(async () => { throw Object.assign(new Error('Bad request'), { status: 400 }); }), /Bad request/);
+  assert.equal(executor.limit, 8);
+  assert.equal(executor.getStatus().pausedUntil, null);
+});
+
+test('token estimates count prompt characters and the output allowance', () => {
+  const executor = new AnalysisExecutor();
+  assert.equal(executor.estimateTokens({ system: 'abcd', prompt: 'abcdefgh', maxTokens: 300 }), 303);
+});
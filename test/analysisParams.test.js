@@ -0,0 +1,129 @@
+// Run parameters: validated and defaulted before a run starts, then applied when fetching products
+process.env.STORAGE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateField, parseAnalysisParams, parseDateRange } = require('../utils/analysisParams');
+const { getLaunchDate, addDays } = require('../utils/launchDay');
+const analysisPipeline = require('../services/analysisPipeline');
+const productHuntService = require('../services/productHuntService');
+
+const errorsOf = input => {
+  try {
+    parseAnalysisParams(input);
+  } catch (error) {
+    assert.equal(error.name, 'ValidationError');
+    return error.details.errors;
+  }
+  return [];
+};
+
+test('missing parameters take their defaults', () => {
+  const params = parseAnalysisParams({ limit: '', topic: null });
+  assert.equal(params.limit, 10);
+  assert.equal(params.minVotes, 0);
+  assert.equal(params.language, 'zh');
+  assert.equal(params.topic, undefined);
+});
+
+test('query-string values are coerced and trimmed', () => {
+  assert.deepEqual(
+    (({ limit, date, topic, language }) => ({ limit, date, topic, language }))(parseAnalysisParams({ limit: ' 25 ', date: '2024-02-29', topic: ' AI ', language: 'en' })),
+    { limit: 25, date: '2024-02-29', topic: 'AI', language: 'en' }
+  );
+});
+
+test('every invalid or unknown parameter is reported at once', () => {
+  assert.deepEqual(errorsOf({ limit: '0', minVotes: 'many', date: '24-1-1', language: 'xx', model: 'gpt 4o', extra: 1 }), [
+    'Unknown parameter: extra',
+    'limit must be at least 1',
+    'date must be a date in YYYY-MM-DD format',
+    'minVotes must be an integer',
+    'model has an invalid format',
+    'language must be one of: zh, en, ja, ko, es, fr, de'
+  ]);
+  assert.deepEqual(errorsOf({ limit: 51 }), ['limit must be at most 50']);
+});
+
+test('integers must be plain digits, and blank ones are missing', () => {
+  const limitRule = { type: 'integer', min: 1, max: 50 };
+  assert.deepEqual(validateField('limit', limitRule, ' 12 '), [12, null]);
+  assert.deepEqual(validateField('limit', limitRule, '1e1'), [null, 'limit must be an integer']);
+  assert.deepEqual(validateField('limit', limitRule, '0x10'), [null, 'limit must be an integer']);
+  assert.deepEqual(validateField('limit', limitRule, '1.0'), [null, 'limit must be an integer']);
+  assert.deepEqual(validateField('limit', limitRule, '  '), [null, 'limit is required']);
+  assert.equal(parseAnalysisParams({ limit: '  ' }).limit, 10);
+});
+
+test('impossible calendar dates are rejected', () => {
+  assert.deepEqual(validateField('date', { type: 'date' }, '2024-02-29'), ['2024-02-29', null]);
+  assert.deepEqual(validateField('date', { type: 'date' }, '2026-02-31'), [null, 'date is not a valid calendar date']);
+  assert.deepEqual(errorsOf({ date: '2023-02-29' }), ['date is not a valid calendar date']);
+});
+
+test('launch days that have not started yet are rejected', () => {
+  const tomorrow = addDays(getLaunchDate(), 1);
+  assert.deepEqual(errorsOf({ date: tomorrow }), ['date must not be in the future']);
+  assert.equal(parseAnalysisParams({ date: getLaunchDate() }).date, getLaunchDate());
+  assert.throws(() => parseDateRange({ startDate: getLaunchDate(), endDate: tomorrow }), error =>
+    error.details.errors.includes('endDate must not be in the future'));
+});
+
+test('topic and vote filters are applied before the limit', async (t) => {
+  const products = [
+    { name: 'A', votesCount: 50, topics: [{ name: 'Artificial Intelligence', slug: 'artificial-intelligence' }] },
+    { name: 'B', votesCount: 5, topics: [{ name: 'Artificial Intelligence', slug: 'artificial-intelligence' }] },
+    { name: 'C', votesCount: 80, topics: [{ name: 'Design Tools', slug: 'design-tools' }] },
+    { name: 'D', votesCount: 30, topics: [{ name: 'Developer Tools', slug: 'ai' }] }
+  ];
+  const trending = t.mock.method(productHuntService, 'getLaunchDayProducts', async () => ({ products, launchDay: { window: 'today' } }));
+
+  const fetch = async input => (await analysisPipeline.fetchProducts('token', parseAnalysisParams(input))).products;
+  const byName = await fetch({ topic: 'Artificial', minVotes: '10', limit: '5' });
+  const bySlug = await fetch({ topic: 'ai', limit: '5' });
+  const unfiltered = await fetch({ limit: '2' });
+
+  assert.deepEqual(byName.map(p => p.name), ['A']);
+  assert.deepEqual(bySlug.map(p => p.name), ['D']);
+  assert.deepEqual(unfiltered.map(p => p.name), ['A', 'B']);
+  assert.deepEqual(trending.mock.calls.map(call => call.arguments[1]), [50, 50, 2]);
+});
+
+test('a date fetches that launch day and reports the window used', async (t) => {
+  const launchDay = { date: '2024-03-01', window: 'today' };
+  const byDay = t.mock.method(productHuntService, 'getLaunchDayProducts', async () => ({ products: [], launchDay }));
+  const result = await analysisPipeline.fetchProducts('token', parseAnalysisParams({ date: '2024-03-01', limit: '3' }));
+
+  assert.deepEqual(byDay.mock.calls[0].arguments.slice(1), [3, { date: '2024-03-01', signal: undefined }]);
+  assert.equal(result.launchDay, launchDay);
+});
+
+test('date ranges expand to the days they cover', () => {
+  assert.deepEqual(parseDateRange({ startDate: '2024-02-28', endDate: '2024-03-01' }), ['2024-02-28', '2024-02-29', '2024-03-01']);
+  assert.deepEqual(parseDateRange({ startDate: '2024-03-01', endDate: '2024-03-01' }), ['2024-03-01']);
+});
+
+test('reversed, missing and oversized date ranges are rejected', () => {
+  const rangeErrors = (input, maxDays) => {
+    try {
+      parseDateRange(input, maxDays);
+    } catch (error) {
+      return error.details.errors;
+    }
+    return [];
+  };
+
+  assert.deepEqual(rangeErrors({ startDate: '2024-03-01', endDate: '2024-02-28' }), ['endDate must not be before startDate']);
+  assert.deepEqual(rangeErrors({ endDate: '2024-03-01' }), ['startDate must be a date in YYYY-MM-DD format']);
+  assert.deepEqual(rangeErrors({ startDate: '2024-01-01', endDate: '2024-03-01' }), ['Date range must not exceed 31 days']);
+  assert.deepEqual(rangeErrors({ startDate: '2024-01-01', endDate: '2024-01-03' }, 2), ['Date range must not exceed 2 days']);
+});
+
+test('an oversized range is rejected without expanding its days', (t) => {
+  const expandDay = t.mock.method(require('../utils/launchDay'), 'addDays');
+
+  assert.throws(() => parseDateRange({ startDate: '0001-01-01', endDate: '2024-03-01' }), error =>
+    error.details.errors.includes('Date range must not exceed 31 days'));
+  assert.equal(expandDay.mock.callCount(), 0);
+
+  assert.deepEqual(parseDateRange({ startDate: '2024-03-30', endDate: '2024-04-01' }), ['2024-03-30', '2024-03-31', '2024-04-01']);
+});
@@ -0,0 +1,116 @@
+// Analysis output: validated against the schema, with one re-prompt to repair invalid responses
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAnalysis } = require('../utils/analysisSchema');
+const chatGPTService = require('../services/chatGPTService');
+
+const validAnalysis = {
+  productName: 'Widget',
+  targetUsers: [{ demographic: ' Indie developers ', likelihood: 'High' }],
+  successProbability: 'medium',
+  summary: 'A focused tool for small teams.',
+  userPersonas: ['Solo founder']
+};
+
+// Provider that answers with the given responses in order and records each request
+function fakeProvider(responses) {
+  const requests = [];
+  return {
+    requests,
+    name: 'fake',
+    defaultModel: 'big',
+    analysisModel: 'small',
+    isConfigured: () => true,
+    complete: async request => {
+      requests.push(request);
+      return { text: responses.shift(), model: 'small', usage: { inputTokens: 5, outputTokens: 5, totalTokens: 10 } };
+    },
+    shouldRetry: () => false,
+    getRetryDelay: () => 0,
+    getUsage: () => ({})
+  };
+}
+
+function useProvider(t, provider) {
+  const original = chatGPTService.provider;
+  chatGPTService.setProvider(provider);
+  t.after(() => chatGPTService.setProvider(original));
+  return provider;
+}
+
+test('valid analyses are normalized', () => {
+  const { valid, value } = validateAnalysis(validAnalysis);
+  assert.equal(valid, true);
+  assert.deepEqual(value.targetUsers, [{ demographic: 'Indie developers', likelihood: 'high' }]);
+});
+
+test('every schema problem is reported with its path', () => {
+  const { valid, errors } = validateAnalysis({
+    targetUsers: [{ demographic: '', likelihood: 'maybe' }],
+    successProbability: 'likely',
+    summary: 'short',
+    userPersonas: 'one'
+  });
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    'targetUsers[0].demographic is required',
+    'targetUsers[0].likelihood must be one of: high, medium, low',
+    'successProbability must be one of: high, medium, low',
+    'summary must be at least 10 characters',
+    'userPersonas must be an array'
+  ]);
+  assert.deepEqual(validateAnalysis([], {}).errors, ['response must be a JSON object']);
+});
+
+test('ratings are stored canonically, whatever language the model answered in', () => {
+  const zh = { ...validAnalysis, targetUsers: [{ demographic: '开发者', likelihood: '高' }], successProbability: ' 中 ' };
+  const { valid, value } = validateAnalysis(zh);
+  assert.equal(valid, true);
+  assert.equal(value.targetUsers[0].likelihood, 'high');
+  assert.equal(value.successProbability, 'medium');
+});
+
+test('a valid first response passes without a re-prompt', async (t) => {
+  const provider = useProvider(t, fakeProvider([JSON.stringify(validAnalysis)]));
+  const analysis = await chatGPTService.analyzeProduct({ id: '1', name: 'Widget' }, { language: 'en', force: true });
+
+  assert.equal(provider.requests.length, 1);
+  assert.deepEqual(analysis.validation, { status: 'passed', repairAttempts: 0, errors: [] });
+});
+
+test('an invalid response is repaired by re-prompting with the errors', async (t) => {
+  const provider = useProvider(t, fakeProvider(['{"summary": "too short"', JSON.stringify(validAnalysis)]));
+  const analysis = await chatGPTService.analyzeProduct({ id: '1', name: 'Widget' }, { language: 'en', force: true });
+
+  assert.equal(provider.requests.length, 2);
+  assert.match(provider.requests[1].prompt, /Your previous response was:\n\{"summary": "too short"/);
+  assert.match(provider.requests[1].prompt, /- Response is not valid JSON/);
+  assert.equal(analysis.validation.status, 'repaired');
+  assert.equal(analysis.summary, validAnalysis.summary);
+  assert.equal(analysis.metadata.tokensUsed, 20);
+});
+
+test('output that is still invalid after the repair is marked as an error', async (t) => {
+  useProvider(t, fakeProvider(['{}', '{"summary": "still missing fields"}']));
+  const analysis = await chatGPTService.analyzeProduct({ id: '1', name: 'Widget' }, { language: 'en', force: true });
+
+  assert.equal(analysis.error, 'Analysis output failed schema validation');
+  assert.equal(analysis.validation.status, 'failed');
+  assert.equal(analysis.validation.repairAttempts, 1);
+  assert.ok(analysis.validation.errors.includes('targetUsers is required'));
+});
+
+test('an analysis that resolves with an error counts as a failure in the run', async (t) => {
+  const analysisPipeline = require('../services/analysisPipeline');
+  t.mock.method(chatGPTService, 'analyzeProduct', async product =>
+    product.id === '1' ? { summary: 'Fine' } : { error: 'Analysis failed schema validation' });
+  const params = { analysisTimeout: 1000, language: 'en' };
+
+  assert.equal((await analysisPipeline.analyzeOne({ id: '1', name: 'Good' }, params)).success, true);
+  const failed = await analysisPipeline.analyzeOne({ id: '2', name: 'Bad' }, params);
+  assert.equal(failed.success, false);
+  assert.equal(failed.product.analysis.error, 'Analysis failed schema validation');
+});
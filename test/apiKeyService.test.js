@@ -0,0 +1,67 @@
+// API keys: shown once, stored only as a hash, scoped, revocable and expiring
+process.env.STORAGE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const apiKeyService = require('../services/apiKeyService');
+const dataService = require('../services/dataService');
+
+test('only a hash of the key is stored and the key verifies', async () => {
+  const { key, apiKey } = await apiKeyService.create({ name: 'ci', scopes: ['read-results'] }, 'boss');
+
+  assert.match(key, /^pha_[a-f0-9]{16}_[\w-]{32}$/);
+  assert.equal(apiKey.hash, undefined);
+  const stored = await dataService.storage.getRecord('api_keys', apiKey.id);
+  assert.ok(!JSON.stringify(stored).includes(key.slice(-32)));
+
+  const verified = await apiKeyService.verify(key, '127.0.0.1');
+  assert.equal(verified.id, apiKey.id);
+  assert.equal(await apiKeyService.verify(`${key.slice(0, -1)}${key.endsWith('x') ? 'y' : 'x'}`), null);
+  assert.equal(await apiKeyService.verify('not-a-key'), null);
+});
+
+test('revoked and expired keys are rejected', async () => {
+  const revoked = await apiKeyService.create({ name: 'old', scopes: ['trigger-runs'] }, 'boss');
+  await apiKeyService.revoke(revoked.apiKey.id, 'boss');
+  assert.equal(await apiKeyService.verify(revoked.key), null);
+
+  const expiring = await apiKeyService.create({ name: 'soon', scopes: ['admin'], expiresInDays: 1 }, 'boss');
+  const stored = await dataService.storage.getRecord('api_keys', expiring.apiKey.id);
+  await dataService.storage.setRecord('api_keys', stored.id, { ...stored, expiresAt: new Date(Date.now() - 1000).toISOString() });
+  assert.equal(await apiKeyService.verify(expiring.key), null);
+});
+
+test('scopes map to cumulative roles and bad requests are refused', async () => {
+  assert.equal(apiKeyService.roleForScopes(['read-results']), 'viewer');
+  assert.equal(apiKeyService.roleForScopes(['read-results', 'trigger-runs']), 'analyst');
+  assert.equal(apiKeyService.roleForScopes(['admin']), 'admin');
+  assert.equal(apiKeyService.roleForScopes(['unknown']), null);
+  assert.equal(apiKeyService.scopeForRole('analyst'), 'trigger-runs');
+
+  await assert.rejects(apiKeyService.create({ name: 'bad', scopes: ['root'] }, 'boss'), { name: 'ValidationError' });
+  await assert.rejects(apiKeyService.create({ name: '', scopes: [] }, 'boss'), { name: 'ValidationError' });
+});
+
+test('a valid key acts with its scope role, a bad one is rejected', async () => {
+  const ApiKeyAuthMiddleware = require('../middleware/apiKeyAuth');
+  const SessionAuthMiddleware = require('../middleware/sessionAuth');
+  const { key } = await apiKeyService.create({ name: 'reader', scopes: ['read-results'] }, 'boss');
+  const request = headers => ({ ip: '127.0.0.1', originalUrl: '/api/runs', get: name => headers[name] });
+  const next = () => {};
+
+  const valid = request({ Authorization: `Bearer ${key}` });
+  await ApiKeyAuthMiddleware.authenticate(valid, {}, next);
+  assert.equal(valid.user.role, 'viewer');
+  assert.equal(valid.user.username, 'api-key:reader');
+
+  let body = null;
+  const res = { status: code => { res.statusCode = code; return res; }, json: value => { body = value; return res; } };
+  SessionAuthMiddleware.requireRole('analyst')(valid, res, next);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(body, { error: 'This action requires an API key with the trigger-runs scope' });
+
+  const invalid = request({ 'X-API-Key': 'pha_0000000000000000_nope' });
+  await ApiKeyAuthMiddleware.authenticate(invalid, {}, next);
+  assert.equal(invalid.user, undefined);
+  ApiKeyAuthMiddleware.rejectInvalid(invalid, res, next);
+  assert.equal(res.statusCode, 401);
+});
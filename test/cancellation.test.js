@@ -0,0 +1,143 @@
+// Cancellation: aborting a run stops its requests, keeps finished analyses and ends the job as cancelled
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAbortError, withTimeout, sleep } = require('../utils/abort');
+const dataService = require('../services/dataService');
+const { MemoryAdapter } = require('../services/storage');
+const authService = require('../services/authService');
+const productHuntService = require('../services/productHuntService');
+const chatGPTService = require('../services/chatGPTService');
+const analysisPipeline = require('../services/analysisPipeline');
+const jobService = require('../services/jobService');
+
+test.afterEach(() => {
+  delete analysisPipeline.run;
+  jobService.jobs.clear();
+  jobService.queue = [];
+});
+
+test('a timeout signal aborts with its own message, or with the parent reason', async () => {
+  const parent = new AbortController();
+  const deadline = withTimeout(parent.signal, 10, 'Fetch timeout');
+  await assert.rejects(sleep(1000, deadline.signal), { name: 'AbortError', message: 'Fetch timeout' });
+  deadline.clear();
+
+  const cancelled = withTimeout(parent.signal, 1000);
+  parent.abort(createAbortError('Run cancelled'));
+  assert.equal(cancelled.signal.reason.message, 'Run cancelled');
+  cancelled.clear();
+});
+
+test('cancelling a running job aborts its signal and ends it as cancelled', async () => {
+  let signal;
+  analysisPipeline.run = options => {
+    signal = options.signal;
+    return sleep(1000, signal);
+  };
+
+  const { job } = jobService.createJob({ params: { limit: 1 } });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(job.status, 'running');
+
+  assert.equal(jobService.cancelJob(job.id, 'Stop please'), job);
+  await jobService.waitForJob(job.id);
+
+  assert.equal(signal.aborted, true);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.error, 'Stop please');
+  assert.deepEqual(job.events.at(-1).event, 'cancelled');
+  assert.equal(jobService.cancelJob('no-such-job'), null);
+});
+
+test('a queued job is dropped without ever running', async () => {
+  let runs = 0;
+  analysisPipeline.run = options => {
+    runs++;
+    return sleep(1000, options.signal);
+  };
+
+  const { job: running } = jobService.createJob({ params: { limit: 1 } });
+  const { job: queued } = jobService.createJob({ params: { limit: 2 } });
+  assert.equal(queued.status, 'queued');
+
+  jobService.cancelJob(queued.id);
+  assert.equal(queued.status, 'cancelled');
+  assert.equal(jobService.queue.length, 0);
+
+  jobService.cancelJob(running.id);
+  await jobService.waitForJob(running.id);
+  assert.equal(runs, 1);
+});
+
+test('a streamed job is cancelled once its last watcher has been gone for the grace period', async (t) => {
+  jobService.disconnectGraceMs = 20;
+  t.after(() => { jobService.disconnectGraceMs = 15000; });
+  analysisPipeline.run = options => sleep(1000, options.signal);
+
+  const { job } = jobService.createJob({ params: { limit: 1 }, cancelOnDisconnect: true });
+  const unsubscribe = jobService.subscribe(job.id, null, () => {});
+  unsubscribe();
+  const reconnect = jobService.subscribe(job.id, null, () => {});
+  await sleep(40);
+  assert.equal(job.status, 'running');
+
+  reconnect();
+  await jobService.waitForJob(job.id);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.error, 'Client disconnected');
+});
+
+test('a cancelOnDisconnect job that no client ever attaches to is cancelled after the grace period', async (t) => {
+  jobService.disconnectGraceMs = 20;
+  t.after(() => { jobService.disconnectGraceMs = 15000; });
+  analysisPipeline.run = options => sleep(1000, options.signal);
+
+  const { job } = jobService.createJob({ params: { limit: 1 }, cancelOnDisconnect: true });
+  await jobService.waitForJob(job.id);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.error, 'Client disconnected');
+
+  const { job: watched } = jobService.createJob({ params: { limit: 2 }, cancelOnDisconnect: true });
+  const unsubscribe = jobService.subscribe(watched.id, null, () => {});
+  await sleep(40);
+  assert.equal(watched.status, 'running');
+  unsubscribe();
+  await jobService.waitForJob(watched.id);
+});
+
+test('a run cancelled mid-way saves the analyses that finished', async (t) => {
+  dataService.setStorage(new MemoryAdapter());
+  t.mock.method(authService, 'getStoredToken', async () => 'token');
+  t.mock.method(productHuntService, 'getLaunchDayProducts', async () => ({
+    products: [{ id: '1', name: 'Fast', source: 'graphql' }, { id: '2', name: 'Slow', source: 'graphql' }],
+    launchDay: { date: '2024-03-01', window: 'today' }
+  }));
+  const controller = new AbortController();
+  t.mock.method(chatGPTService, 'analyzeProduct', async (product, options) => {
+    if (product.name === 'Fast') {
+      return { summary: 'Quick', successProbability: 'high', targetUsers: [] };
+    }
+    controller.abort(createAbortError('Run cancelled'));
+    return sleep(1000, options.signal);
+  });
+
+  const result = await analysisPipeline.run({ date: '2024-03-01', limit: 2, concurrency: 1, delayMs: 0, marketSummary: false, signal: controller.signal });
+  assert.equal(result.status, 'cancelled');
+
+  const run = await dataService.getRun(result.runId);
+  assert.deepEqual(run.products.map(product => product.name), ['Fast']);
+  assert.equal(run.metadata.status, 'cancelled');
+});
+
+test('a run cancelled before any analysis rejects with the reason', async (t) => {
+  t.mock.method(authService, 'getStoredToken', async () => 'token');
+  const controller = new AbortController();
+  t.mock.method(productHuntService, 'getLaunchDayProducts', async () => {
+    controller.abort(createAbortError('Run cancelled'));
+    return new Promise(() => {});
+  });
+
+  await assert.rejects(analysisPipeline.run({ date: '2024-03-01', limit: 2, signal: controller.signal }), { name: 'AbortError', message: 'Run cancelled' });
+});
@@ -0,0 +1,52 @@
+// Run history: every run is stored as a snapshot and can be listed, fetched and deleted by run ID
+process.env.STORAGE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dataService = require('../services/dataService');
+
+const product = (name, votesCount, analysis = { summary: `${name} summary` }) => ({ id: name, name, votesCount, analysis });
+const nextMillisecond = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('saved runs are listed newest first and can be fetched by run ID', async () => {
+  const first = await dataService.saveAnalyzedData([product('Alpha', 10)], { trigger: 'test' });
+  await nextMillisecond();
+  const second = await dataService.saveAnalyzedData([product('Beta', 3), product('Gamma', 1, { error: 'failed' })]);
+
+  const runs = await dataService.listRuns();
+  assert.deepEqual(runs.map(run => run.runId), [second.runId, first.runId]);
+  assert.equal(runs[0].summary.failedAnalyses, 1);
+
+  const stored = await dataService.getRun(first.runId);
+  assert.equal(stored.metadata.trigger, 'test');
+  assert.deepEqual(stored.products.map(p => p.name), ['Alpha']);
+  assert.equal((await dataService.getLatestData()).metadata.runId, second.runId);
+});
+
+test('run IDs that do not name a snapshot are refused', async () => {
+  assert.equal(await dataService.getRun('../package'), null);
+  assert.equal(await dataService.getRun('product_analysis_missing'), null);
+  assert.equal(await dataService.deleteRun('latest'), false);
+});
+
+test('deleting the latest run points latest at the next newest run', async () => {
+  const older = await dataService.saveAnalyzedData([product('Older', 1)]);
+  await nextMillisecond();
+  const newer = await dataService.saveAnalyzedData([product('Newer', 2)]);
+
+  assert.equal(await dataService.deleteRun(newer.runId), true);
+  assert.equal(await dataService.getRun(newer.runId), null);
+  assert.equal((await dataService.getLatestData()).metadata.runId, older.runId);
+});
+
+test('a stored snapshot converts to the results shape', () => {
+  const result = dataService.toRunResult({
+    metadata: { runId: 'product_analysis_x', timestamp: 't', totalProducts: 2 },
+    summary: { successfulAnalyses: 1, failedAnalyses: 1 },
+    products: [product('A', 1), product('B', 2)]
+  });
+
+  assert.deepEqual(
+    { runId: result.runId, totalProducts: result.totalProducts, successCount: result.successCount, errorCount: result.errorCount },
+    { runId: 'product_analysis_x', totalProducts: 2, successCount: 1, errorCount: 1 }
+  );
+});
@@ -0,0 +1,157 @@
+// Prompt evaluations: two variants analyze the same products and the report compares them
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dataService = require('../services/dataService');
+const { MemoryAdapter } = require('../services/storage');
+const chatGPTService = require('../services/chatGPTService');
+const promptService = require('../services/promptService');
+const evaluationService = require('../services/evaluationService');
+const { parseCliArgs } = require('../scripts/evaluate');
+
+const analysis = successProbability => JSON.stringify({
+  productName: 'Widget',
+  targetUsers: [{ demographic: 'Indie <developers>', likelihood: 'high' }],
+  successProbability,
+  summary: 'A focused tool for small teams.',
+  userPersonas: ['Solo founder']
+});
+
+// Provider whose answer depends on the requested model: "small" is optimistic, everything else is not
+function fakeProvider() {
+  const requests = [];
+  return {
+    requests,
+    name: 'fake',
+    defaultModel: 'big',
+    analysisModel: 'small',
+    isConfigured: () => true,
+    complete: async request => {
+      requests.push(request);
+      return { text: analysis(request.model === 'small' ? 'high' : 'low'), model: request.model, usage: { inputTokens: 5, outputTokens: 5, totalTokens: 10 } };
+    },
+    shouldRetry: () => false,
+    getRetryDelay: () => 0,
+    getUsage: () => ({})
+  };
+}
+
+function setup(t, provider = fakeProvider()) {
+  dataService.setStorage(new MemoryAdapter());
+  promptService.activeCache.clear();
+  const original = chatGPTService.provider;
+  chatGPTService.setProvider(provider);
+  t.after(() => chatGPTService.setProvider(original));
+  return provider;
+}
+
+async function waitForCompletion(id) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const report = await evaluationService.getReport(id);
+    if (report.status !== 'running') return report;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Evaluation ${id} did not finish`);
+}
+
+test('requests are validated with every error reported at once', (t) => {
+  setup(t);
+  assert.throws(() => evaluationService.parseRequest({ runId: '../etc', limit: 50, variants: [{ colour: 'red' }] }), error => {
+    assert.equal(error.name, 'ValidationError');
+    assert.deepEqual(error.details.errors, [
+      'runId is not a valid run ID',
+      'limit must be at most 20',
+      'variants must be an array of exactly two { label, model, promptVersion } objects'
+    ]);
+    return true;
+  });
+
+  const request = evaluationService.parseRequest({ limit: '2', variants: [{ model: 'small' }, { label: 'New', promptVersion: '2' }] });
+  assert.deepEqual(request.variants, [{ label: 'A', model: 'small' }, { label: 'New', promptVersion: 2 }]);
+  assert.equal(request.limit, 2);
+});
+
+test('evaluations need a configured provider', (t) => {
+  setup(t, { ...fakeProvider(), isConfigured: () => false });
+  assert.throws(() => evaluationService.parseRequest({ variants: [{}, {}] }), /Invalid evaluation request/);
+});
+
+test('an unknown prompt version fails before any model call', async (t) => {
+  const provider = setup(t);
+  await assert.rejects(evaluationService.start({ language: 'en', variants: [{}, { promptVersion: 7 }] }), error => {
+    assert.deepEqual(error.details.errors, ['Prompt template analysis has no version 7']);
+    return true;
+  });
+  assert.equal(provider.requests.length, 0);
+});
+
+test('both variants analyze each product and the stored report compares them', async (t) => {
+  const provider = setup(t);
+  await promptService.createVersion('analysis', { template: 'Rate {{name}} in {{languageName}}' });
+
+  const started = await evaluationService.start({
+    limit: 2,
+    language: 'en',
+    variants: [{ label: 'Current', model: 'small' }, { label: 'Candidate', model: 'big', promptVersion: 2 }]
+  });
+  assert.equal(started.status, 'running');
+
+  const report = await waitForCompletion(started.id);
+  assert.equal(report.status, 'completed');
+  assert.equal(provider.requests.length, 4);
+  assert.equal(provider.requests[1].prompt.startsWith('Rate '), true);
+  assert.deepEqual(report.products[0].results.map(result => result.promptVersion), ['analysis@1', 'analysis@2']);
+
+  const [current, candidate] = report.summary.variants;
+  assert.equal(current.schemaPassRate, 1);
+  assert.equal(candidate.totalTokens, 20);
+  assert.deepEqual(report.summary.successProbabilityAgreement, { compared: 2, agreed: 0, rate: 0 });
+  assert.equal((await dataService.storage.getRecord('evaluations', report.id)).status, 'completed');
+  assert.deepEqual((await evaluationService.listReports()).map(summary => summary.id), [report.id]);
+
+  const html = evaluationService.renderHtml(report);
+  assert.match(html, /Indie &lt;developers&gt;/);
+  assert.doesNotMatch(html, /Indie <developers>/);
+});
+
+test('reports are looked up by a safe id only', async (t) => {
+  setup(t);
+  assert.equal(await evaluationService.getReport('../secrets'), null);
+  assert.equal(await evaluationService.getReport('evaluation_missing'), null);
+});
+
+test('evaluations started together get distinct ids and failed ones are stored', async (t) => {
+  setup(t);
+  t.mock.method(evaluationService, 'run', async () => { throw new Error('Provider exploded'); });
+
+  const request = { language: 'en', variants: [{}, {}] };
+  const [first, second] = await Promise.all([evaluationService.start(request), evaluationService.start(request)]);
+  assert.notEqual(first.id, second.id);
+  assert.match(first.id, /^evaluation_[\w-]+_[a-f0-9]{8}$/);
+
+  const report = await waitForCompletion(first.id);
+  assert.equal(report.status, 'failed');
+  assert.equal(report.error, 'Provider exploded');
+  assert.ok(report.completedAt);
+  assert.equal(evaluationService.running.has(first.id), false);
+  assert.equal((await dataService.storage.getRecord('evaluations', first.id)).status, 'failed');
+});
+
+test('the evaluate script turns its arguments into a request and waits for the stored report', async (t) => {
+  setup(t);
+  assert.deepEqual(parseCliArgs(['--run', 'run_1', '--a', 'small', '--b', 'org/model:8b@3', '--limit', '2']), {
+    runId: 'run_1',
+    limit: '2',
+    language: undefined,
+    variants: [{ label: 'A', model: 'small' }, { label: 'B', model: 'org/model:8b', promptVersion: '3' }]
+  });
+  assert.deepEqual(parseCliArgs(['--b', '@2']).variants, [{ label: 'A' }, { label: 'B', promptVersion: '2' }]);
+  assert.throws(() => parseCliArgs(['--variant', 'x']), /Unknown option '--variant'/);
+
+  const started = await evaluationService.start({ ...parseCliArgs(['--a', 'small', '--b', 'big', '--limit', '1']), language: 'en' });
+  const report = await evaluationService.waitForReport(started.id);
+  assert.equal(report.status, 'completed');
+  assert.equal(report.summary.successProbabilityAgreement.agreed, 0);
+  assert.equal(evaluationService.finishing.has(started.id), false);
+});
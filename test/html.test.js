@@ -0,0 +1,59 @@
+// Auto-escaping templates and the server-rendered results page
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { html, raw, safeUrl, jsonForScript, withNonce } = require('../utils/html');
+const { renderResultsPage } = require('../views/resultsPage');
+
+const payload = '<img src=x onerror=alert(1)>';
+
+test('interpolated values are escaped unless they are templates themselves', () => {
+  const name = '"><script>alert(1)</script>';
+  assert.equal(String(html`<p title="${name}">${name}</p>`),
+    '<p title="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  assert.equal(String(html`<ul>${['a', '<b>'].map(item => html`<li>${item}</li>`)}</ul>`), '<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+  assert.equal(String(html`${null}${undefined}${false}${raw('<hr>')}`), '<hr>');
+});
+
+test('only http(s) URLs survive, plus data: images where allowed', () => {
+  assert.equal(safeUrl('https://example.com'), 'https://example.com');
+  assert.equal(safeUrl('javascript:alert(1)'), '');
+  assert.equal(safeUrl(' JavaScript:alert(1)'), '');
+  assert.equal(safeUrl('data:image/png;base64,AAAA'), '');
+  assert.equal(safeUrl('data:image/png;base64,AAAA', { allowDataImages: true }), 'data:image/png;base64,AAAA');
+});
+
+test('embedded JSON cannot close its script element', () => {
+  const json = String(jsonForScript({ text: '</script><script>alert(1)</script> &  ' }));
+  assert.ok(!json.includes('<') && !json.includes('>') && !json.includes('&'));
+  assert.deepEqual(JSON.parse(json), { text: '</script><script>alert(1)</script> &  ' });
+});
+
+test('the nonce is added to every inline script and style tag', () => {
+  assert.equal(withNonce('<style>a{}</style><script src="/x.js"></script><scripted>', 'abc'),
+    '<style nonce="abc">a{}</style><script nonce="abc" src="/x.js"></script><scripted>');
+});
+
+test('the results page renders product and LLM text as text', () => {
+  const page = renderResultsPage({
+    timestamp: '2026-01-01T00:00:00.000Z',
+    runId: 'run_1',
+    totalProducts: 1,
+    successCount: 1,
+    errorCount: 0,
+    products: [{
+      name: payload,
+      tagline: '</script><script>alert(2)</script>',
+      website: 'javascript:alert(3)',
+      thumbnail: 'javascript:alert(4)',
+      analysis: { summary: payload, successProbability: 'high', targetUsers: [{ demographic: payload }] }
+    }],
+    marketSummary: { summary: payload, overallTrends: [payload] }
+  }, 'nonce123');
+
+  assert.ok(!page.includes('<img src=x'));
+  assert.ok(!page.includes('<script>alert'));
+  assert.ok(!/(href|src)="javascript:/i.test(page));
+  assert.ok(page.includes('<h3>&lt;img src=x onerror=alert(1)&gt;</h3>'));
+  const inlineScripts = page.match(/<script(?![^>]*type="application\/json")[^>]*>/g);
+  assert.ok(inlineScripts.every(tag => tag.includes('nonce="nonce123"')));
+});
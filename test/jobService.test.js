@@ -0,0 +1,110 @@
+// Background jobs: one active job per day, and SSE subscribers can replay what they missed
+process.env.STORAGE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const analysisPipeline = require('../services/analysisPipeline');
+const jobService = require('../services/jobService');
+
+// A pipeline run that emits a status event and then waits until the test lets it finish.
+// `started` resolves once the job queue has handed the job to the pipeline.
+function controlledRun() {
+  const control = {};
+  control.started = new Promise(started => {
+    analysisPipeline.run = ({ onEvent }) => new Promise((resolve, reject) => {
+      onEvent('status', { step: 'fetch' });
+      control.emit = onEvent;
+      control.finish = () => resolve({ status: 'completed', runId: 'product_analysis_job', totalProducts: 1, successCount: 1, errorCount: 0 });
+      control.fail = reject;
+      started();
+    });
+  });
+  return control;
+}
+
+test.afterEach(() => {
+  delete analysisPipeline.run;
+  jobService.jobs.clear();
+});
+
+test('requests for the same day and parameters join the active job', async () => {
+  const run = controlledRun();
+  const first = jobService.createJob({ trigger: 'manual', params: { limit: 5, language: 'en' } });
+  const second = jobService.createJob({ trigger: 'schedule', params: { language: 'en', limit: 5 } });
+
+  assert.equal(first.joined, false);
+  assert.equal(second.joined, true);
+  assert.equal(second.job.id, first.job.id);
+  await run.started;
+  assert.equal(first.job.status, 'running');
+
+  run.finish();
+  const finished = await jobService.waitForJob(first.job.id);
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.runId, 'product_analysis_job');
+
+  const next = controlledRun();
+  const third = jobService.createJob({ params: { limit: 5, language: 'en' } });
+  assert.equal(third.joined, false);
+  await next.started;
+  next.finish();
+  await jobService.waitForJob(third.job.id);
+});
+
+test('different parameters or another day start a separate job', async () => {
+  analysisPipeline.run = async ({ limit }) => ({ runId: `product_analysis_${limit}` });
+  const first = jobService.createJob({ params: { limit: 5 } });
+  const otherLimit = jobService.createJob({ params: { limit: 6 } });
+  const otherDay = jobService.createJob({ params: { limit: 5, date: '2024-03-01' } });
+
+  assert.equal(otherLimit.joined, false);
+  assert.equal(otherDay.joined, false);
+  assert.equal(otherDay.job.dayKey, '2024-03-01');
+  assert.equal(otherLimit.job.status, 'queued');
+
+  for (const { job } of [first, otherLimit, otherDay]) {
+    assert.equal((await jobService.waitForJob(job.id)).status, 'completed');
+  }
+});
+
+test('subscribers replay events after their last event ID and then follow live events', async () => {
+  const run = controlledRun();
+  const { job } = jobService.createJob();
+  await run.started;
+  run.emit('progress', { current: 1 });
+
+  const seen = [];
+  const unsubscribe = jobService.subscribe(job.id, 1, entry => seen.push(entry));
+  run.emit('product', { name: 'Widget' });
+  run.finish();
+  await jobService.waitForJob(job.id);
+  unsubscribe();
+
+  assert.deepEqual(seen.map(entry => [entry.id, entry.event]), [[2, 'progress'], [3, 'product'], [4, 'complete']]);
+});
+
+test('subscribing to a finished job replays its log and ends', async () => {
+  const run = controlledRun();
+  const { job } = jobService.createJob();
+  await run.started;
+  run.fail(new Error('Authentication required'));
+  await jobService.waitForJob(job.id);
+
+  const seen = [];
+  jobService.subscribe(job.id, 0, entry => seen.push(entry.event));
+  assert.deepEqual(seen, ['status', 'error']);
+  assert.equal(jobService.getJob(job.id).error, 'Authentication required');
+  assert.equal(jobService.emitter.listenerCount(job.id), 0);
+});
+
+test('the public view leaves out the event log', async () => {
+  const run = controlledRun();
+  const { job } = jobService.createJob();
+  await run.started;
+  run.finish();
+  await jobService.waitForJob(job.id);
+
+  const [listed] = jobService.listJobs();
+  assert.equal(listed.events, undefined);
+  assert.equal(listed.eventCount, 2);
+  assert.deepEqual(listed.summary, { status: 'completed', totalProducts: 1, successCount: 1, errorCount: 0 });
+});
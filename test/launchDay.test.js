@@ -0,0 +1,43 @@
+// Launch days: Product Hunt's day runs midnight to midnight US Pacific time
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const launchDay = require('../utils/launchDay');
+
+const PACIFIC = 'America/Los_Angeles';
+
+test('an instant belongs to the Pacific launch day it falls in', () => {
+  assert.equal(launchDay.getLaunchDate(new Date('2024-03-01T07:59:59Z'), PACIFIC), '2024-02-29');
+  assert.equal(launchDay.getLaunchDate(new Date('2024-03-01T08:00:00Z'), PACIFIC), '2024-03-01');
+  assert.equal(launchDay.getLaunchDate(new Date('2024-07-01T06:59:59Z'), PACIFIC), '2024-06-30');
+  assert.equal(launchDay.getLaunchDate(new Date('2024-07-01T07:00:00Z'), PACIFIC), '2024-07-01');
+});
+
+test('day windows start at local midnight in standard and daylight time', () => {
+  const winter = launchDay.getLaunchDayWindow('2024-01-15', PACIFIC);
+  assert.equal(winter.start.toISOString(), '2024-01-15T08:00:00.000Z');
+  assert.equal(winter.end.toISOString(), '2024-01-16T08:00:00.000Z');
+
+  const summer = launchDay.getLaunchDayWindow('2024-07-15', PACIFIC);
+  assert.equal(summer.start.toISOString(), '2024-07-15T07:00:00.000Z');
+});
+
+test('DST switch days are 23 and 25 hours long', () => {
+  const hours = date => {
+    const { start, end } = launchDay.getLaunchDayWindow(date, PACIFIC);
+    return (end - start) / (60 * 60 * 1000);
+  };
+  assert.equal(hours('2024-03-10'), 23);
+  assert.equal(hours('2024-11-03'), 25);
+  assert.equal(hours('2024-11-04'), 24);
+});
+
+test('other timezones can be configured and unknown ones are refused', () => {
+  assert.equal(launchDay.getLaunchDayWindow('2024-01-15', 'UTC').start.toISOString(), '2024-01-15T00:00:00.000Z');
+  assert.throws(() => launchDay.getLaunchDayWindow('2024-01-15', 'Mars/Olympus_Mons'), RangeError);
+});
+
+test('addDays crosses month and leap-year boundaries', () => {
+  assert.equal(launchDay.addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(launchDay.addDays('2024-03-01', -1), '2024-02-29');
+  assert.equal(launchDay.addDays('2023-12-31', 1), '2024-01-01');
+});
@@ -0,0 +1,94 @@
+// LLM providers: one completion interface over OpenAI, Anthropic, Azure and local servers
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { createLLMProvider, AnthropicProvider, AzureOpenAIProvider, LocalProvider } = require('../services/llm');
+const chatGPTService = require('../services/chatGPTService');
+
+test('the provider is picked by name and unknown names are refused', () => {
+  assert.equal(createLLMProvider('anthropic').name, 'anthropic');
+  assert.equal(createLLMProvider('Local').name, 'local');
+  assert.throws(() => createLLMProvider('palm'), /Unknown LLM provider "palm"/);
+});
+
+test('providers report whether they can be used', () => {
+  assert.equal(new AnthropicProvider({ apiKey: 'your_anthropic_api_key' }).isConfigured(), false);
+  assert.equal(new AzureOpenAIProvider({ apiKey: 'key', deployment: 'gpt4o' }).isConfigured(), false);
+  assert.equal(new AzureOpenAIProvider({ apiKey: 'key', endpoint: 'https://x.openai.azure.com', deployment: 'gpt4o' }).defaultModel, 'gpt4o');
+  assert.equal(new LocalProvider({ baseURL: 'http://localhost:11434/v1' }).isConfigured(), true);
+});
+
+test('Anthropic JSON requests are prefilled and their token usage is recorded', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({
+    data: { model: 'claude-test', content: [{ type: 'text', text: '"ok": true}' }], usage: { input_tokens: 12, output_tokens: 5 } }
+  }));
+  const provider = new AnthropicProvider({ apiKey: 'sk-ant-test' });
+
+  const result = await provider.complete({ model: 'claude-test', system: 'sys', prompt: 'hi', json: true });
+
+  assert.equal(result.text, '{"ok": true}');
+  assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5, totalTokens: 17 });
+  assert.deepEqual(post.mock.calls[0].arguments[1].messages.at(-1), { role: 'assistant', content: '{' });
+  assert.equal(provider.getUsage().byModel['claude-test'].totalTokens, 17);
+});
+
+test('Anthropic errors get a status, and overload is retried more slowly', async (t) => {
+  t.mock.method(axios, 'post', async () => {
+    const error = new Error('Request failed');
+    error.response = { status: 529, headers: {}, data: { error: { type: 'overloaded_error', message: 'Overloaded' } } };
+    throw error;
+  });
+  const provider = new AnthropicProvider({ apiKey: 'sk-ant-test' });
+
+  const error = await provider.complete({ prompt: 'hi' }).catch(e => e);
+  assert.equal(error.status, 529);
+  assert.equal(provider.shouldRetry(error), true);
+  assert.equal(provider.getRetryDelay(error, 0), 4000);
+  assert.equal(provider.getUsage().errors, 1);
+});
+
+test('retry rules and delays follow each vendor', () => {
+  const azure = new AzureOpenAIProvider({ apiKey: 'key', endpoint: 'https://x', deployment: 'd' });
+  assert.equal(azure.shouldRetry({ status: 408 }), true);
+  assert.equal(azure.getRetryDelay({ headers: { 'retry-after-ms': '1500' } }), 1500);
+  assert.equal(azure.shouldRetry({ status: 429, code: 'insufficient_quota' }), false);
+
+  const local = new LocalProvider({ baseURL: 'http://localhost:1' });
+  assert.equal(local.shouldRetry({ code: 'ECONNREFUSED' }), false);
+  assert.equal(local.shouldRetry({ status: 503 }), true);
+});
+
+test('product analysis runs on whichever provider is configured', async (t) => {
+  const analysis = {
+    targetUsers: [{ demographic: 'Developers', likelihood: 'high' }],
+    successProbability: 'high',
+    summary: 'Useful for developers.',
+    userPersonas: ['Engineer']
+  };
+  const calls = [];
+  const provider = {
+    name: 'fake',
+    defaultModel: 'big',
+    analysisModel: 'small',
+    isConfigured: () => true,
+    complete: async request => {
+      calls.push(request);
+      return { text: JSON.stringify(analysis), model: 'small-2024', usage: { inputTokens: 1, outputTokens: 2, totalTokens: 3 } };
+    },
+    shouldRetry: () => false,
+    getUsage: () => ({})
+  };
+  const original = chatGPTService.provider;
+  chatGPTService.setProvider(provider);
+  t.after(() => chatGPTService.setProvider(original));
+
+  const result = await chatGPTService.analyzeProduct({ id: '1', name: 'Widget', tagline: 'Does things' }, { language: 'en', force: true });
+
+  assert.equal(calls[0].model, 'small');
+  assert.equal(calls[0].json, true);
+  assert.equal(result.summary, 'Useful for developers.');
+  assert.equal(result.metadata.provider, 'fake');
+  assert.equal(result.metadata.tokensUsed, 3);
+});
@@ -0,0 +1,60 @@
+// Localization: ratings are stored as high/medium/low and labelled in the run's language when shown or exported
+process.env.STORAGE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeLikelihood } = require('../utils/analysisSchema');
+const { getMessages, formatLikelihood, getRunLanguage } = require('../utils/locale');
+const chatGPTService = require('../services/chatGPTService');
+const dataService = require('../services/dataService');
+
+test('legacy Chinese ratings map onto the canonical levels', () => {
+  assert.equal(normalizeLikelihood('高'), 'high');
+  assert.equal(normalizeLikelihood(' Medium '), 'medium');
+  assert.equal(normalizeLikelihood('probably'), null);
+  assert.equal(normalizeLikelihood(3), null);
+});
+
+test('ratings are labelled per language, with English for languages without labels', () => {
+  assert.equal(formatLikelihood('high', 'zh'), '高');
+  assert.equal(formatLikelihood('低', 'en'), 'Low');
+  assert.equal(formatLikelihood('?', 'en'), getMessages('en').likelihood.unknown);
+  assert.equal(getMessages('de').pageTitle, getMessages('en').pageTitle);
+  assert.equal(getMessages('de').dateLocale, 'de-DE');
+});
+
+test('a run is rendered in the language it was analyzed in', () => {
+  assert.equal(getRunLanguage({ params: { language: 'en' } }), 'en');
+  assert.equal(getRunLanguage({ metadata: { params: { language: 'ja' } } }), 'ja');
+  assert.equal(getRunLanguage({}), 'zh');
+});
+
+test('the rule-based fallback writes in the requested language with canonical ratings', () => {
+  const product = { name: 'Widget', votesCount: 12, topics: [{ name: 'Developer Tools' }] };
+  const en = chatGPTService.createFallbackAnalysis(product, 'en');
+  const zh = chatGPTService.createFallbackAnalysis(product, 'zh');
+
+  assert.equal(en.targetUsers[0].demographic, 'Developers and tech professionals');
+  assert.equal(zh.targetUsers[0].demographic, '开发者和技术专业人士');
+  assert.equal(zh.targetUsers[0].likelihood, 'high');
+  assert.ok(['high', 'medium', 'low'].includes(zh.successProbability));
+});
+
+test('CSV exports use the run language for headers and ratings', async () => {
+  const product = { name: 'Widget', votesCount: 3, analysis: { successProbability: 'high', summary: 'ok' } };
+  const en = await dataService.saveAnalyzedData([product], { params: { language: 'en' } });
+  const { csvContent } = await dataService.exportToCSV(en.runId);
+
+  const [header, row] = csvContent.split('\n');
+  assert.ok(header.startsWith(`"${getMessages('en').csv.name}"`));
+  assert.ok(row.includes('"High"'));
+});
+
+test('server CSV exports neutralise formula-leading cells', async () => {
+  const product = { name: '=cmd|" /C calc"!A0', tagline: '@SUM(1)', website: 'https://example.com' };
+  const saved = await dataService.saveAnalyzedData([product], { params: { language: 'en' } });
+  const { csvContent } = await dataService.exportToCSV(saved.runId);
+
+  const row = csvContent.split('\n')[1];
+  assert.ok(row.startsWith(`"'=cmd|"" /C calc""!A0","'@SUM(1)",`));
+  assert.ok(row.includes('"https://example.com"'));
+});
@@ -0,0 +1,70 @@
+// Market summary: one cross-product summary per run, from the provider or aggregated from the analyses
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dataService = require('../services/dataService');
+const { MemoryAdapter } = require('../services/storage');
+const chatGPTService = require('../services/chatGPTService');
+
+const analyzed = [
+  { name: 'Widget', tagline: 'Does things', topics: [{ name: 'AI' }], analysis: { summary: 'Good', successProbability: 'high', targetUsers: [{ demographic: 'Developers' }] } },
+  { name: 'Gadget', tagline: 'Does more', topics: [{ name: 'AI' }], analysis: { summary: 'Fine', successProbability: 'low', targetUsers: [{ demographic: 'Developers' }] } },
+  { name: 'Broken', topics: [{ name: 'Crypto' }], analysis: { error: 'LLM timeout' } }
+];
+
+function useProvider(t, complete) {
+  const original = chatGPTService.provider;
+  chatGPTService.setProvider({
+    name: 'fake',
+    defaultModel: 'big',
+    analysisModel: 'small',
+    isConfigured: () => true,
+    complete,
+    shouldRetry: () => false,
+    getRetryDelay: () => 0,
+    getUsage: () => ({})
+  });
+  t.after(() => chatGPTService.setProvider(original));
+}
+
+test('the provider summary is normalized and the prompt leaves out failed analyses', async (t) => {
+  const requests = [];
+  useProvider(t, async request => {
+    requests.push(request);
+    return { text: JSON.stringify({ summary: ' AI tools lead ', overallTrends: ['AI', 3, ''], marketInsights: 'Busy day' }), model: 'big', usage: {} };
+  });
+
+  const summary = await chatGPTService.generateMarketSummary(analyzed, { language: 'en' });
+  assert.equal(summary.summary, 'AI tools lead');
+  assert.deepEqual(summary.overallTrends, ['AI']);
+  assert.deepEqual(summary.recommendations, []);
+  assert.equal(summary.language, 'en');
+  assert.match(requests[0].prompt, /Widget/);
+  assert.doesNotMatch(requests[0].prompt, /Broken/);
+});
+
+test('a failing provider falls back to the aggregated summary', async (t) => {
+  useProvider(t, async () => ({ text: '{"overallTrends": []}', usage: {} }));
+
+  const summary = await chatGPTService.generateMarketSummary(analyzed, { language: 'en' });
+  assert.equal(summary.fallback, true);
+  assert.equal(summary.error, 'Market summary response has no summary');
+  assert.deepEqual(summary.overallTrends, ['AI (2 products)']);
+  assert.deepEqual(summary.emergingOpportunities, ['Widget: Does things']);
+  assert.deepEqual(summary.commonTargetDemographics, ['Developers']);
+  assert.equal(summary.metadata.productCount, 2);
+});
+
+test('the summary is saved with the run and exported after the products', async () => {
+  dataService.setStorage(new MemoryAdapter());
+  const marketSummary = chatGPTService.createFallbackMarketSummary(analyzed, 'en');
+  const saved = await dataService.saveAnalyzedData(analyzed, { params: { language: 'en' } }, marketSummary);
+
+  const run = await dataService.getRun(saved.runId);
+  assert.deepEqual(run.marketSummary, marketSummary);
+
+  const { csvContent } = await dataService.exportToCSV(saved.runId);
+  const lines = csvContent.split('\n');
+  assert.ok(lines.findIndex(line => line.includes('Market Summary')) > lines.findIndex(line => line.includes('Gadget')));
+});
@@ -0,0 +1,62 @@
+// Product Hunt OAuth setup: single-use server-side state, and the token encryption it relies on
+process.env.STORAGE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const authService = require('../services/authService');
+const dataService = require('../services/dataService');
+const { loadKeys, encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+
+test('an OAuth state can be consumed once, by the user it was issued for', async () => {
+  const { state, pending } = await authService.createState('boss');
+  assert.match(state, /^[a-f0-9]{48}$/);
+  assert.equal(pending.username, 'boss');
+
+  const consumed = await authService.consumeState(state);
+  assert.equal(consumed.username, 'boss');
+  assert.equal(await authService.consumeState(state), null);
+});
+
+test('unknown, malformed and expired states are rejected', async () => {
+  assert.equal(await authService.consumeState('a'.repeat(48)), null);
+  assert.equal(await authService.consumeState('../../etc/passwd'), null);
+
+  const { state, pending } = await authService.createState('boss');
+  await dataService.storage.setRecord('oauth_states', state, { ...pending, expiresAt: new Date(Date.now() - 1).toISOString() });
+  assert.equal(await authService.consumeState(state), null);
+});
+
+test('tokens are encrypted at rest, tamper-evident and readable with the previous key while rotating', () => {
+  const [oldKey] = loadKeys('old secret');
+  const envelope = encrypt('{"access_token":"abc"}', oldKey);
+  assert.ok(isEncrypted(envelope));
+  assert.ok(!JSON.stringify(envelope).includes('abc'));
+
+  assert.equal(decrypt(envelope, loadKeys('new secret', 'old secret')), '{"access_token":"abc"}');
+  assert.throws(() => decrypt(envelope, loadKeys('new secret')), /No configured encryption key/);
+
+  const tampered = { ...envelope, data: Buffer.from('x' + Buffer.from(envelope.data, 'base64').toString('latin1'), 'latin1').toString('base64') };
+  assert.throws(() => decrypt(tampered, [oldKey]));
+});
+
+test('the stored token file is encrypted, and plaintext files are encrypted on first read', async (t) => {
+  const os = require('os');
+  const path = require('path');
+  const fs = require('fs').promises;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ph-token-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const { tokenFile, encryptionKeys } = authService;
+  authService.tokenFile = path.join(dir, 'access_token.json');
+  authService.encryptionKeys = loadKeys('token secret');
+  t.after(() => Object.assign(authService, { tokenFile, encryptionKeys }));
+
+  await fs.writeFile(authService.tokenFile, JSON.stringify({ access_token: 'plain-abc' }));
+  assert.equal((await authService.readTokenFile()).access_token, 'plain-abc');
+  const onDisk = await fs.readFile(authService.tokenFile, 'utf8');
+  assert.ok(isEncrypted(JSON.parse(onDisk)));
+  assert.ok(!onDisk.includes('plain-abc'));
+  assert.equal((await fs.stat(authService.tokenFile)).mode & 0o777, 0o600);
+
+  authService.encryptionKeys = [];
+  await assert.rejects(authService.writeTokenFile({ access_token: 'x' }), /refusing to store the OAuth token in plaintext/);
+});
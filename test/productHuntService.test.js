@@ -0,0 +1,166 @@
+// Product Hunt date-range fetching: postedAfter/postedBefore windows followed through every page
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const productHuntService = require('../services/productHuntService');
+const launchDay = require('../utils/launchDay');
+
+// Serve `total` posts in pages, the way the GraphQL API does
+function mockPosts(t, total) {
+  return t.mock.method(productHuntService, 'makeGraphQLRequest', async (query, variables) => {
+    const offset = variables.after ? Number(variables.after) : 0;
+    const count = Math.min(variables.first, total - offset);
+    const edges = Array.from({ length: count }, (_, i) => ({ node: { id: String(offset + i + 1), name: `Post ${offset + i + 1}` } }));
+    return {
+      data: {
+        posts: {
+          edges,
+          pageInfo: { hasNextPage: offset + count < total, endCursor: String(offset + count) }
+        }
+      }
+    };
+  });
+}
+
+test('pages are followed with the cursor until the limit is reached', async (t) => {
+  const request = mockPosts(t, 100);
+  const products = await productHuntService.getProductsByDateRange('token', '2024-03-01T00:00:00Z', '2024-03-02T00:00:00Z', 45);
+
+  assert.equal(products.length, 45);
+  assert.deepEqual(request.mock.calls.map(call => [call.arguments[1].first, call.arguments[1].after]), [[20, null], [20, '20'], [5, '40']]);
+  assert.equal(request.mock.calls[0].arguments[1].postedAfter, '2024-03-01T00:00:00.000Z');
+  assert.equal(request.mock.calls[0].arguments[1].postedBefore, '2024-03-02T00:00:00.000Z');
+});
+
+test('ranges use the posted-window query with the featured filter and featured order', async (t) => {
+  const request = mockPosts(t, 1);
+  await productHuntService.getProductsByDateRange('token', '2024-03-01', '2024-03-02');
+  await productHuntService.getProductsByDateRange('token', '2024-03-01', '2024-03-02', 10, { featured: false, order: 'VOTES' });
+
+  const [[query, variables], [, overridden]] = request.mock.calls.map(call => call.arguments);
+  assert.equal(query, productHuntService.getTodayProductsQuery());
+  assert.match(query, /posts\(first: \$first, after: \$after, postedAfter: \$postedAfter, postedBefore: \$postedBefore, order: \$order, featured: \$featured\)/);
+  assert.equal(variables.featured, true);
+  assert.equal(variables.order, 'FEATURED_AT');
+  assert.equal(overridden.featured, false);
+  assert.equal(overridden.order, 'VOTES');
+});
+
+test('a null limit fetches every page of the range', async (t) => {
+  const request = mockPosts(t, 47);
+  const products = await productHuntService.getProductsByDateRange('token', '2024-03-01', '2024-03-02', null);
+
+  assert.equal(products.length, 47);
+  assert.equal(request.mock.callCount(), 3);
+  assert.equal(products[46].name, 'Post 47');
+});
+
+test('invalid or reversed ranges are refused before any request', async (t) => {
+  const request = mockPosts(t, 10);
+  await assert.rejects(productHuntService.getProductsByDateRange('token', 'yesterday', '2024-03-02'), /Invalid date range/);
+  await assert.rejects(productHuntService.getProductsByDateRange('token', '2024-03-02', '2024-03-01'), /Invalid date range/);
+  assert.equal(request.mock.callCount(), 0);
+});
+
+test('a past launch day is requested as that whole Pacific day', async (t) => {
+  const request = mockPosts(t, 3);
+  await productHuntService.getLaunchDayProducts('token', 10, { date: '2024-02-29', timezone: 'America/Los_Angeles' });
+
+  const { postedAfter, postedBefore } = request.mock.calls[0].arguments[1];
+  assert.equal(postedAfter, '2024-02-29T08:00:00.000Z');
+  assert.equal(postedBefore, '2024-03-01T07:59:59.999Z');
+});
+
+test('older launch days are fetched by their posted-date window, most votes first', async (t) => {
+  const byRange = t.mock.method(productHuntService, 'getProductsByDateRange', async () => [
+    { name: 'Quiet', votesCount: 3 }, { name: 'Loud', votesCount: 90 }, { name: 'Middle', votesCount: 40 }
+  ]);
+  const result = await productHuntService.getLaunchDayProducts('token', 2, { date: '2024-07-04', timezone: 'America/Los_Angeles' });
+
+  assert.deepEqual(result.products.map(product => product.name), ['Loud', 'Middle']);
+  assert.equal(result.products[0].dateWindow, 'today');
+  assert.deepEqual(result.launchDay, {
+    date: '2024-07-04',
+    timezone: 'America/Los_Angeles',
+    start: '2024-07-04T07:00:00.000Z',
+    end: '2024-07-05T07:00:00.000Z',
+    window: 'today'
+  });
+  assert.equal(byRange.mock.calls[0].arguments[2].toISOString(), '2024-07-05T06:59:59.999Z');
+});
+
+// Featured feed posts, newest first, featured `hoursAgo` hours before the start of the current launch day
+function mockFeatured(t, hoursAgo) {
+  const { start } = launchDay.getLaunchDayWindow();
+  const edges = hoursAgo.map((hours, i) => ({
+    node: { id: String(i), name: `Post ${i}`, votesCount: i, featuredAt: new Date(start.getTime() - hours * 60 * 60 * 1000).toISOString() }
+  }));
+  t.mock.method(productHuntService, 'makeGraphQLRequest', async () => ({ data: { posts: { edges, pageInfo: { hasNextPage: false } } } }));
+}
+
+test('the current launch day uses its featured posts, most votes first', async (t) => {
+  mockFeatured(t, [-2, -1, 3]);
+  const { products, launchDay: used } = await productHuntService.getLaunchDayProducts('token', 5);
+
+  assert.deepEqual(products.map(p => p.name), ['Post 1', 'Post 0']);
+  assert.equal(used.window, 'today');
+  assert.equal(used.date, launchDay.getLaunchDate());
+});
+
+test('an empty launch day falls back to the previous one and says so', async (t) => {
+  mockFeatured(t, [3, 5]);
+  const { products, launchDay: used } = await productHuntService.getLaunchDayProducts('token', 5);
+
+  assert.deepEqual(products.map(p => p.name), ['Post 1', 'Post 0']);
+  assert.equal(used.window, 'yesterday');
+  assert.equal(used.date, launchDay.addDays(launchDay.getLaunchDate(), -1));
+});
+
+test('paginate yields nodes across pages and stops requesting when the loop breaks', async (t) => {
+  const request = mockPosts(t, 100);
+  const names = [];
+  for await (const post of productHuntService.paginate('query', { order: 'VOTES' }, 'token', { pageSize: 10 })) {
+    names.push(post.name);
+    if (names.length === 15) break;
+  }
+
+  assert.equal(names[14], 'Post 15');
+  assert.equal(request.mock.callCount(), 2);
+  assert.equal(request.mock.calls[1].arguments[1].order, 'VOTES');
+});
+
+test('paginate honours maxItems and maxPages', async (t) => {
+  const request = mockPosts(t, 100);
+  const collect = async options => {
+    const nodes = [];
+    for await (const node of productHuntService.paginate('query', {}, 'token', options)) nodes.push(node);
+    return nodes;
+  };
+
+  assert.equal((await collect({ pageSize: 10, maxItems: 25 })).length, 25);
+  assert.deepEqual(request.mock.calls.map(call => call.arguments[1].first), [10, 10, 5]);
+  assert.equal((await collect({ pageSize: 10, maxPages: 2 })).length, 20);
+});
+
+test('paginate reads other connections and rejects malformed responses', async (t) => {
+  t.mock.method(productHuntService, 'makeGraphQLRequest', async () => ({ data: { topics: { edges: [{ node: { name: 'AI' } }], pageInfo: { hasNextPage: false } } } }));
+  const topics = [];
+  for await (const topic of productHuntService.paginate('query', {}, 'token', { connection: 'topics' })) topics.push(topic.name);
+  assert.deepEqual(topics, ['AI']);
+
+  const posts = productHuntService.paginate('query', {}, 'token');
+  await assert.rejects(posts.next(), /Invalid response structure/);
+});
+
+test('both launch day queries select pageInfo and take an $after cursor', () => {
+  for (const query of [productHuntService.getTodayProductsQuery(), productHuntService.getFeaturedProductsQuery()]) {
+    assert.match(query, /\$after: String/);
+    assert.match(query, /after: \$after/);
+    assert.match(query, /pageInfo \{\s+hasNextPage\s+endCursor\s+\}/);
+  }
+});
+
+test('paginate refuses a page without pageInfo instead of stopping after it', async (t) => {
+  t.mock.method(productHuntService, 'makeGraphQLRequest', async () => ({ data: { posts: { edges: [{ node: { id: '1' } }] } } }));
+  const pages = productHuntService.paginate('query', {}, 'token');
+  await assert.rejects(pages.next(), /Paginated query must select posts.pageInfo/);
+});
@@ -0,0 +1,70 @@
+// Prompt templates: built-in version 1 per template, new versions stored as records, one active version each
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dataService = require('../services/dataService');
+const { MemoryAdapter } = require('../services/storage');
+const promptService = require('../services/promptService');
+const chatGPTService = require('../services/chatGPTService');
+
+test.beforeEach(() => {
+  dataService.setStorage(new MemoryAdapter());
+  promptService.activeCache.clear();
+});
+
+test('every known template starts at its built-in version 1', async () => {
+  const templates = await promptService.listTemplates();
+  assert.deepEqual(templates.map(template => template.name).sort(), ['analysis', 'analysis-zh', 'market-summary']);
+  assert.ok(templates.every(template => template.activeVersion === 1));
+
+  const analysis = await promptService.getActiveTemplate('analysis');
+  assert.equal(analysis.id, 'analysis@1');
+  assert.equal(analysis.builtin, true);
+  assert.ok(analysis.variables.includes('languageName'));
+});
+
+test('new versions are numbered in order and only become active when asked', async () => {
+  const second = await promptService.createVersion('analysis', { template: 'Analyze {{name}} in {{languageName}}' });
+  assert.equal(second.version, 2);
+  assert.equal(second.system, promptService.builtins.analysis.system);
+  assert.equal((await promptService.getActiveTemplate('analysis')).version, 1);
+
+  const third = await promptService.createVersion('analysis', { template: 'Judge {{name}}', activate: true });
+  assert.equal(third.id, 'analysis@3');
+  assert.equal((await promptService.getActiveTemplate('analysis')).version, 3);
+  assert.deepEqual((await promptService.listVersions('analysis')).map(template => template.version), [1, 2, 3]);
+
+  await promptService.activateVersion('analysis', 2);
+  const rendered = await promptService.renderActive('analysis', { name: 'Widget', languageName: 'English' });
+  assert.equal(rendered.prompt, 'Analyze Widget in English');
+  assert.equal(rendered.promptVersion, 'analysis@2');
+});
+
+test('invalid templates are rejected with every error', async () => {
+  await assert.rejects(promptService.createVersion('analysis', { template: '  ', system: 5 }), error => {
+    assert.equal(error.name, 'ValidationError');
+    assert.deepEqual(error.details.errors, ['template must be a non-empty string', 'system must be a string']);
+    return true;
+  });
+  await assert.rejects(promptService.createVersion('market-summary', { template: 'About {{name}}' }), error => {
+    assert.match(error.details.errors[0], /^Unknown variables: name \(allowed: products, productCount, languageName\)$/);
+    return true;
+  });
+});
+
+test('unknown templates and versions are not found', async () => {
+  await assert.rejects(promptService.listVersions('headline'), { name: 'NotFoundError', message: 'Unknown prompt template: headline' });
+  await assert.rejects(promptService.activateVersion('analysis', 9), { name: 'NotFoundError' });
+  assert.equal(await promptService.getVersion('analysis', 9), null);
+});
+
+test('rendering leaves unknown placeholders in place', () => {
+  assert.equal(promptService.render('{{ name }} / {{missing}}', { name: 'Widget' }), 'Widget / {{missing}}');
+});
+
+test('activating another analysis version changes the analysis cache fingerprint', async () => {
+  const before = await chatGPTService.getCacheFingerprint({ language: 'en' });
+  await promptService.createVersion('analysis', { template: 'Analyze {{name}}', activate: true });
+  assert.notEqual(await chatGPTService.getCacheFingerprint({ language: 'en' }), before);
+});
@@ -0,0 +1,58 @@
+// Data provenance: products and runs say where their data came from, and mock data is opt-in
+process.env.STORAGE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SOURCES, tagProducts, summarizeProvenance } = require('../utils/provenance');
+const productHuntService = require('../services/productHuntService');
+const analysisPipeline = require('../services/analysisPipeline');
+const dataService = require('../services/dataService');
+const { MemoryAdapter } = require('../services/storage');
+
+test('products keep an existing source tag and get the date window', () => {
+  const tagged = tagProducts([{ name: 'A' }, { name: 'B', source: SOURCES.CACHE }], SOURCES.GRAPHQL, 'today');
+  assert.deepEqual(tagged, [
+    { name: 'A', source: 'graphql', dateWindow: 'today' },
+    { name: 'B', source: 'cache', dateWindow: 'today' }
+  ]);
+});
+
+test('live data for the requested day carries no notice', () => {
+  const provenance = summarizeProvenance([{ source: 'graphql' }, { source: 'rest-v1' }], { window: 'today' });
+  assert.deepEqual(provenance, { sources: ['graphql', 'rest-v1'], dateWindow: 'today', live: true, notice: null });
+});
+
+test('mock, cached and off-day data is flagged', () => {
+  assert.match(summarizeProvenance([{ source: 'mock' }], { window: 'unfiltered' }).notice, /MOCK demo data/);
+  assert.match(summarizeProvenance([{ source: 'cache' }], { window: 'today' }).notice, /previously stored run/);
+  assert.match(summarizeProvenance([{ source: 'graphql' }], { window: 'yesterday' }).notice, /previous launch day/);
+  assert.equal(summarizeProvenance([{ source: 'graphql' }, { source: 'mock' }]).live, false);
+  assert.equal(summarizeProvenance([]).live, false);
+});
+
+test('without ALLOW_MOCK_DATA a Product Hunt outage is an error, not demo data', async (t) => {
+  t.mock.method(productHuntService, 'makeGraphQLRequest', async () => { throw new Error('GraphQL down'); });
+  t.mock.method(productHuntService, 'getTrendingProductsREST', async () => { throw new Error('REST down'); });
+
+  await assert.rejects(productHuntService.getLaunchDayProducts('token', 3), /GraphQL: GraphQL down; REST: REST down/);
+
+  productHuntService.allowMockData = true;
+  t.after(() => { productHuntService.allowMockData = false; });
+  const { products, launchDay } = await productHuntService.getLaunchDayProducts('token', 3);
+  assert.ok(products.length > 0 && products.every(product => product.source === 'mock'));
+  assert.equal(launchDay.window, 'unfiltered');
+});
+
+test('when Product Hunt is down a stored live run for the day is reused and tagged as cache', async (t) => {
+  await dataService.setStorage(new MemoryAdapter());
+  await dataService.saveAnalyzedData([{ name: 'Stored', source: 'graphql', analysis: { summary: 'old' } }], {
+    launchDay: { date: '2024-03-01', window: 'today' },
+    provenance: { live: true }
+  });
+  t.mock.method(productHuntService, 'getLaunchDayProducts', async () => { throw new Error('Product Hunt API unavailable'); });
+
+  const { products, launchDay } = await analysisPipeline.fetchLaunchDayProducts('token', 5, '2024-03-01');
+  assert.deepEqual(products, [{ name: 'Stored', source: 'cache' }]);
+  assert.equal(launchDay.date, '2024-03-01');
+
+  await assert.rejects(analysisPipeline.fetchLaunchDayProducts('token', 5, '2024-03-02'), /Product Hunt API unavailable/);
+});
@@ -0,0 +1,73 @@
+// Product Hunt complexity budget: queries wait for the window reset, or are refused, before the budget runs out
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const RateLimitGovernor = require('../services/rateLimitGovernor');
+const productHuntService = require('../services/productHuntService');
+
+const headers = (remaining, reset = 900, limit = 6250) => ({
+  'x-rate-limit-limit': String(limit),
+  'x-rate-limit-remaining': String(remaining),
+  'x-rate-limit-reset': String(reset)
+});
+
+test('queries go through freely until a response reports the budget', async () => {
+  const governor = new RateLimitGovernor();
+  assert.equal(governor.getAvailable(), null);
+
+  const reservation = await governor.acquire();
+  assert.equal(governor.pending, 100);
+  governor.settle(reservation, headers(6000));
+
+  assert.equal(governor.remaining, 6000);
+  assert.equal(governor.pending, 0);
+  assert.equal(governor.getStatus().resetInSeconds, 900);
+});
+
+test('the cost estimate follows the observed drop in remaining points', async () => {
+  const governor = new RateLimitGovernor();
+  governor.settle(await governor.acquire(), headers(6000));
+  governor.settle(await governor.acquire(), headers(5700));
+  assert.equal(governor.estimatedCost, 200);
+});
+
+test('a query that would eat into the reserve waits for a short reset', async () => {
+  const governor = new RateLimitGovernor({ reserve: 50, maxWaitMs: 1000 });
+  governor.settle(null, headers(120, 1));
+  governor.resetAt = Date.now() + 50;
+
+  const started = Date.now();
+  await governor.acquire();
+  assert.ok(Date.now() - started >= 40);
+  assert.equal(governor.stats.delayed, 1);
+  assert.equal(governor.remaining, null);
+});
+
+test('a query is refused with a RateLimitError when the reset is too far away', async () => {
+  const governor = new RateLimitGovernor({ reserve: 50, maxWaitMs: 1000 });
+  governor.settle(null, headers(120, 600));
+
+  await assert.rejects(governor.acquire(), { name: 'RateLimitError', message: /budget exhausted \(120 of 6250 points left\), resets in 600s/ });
+  assert.equal(governor.getStatus().throttled, true);
+  assert.equal(governor.stats.rejected, 1);
+});
+
+test('a 429 empties the budget until retry-after', () => {
+  const governor = new RateLimitGovernor();
+  governor.settle(null, { 'retry-after': '30' }, 429);
+
+  assert.equal(governor.remaining, 0);
+  assert.equal(governor.stats.limited, 1);
+  assert.equal(governor.getStatus().resetInSeconds, 30);
+});
+
+test('every GraphQL response reports its budget to the service governor', async (t) => {
+  productHuntService.rateLimit = new RateLimitGovernor({ reserve: 50, maxWaitMs: 0 });
+  const post = t.mock.method(axios, 'post', async () => ({ status: 200, headers: headers(100, 600), data: { data: { posts: { edges: [] } } } }));
+
+  await productHuntService.makeGraphQLRequest('query', {}, 'token');
+  assert.equal(productHuntService.rateLimit.remaining, 100);
+
+  await assert.rejects(productHuntService.makeGraphQLRequest('query', {}, 'token'), { name: 'RateLimitError' });
+  assert.equal(post.mock.callCount(), 1);
+});
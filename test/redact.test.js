@@ -0,0 +1,55 @@
+// Secret redaction for logs, error responses and diagnostics
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Redactor, loadRules, REDACTED } = require('../utils/redact');
+
+const redactor = new Redactor(loadRules({ OPENAI_API_KEY: 'configured-openai-secret', REDACT_KEYS: 'ssn', REDACT_PATTERNS: '["acct_[0-9]{8}"]' }));
+
+test('values under sensitive keys are hidden, token counts are not', () => {
+  const result = redactor.redact({
+    password: 'hunter2',
+    headers: { Authorization: 'Bearer abc', cookie: 'ph_session=xyz' },
+    accessToken: 'abc',
+    ssn: '123',
+    totalTokens: 42,
+    tokensPerMinute: 1000,
+    hasToken: true
+  });
+
+  assert.equal(result.password, REDACTED);
+  assert.equal(result.headers.Authorization, REDACTED);
+  assert.equal(result.headers.cookie, REDACTED);
+  assert.equal(result.accessToken, REDACTED);
+  assert.equal(result.ssn, REDACTED);
+  assert.equal(result.totalTokens, 42);
+  assert.equal(result.tokensPerMinute, 1000);
+  assert.equal(result.hasToken, true);
+});
+
+test('secret formats and configured secrets are masked inside strings', () => {
+  const apiKey = `pha_${'0'.repeat(16)}_${'a'.repeat(32)}`;
+  const text = redactor.redactString(
+    `Bearer abc.def ${apiKey} sk-${'x'.repeat(20)} eyJa.eyJb.c /callback?code=secret&state=1 acct_12345678 configured-openai-secret`
+  );
+
+  assert.equal(text, `Bearer ${REDACTED} ${REDACTED} ${REDACTED} ${REDACTED} /callback?code=${REDACTED}&state=1 ${REDACTED} ${REDACTED}`);
+});
+
+test('errors keep their shape and circular structures do not loop', () => {
+  const error = new Error('failed with Bearer abc');
+  error.config = { headers: { Authorization: 'Bearer abc' } };
+  const copy = redactor.redact(error);
+  assert.ok(copy instanceof Error);
+  assert.equal(copy.message, `failed with Bearer ${REDACTED}`);
+  assert.equal(copy.config.headers.Authorization, REDACTED);
+  assert.ok(!copy.stack.includes('Bearer abc'));
+
+  const loop = { name: 'loop' };
+  loop.self = loop;
+  assert.deepEqual(redactor.redact(loop), { name: 'loop', self: '[Circular]' });
+});
+
+test('invalid REDACT_PATTERNS is reported', () => {
+  assert.throws(() => loadRules({ REDACT_PATTERNS: 'not json' }), /REDACT_PATTERNS is not valid JSON/);
+  assert.throws(() => loadRules({ REDACT_PATTERNS: '"x"' }), /JSON array/);
+});
@@ -0,0 +1,43 @@
+// Results export script: the CSV built in the browser quotes every cell, defuses formulas and uses the run's labels
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { getMessages } = require('../utils/locale');
+
+// Load the browser script in a sandbox and return what it puts on window
+function loadResultsExport() {
+  const context = { window: {} };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'public', 'js', 'resultsExport.js'), 'utf8'), context);
+  return context.window.ResultsExport;
+}
+
+const ResultsExport = loadResultsExport();
+
+test('every cell is quoted with embedded quotes doubled', () => {
+  assert.equal(ResultsExport.csvCell('Say "hi", ok'), '"Say ""hi"", ok"');
+  assert.equal(ResultsExport.csvCell(null), '""');
+  assert.equal(ResultsExport.csvCell(42), '"42"');
+});
+
+test('cells that a spreadsheet would run as a formula are prefixed with a quote', () => {
+  for (const value of ['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd']) {
+    assert.ok(ResultsExport.csvCell(value).startsWith(`"'${value[0]}`), value);
+  }
+  assert.equal(ResultsExport.csvCell('=1+1'), `"'=1+1"`);
+  assert.equal(ResultsExport.csvCell('a=b'), '"a=b"');
+});
+
+test('the CSV uses the run language and ends with the market summary', () => {
+  const messages = getMessages('en');
+  const csv = ResultsExport.toCSV({
+    products: [{ name: 'Widget, "Pro"', votesCount: 5, analysis: { successProbability: '高', summary: 'Useful' } }],
+    marketSummary: { summary: 'AI leads', overallTrends: ['AI'] }
+  }, messages);
+  const lines = csv.split('\n');
+
+  assert.equal(lines[0].split(',')[0], `"${messages.csv.name}"`);
+  assert.match(lines[1], /^"Widget, ""Pro""","","5","0","High",/);
+  assert.equal(lines[3], `"${messages.marketSummaryTitle}","AI leads"`);
+});
@@ -0,0 +1,89 @@
+// Scheduler: runs are recorded in stored history and never overlap
+process.env.STORAGE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dataService = require('../services/dataService');
+const { MemoryAdapter } = require('../services/storage');
+const analysisPipeline = require('../services/analysisPipeline');
+const schedulerService = require('../services/schedulerService');
+
+test.beforeEach(() => {
+  dataService.setStorage(new MemoryAdapter());
+});
+
+test.afterEach(() => {
+  delete analysisPipeline.run;
+});
+
+test('a finished run is recorded with its outcome, newest first', async () => {
+  analysisPipeline.run = async ({ limit, trigger }) => ({ runId: `product_analysis_${trigger}`, totalProducts: limit, successCount: limit, errorCount: 0 });
+
+  await schedulerService.runNow('schedule');
+  const entry = await schedulerService.runNow('manual');
+
+  assert.equal(entry.status, 'success');
+  assert.equal(entry.runId, 'product_analysis_manual');
+  assert.equal(entry.totalProducts, schedulerService.limit);
+  assert.ok(entry.finishedAt);
+  assert.deepEqual((await schedulerService.getStatus()).history.map(run => run.trigger), ['manual', 'schedule']);
+  assert.equal(schedulerService.isRunning(), false);
+});
+
+test('a run that starts while another is in progress is skipped', async () => {
+  let finish;
+  analysisPipeline.run = () => new Promise(resolve => { finish = resolve; });
+
+  const first = schedulerService.runNow('schedule');
+  assert.equal(schedulerService.isRunning(), true);
+  const skipped = await schedulerService.runNow('manual');
+  assert.equal(skipped.status, 'skipped');
+
+  finish({ runId: 'product_analysis_x', totalProducts: 1, successCount: 1, errorCount: 0 });
+  assert.equal((await first).status, 'success');
+  assert.deepEqual((await schedulerService.getHistory()).map(run => run.status), ['success', 'skipped']);
+});
+
+test('failures are recorded instead of thrown', async () => {
+  analysisPipeline.run = async () => { throw new Error('No trending products found'); };
+
+  const entry = await schedulerService.runNow('schedule');
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.error, 'No trending products found');
+  assert.deepEqual((await schedulerService.getStatus()).lastRun, entry);
+});
+
+test('history keeps only the newest entries', async () => {
+  analysisPipeline.run = async () => ({ runId: 'product_analysis_x' });
+  for (let i = 0; i < schedulerService.maxHistory + 5; i++) {
+    await schedulerService.runNow('manual');
+  }
+  const records = await dataService.storage.listRecords(schedulerService.collection);
+  assert.equal(records.length, schedulerService.maxHistory);
+});
+
+test('the scheduler does not start unless enabled', async () => {
+  assert.equal(schedulerService.enabled, false);
+  assert.equal(schedulerService.start(), false);
+  assert.equal((await schedulerService.getStatus()).active, false);
+});
+
+test('history is read back from storage, so it survives a restart', async () => {
+  const storage = new MemoryAdapter();
+  await storage.setRecord(schedulerService.collection, 'run_1700000000000', { trigger: 'schedule', status: 'success', runId: 'product_analysis_old' });
+  await dataService.setStorage(storage);
+  analysisPipeline.run = async () => ({ runId: 'product_analysis_new' });
+
+  await schedulerService.runNow('manual');
+  const { history, lastRun } = await schedulerService.getStatus();
+  assert.deepEqual(history.map(run => run.runId), ['product_analysis_new', 'product_analysis_old']);
+  assert.equal(lastRun.trigger, 'manual');
+});
+
+test('a storage failure is logged without failing the run', async (t) => {
+  t.mock.method(dataService.storage, 'setRecord', async () => { throw new Error('disk full'); });
+  analysisPipeline.run = async () => ({ runId: 'product_analysis_x' });
+
+  const entry = await schedulerService.runNow('manual');
+  assert.equal(entry.status, 'success');
+  assert.equal(schedulerService.isRunning(), false);
+});
@@ -0,0 +1,126 @@
+// Team login: hashed local accounts, signed session cookies and role checks on routes
+process.env.STORAGE_BACKEND = 'memory';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const userService = require('../services/userService');
+const sessionService = require('../services/sessionService');
+const SessionAuthMiddleware = require('../middleware/sessionAuth');
+
+// Minimal Express-like request/response pair for calling middleware directly
+function mockRequest({ user, cookie, method = 'GET', path = '/api/runs', accepts = 'json' } = {}) {
+  return {
+    user,
+    method,
+    path,
+    originalUrl: path,
+    get: name => (name === 'Cookie' ? cookie : undefined),
+    accepts: () => accepts
+  };
+}
+
+function mockResponse() {
+  const res = { statusCode: 200, headers: {}, body: null, redirectedTo: null };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  res.redirect = url => { res.redirectedTo = url; return res; };
+  res.getHeader = name => res.headers[name];
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  return res;
+}
+
+// Run a middleware and report whether it passed the request on
+async function runMiddleware(middleware, req, res = mockResponse()) {
+  let passed = false;
+  await middleware(req, res, error => {
+    if (error) throw error;
+    passed = true;
+  });
+  return { passed, res };
+}
+
+test('roles are ordered viewer < analyst < admin', () => {
+  assert.equal(userService.hasRole('admin', 'analyst'), true);
+  assert.equal(userService.hasRole('analyst', 'analyst'), true);
+  assert.equal(userService.hasRole('viewer', 'analyst'), false);
+  assert.equal(userService.hasRole('root', 'viewer'), false);
+});
+
+test('requireRole lets enough role through and refuses the rest', async () => {
+  const analystOnly = SessionAuthMiddleware.requireRole('analyst');
+
+  assert.equal((await runMiddleware(analystOnly, mockRequest({ user: { username: 'ana', role: 'admin' } }))).passed, true);
+
+  const viewer = await runMiddleware(analystOnly, mockRequest({ user: { username: 'vic', role: 'viewer' } }));
+  assert.equal(viewer.passed, false);
+  assert.equal(viewer.res.statusCode, 403);
+  assert.deepEqual(viewer.res.body, { error: 'This action requires the analyst role' });
+
+  const anonymousApi = await runMiddleware(analystOnly, mockRequest());
+  assert.equal(anonymousApi.res.statusCode, 401);
+
+  const anonymousPage = await runMiddleware(SessionAuthMiddleware.requireLogin, mockRequest({ path: '/results', accepts: 'html' }));
+  assert.equal(anonymousPage.res.redirectedTo, '/login?returnTo=%2Fresults');
+});
+
+test('passwords are hashed and checked, and usernames are case-insensitive', async () => {
+  const created = await userService.createUser({ username: 'Alice', password: 'correct horse', role: 'analyst' });
+  assert.equal(created.username, 'alice');
+  assert.equal(created.passwordHash, undefined);
+  assert.equal(created.hasPassword, true);
+
+  assert.equal((await userService.authenticate('ALICE', 'correct horse')).username, 'alice');
+  assert.equal(await userService.authenticate('alice', 'wrong horse!'), null);
+  assert.equal(await userService.authenticate('nobody', 'correct horse'), null);
+
+  await assert.rejects(userService.createUser({ username: 'alice', password: 'correct horse' }), { name: 'ValidationError' });
+  await assert.rejects(userService.createUser({ username: 'x', password: 'short', role: 'owner' }), error => {
+    assert.deepEqual(error.details.errors, [
+      'username must be 3-64 letters, digits or . _ @ + -',
+      'password must be at least 10 characters',
+      'role must be one of: viewer, analyst, admin'
+    ]);
+    return true;
+  });
+});
+
+test('a session cookie loads its user, with role changes applied on the next request', async () => {
+  await userService.createUser({ username: 'bob', password: 'correct horse', role: 'viewer' });
+  const login = mockResponse();
+  await sessionService.create(login, { username: 'bob' });
+  const [setCookie] = login.headers['Set-Cookie'];
+  assert.match(setCookie, /^ph_session=[^;]+; Path=\/; HttpOnly; SameSite=Lax; Max-Age=\d+$/);
+  const cookie = setCookie.split(';')[0];
+
+  const req = mockRequest({ cookie });
+  await runMiddleware(SessionAuthMiddleware.loadSession, req);
+  assert.equal(req.user.username, 'bob');
+  assert.equal(req.user.role, 'viewer');
+
+  await userService.updateUser('bob', { role: 'admin' });
+  const next = mockRequest({ cookie });
+  await runMiddleware(SessionAuthMiddleware.loadSession, next);
+  assert.equal(next.user.role, 'admin');
+
+  await sessionService.destroyForUser('bob');
+  const after = mockRequest({ cookie });
+  await runMiddleware(SessionAuthMiddleware.loadSession, after);
+  assert.equal(after.user, undefined);
+});
+
+test('altered or foreign cookies are ignored', async () => {
+  const signed = sessionService.sign('abc123');
+  assert.equal(sessionService.unsign(signed), 'abc123');
+  assert.equal(sessionService.unsign(`${signed}x`), null);
+  assert.equal(sessionService.unsign('abc123'), null);
+
+  const req = mockRequest({ cookie: `other=1; ph_session=${encodeURIComponent(sessionService.sign('missing'))}` });
+  await runMiddleware(SessionAuthMiddleware.loadSession, req);
+  assert.equal(req.user, undefined);
+});
+
+test('login redirects only go to same-site paths', () => {
+  assert.equal(SessionAuthMiddleware.safeReturnTo('/results?run=1'), '/results?run=1');
+  assert.equal(SessionAuthMiddleware.safeReturnTo('//evil.example'), '/');
+  assert.equal(SessionAuthMiddleware.safeReturnTo('/\\evil.example'), '/');
+  assert.equal(SessionAuthMiddleware.safeReturnTo('https://evil.example'), '/');
+});
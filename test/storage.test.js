@@ -0,0 +1,120 @@
+// Storage adapters: every backend stores and returns the same run snapshots
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const Database = require('better-sqlite3');
+const { createStorageAdapter, FileSystemAdapter, SqliteAdapter, MemoryAdapter } = require('../services/storage');
+
+const snapshot = (runId, timestamp) => ({
+  metadata: { runId, timestamp, totalProducts: 2 },
+  summary: { successfulAnalyses: 1, failedAnalyses: 1 },
+  marketSummary: null,
+  products: [
+    { id: '1', name: 'Widget', votesCount: 5, analysis: { summary: 'Useful', successProbability: 'high' } },
+    { id: '2', name: 'Gadget', votesCount: 1, analysis: { error: 'LLM timeout' } }
+  ]
+});
+
+const backends = {
+  filesystem: async () => new FileSystemAdapter({ dataDir: await fs.mkdtemp(path.join(os.tmpdir(), 'ph-storage-')) }),
+  sqlite: async () => new SqliteAdapter({ dbPath: ':memory:' }),
+  memory: async () => new MemoryAdapter()
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  test(`${name}: runs round-trip and list newest first`, async () => {
+    const storage = await create();
+    await storage.init();
+    await storage.saveRun('product_analysis_a', snapshot('product_analysis_a', '2026-01-01T00:00:00.000Z'));
+    await storage.saveRun('product_analysis_b', snapshot('product_analysis_b', '2026-01-02T00:00:00.000Z'));
+
+    assert.deepEqual(await storage.getRun('product_analysis_a'), snapshot('product_analysis_a', '2026-01-01T00:00:00.000Z'));
+    assert.equal(await storage.getRun('product_analysis_missing'), null);
+    assert.equal((await storage.getLatestRun()).metadata.runId, 'product_analysis_b');
+
+    const runs = await storage.listRuns();
+    assert.deepEqual(runs.map(run => run.runId), ['product_analysis_b', 'product_analysis_a']);
+    assert.deepEqual(runs[0].summary, { successfulAnalyses: 1, failedAnalyses: 1 });
+    assert.equal(runs[0].totalProducts, 2);
+
+    if (storage.dataDir) await fs.rm(storage.dataDir, { recursive: true, force: true });
+  });
+
+  test(`${name}: runs can be deleted and pruned to the newest ones`, async () => {
+    const storage = await create();
+    await storage.init();
+    for (const day of [1, 2, 3]) {
+      const runId = `product_analysis_${day}`;
+      await storage.saveRun(runId, snapshot(runId, `2026-01-0${day}T00:00:00.000Z`));
+    }
+
+    assert.equal(await storage.deleteRun('product_analysis_3'), true);
+    assert.equal(await storage.deleteRun('product_analysis_3'), false);
+    assert.deepEqual(await storage.pruneRuns(1), { deletedCount: 1, remainingCount: 1 });
+    assert.deepEqual((await storage.listRuns()).map(run => run.runId), ['product_analysis_2']);
+
+    if (storage.dataDir) await fs.rm(storage.dataDir, { recursive: true, force: true });
+  });
+
+  test(`${name}: the market summary is stored with the run`, async () => {
+    const storage = await create();
+    await storage.init();
+    const marketSummary = { summary: 'AI tools lead', overallTrends: ['AI (2)'], language: 'en' };
+    await storage.saveRun('product_analysis_a', { ...snapshot('product_analysis_a', '2026-01-01T00:00:00.000Z'), marketSummary });
+    await storage.saveRun('product_analysis_b', { ...snapshot('product_analysis_b', '2026-01-02T00:00:00.000Z'), marketSummary: null });
+
+    assert.deepEqual((await storage.getRun('product_analysis_a')).marketSummary, marketSummary);
+    assert.equal((await storage.getRun('product_analysis_b')).marketSummary, null);
+
+    if (storage.dataDir) await fs.rm(storage.dataDir, { recursive: true, force: true });
+  });
+
+  test(`${name}: records are kept per collection and key`, async () => {
+    const storage = await create();
+    await storage.init();
+    await storage.setRecord('analysis_cache', 'a', { n: 1 });
+    await storage.setRecord('analysis_cache', 'a', { n: 2 });
+    await storage.setRecord('analysis_cache', 'b', { n: 3 });
+    await storage.setRecord('other', 'a', { n: 4 });
+
+    assert.deepEqual(await storage.getRecord('analysis_cache', 'a'), { n: 2 });
+    assert.equal(await storage.getRecord('analysis_cache', 'missing'), null);
+    const records = await storage.listRecords('analysis_cache');
+    assert.deepEqual(records.sort((x, y) => x.key.localeCompare(y.key)), [{ key: 'a', value: { n: 2 } }, { key: 'b', value: { n: 3 } }]);
+    assert.equal(await storage.deleteRecord('analysis_cache', 'a'), true);
+    assert.equal(await storage.deleteRecord('analysis_cache', 'a'), false);
+    assert.deepEqual(await storage.listRecords('empty'), []);
+
+    if (storage.dataDir) await fs.rm(storage.dataDir, { recursive: true, force: true });
+  });
+}
+
+test('memory adapter hands out copies, not the stored snapshot', async () => {
+  const storage = new MemoryAdapter();
+  await storage.saveRun('product_analysis_a', snapshot('product_analysis_a', '2026-01-01T00:00:00.000Z'));
+  (await storage.getRun('product_analysis_a')).products.pop();
+  assert.equal((await storage.getRun('product_analysis_a')).products.length, 2);
+});
+
+test('sqlite databases from before market summaries gain the column', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ph-storage-'));
+  const dbPath = path.join(dir, 'runs.db');
+  const legacy = new Database(dbPath);
+  legacy.exec('CREATE TABLE runs (id TEXT PRIMARY KEY, timestamp TEXT NOT NULL, total_products INTEGER NOT NULL DEFAULT 0, metadata TEXT NOT NULL, summary TEXT NOT NULL)');
+  legacy.close();
+
+  const storage = new SqliteAdapter({ dbPath });
+  await storage.saveRun('product_analysis_a', { ...snapshot('product_analysis_a', '2026-01-01T00:00:00.000Z'), marketSummary: { summary: 'Kept' } });
+  assert.equal((await storage.getRun('product_analysis_a')).marketSummary.summary, 'Kept');
+
+  storage.db.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('the backend is picked by name and unknown names are refused', () => {
+  assert.equal(createStorageAdapter('memory').name, 'memory');
+  assert.equal(createStorageAdapter('SQLite').name, 'sqlite');
+  assert.throws(() => createStorageAdapter('redis'), /Unknown storage backend "redis"/);
+});
@@ -0,0 +1,96 @@
+// LLM usage: per-call cost from the price table, daily totals, and the monthly budget
+process.env.STORAGE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dataService = require('../services/dataService');
+const { MemoryAdapter } = require('../services/storage');
+const usageService = require('../services/usageService');
+const chatGPTService = require('../services/chatGPTService');
+const { DEFAULT_PRICES, loadPrices, findPrice, calculateCost, sumUsage } = require('../utils/pricing');
+
+function setup(t, { monthlyBudget = 0, budgetAction = 'fallback' } = {}) {
+  dataService.setStorage(new MemoryAdapter());
+  usageService.monthCache = null;
+  usageService.monthlyBudget = monthlyBudget;
+  usageService.budgetAction = budgetAction;
+  t.after(() => {
+    usageService.monthlyBudget = 0;
+    usageService.budgetAction = 'fallback';
+  });
+}
+
+test('models are priced by their longest matching prefix', () => {
+  assert.equal(findPrice(DEFAULT_PRICES, 'openai', 'gpt-4o-mini-2024-07-18'), DEFAULT_PRICES['gpt-4o-mini']);
+  assert.equal(findPrice(DEFAULT_PRICES, 'openai', 'gpt-4o'), DEFAULT_PRICES['gpt-4o']);
+  assert.equal(findPrice(DEFAULT_PRICES, 'openai', 'gpt-4omni'), null);
+  assert.deepEqual(findPrice(DEFAULT_PRICES, 'local', 'llama3'), { input: 0, output: 0 });
+});
+
+test('costs are per million tokens and unpriced models cost null', () => {
+  assert.equal(calculateCost({ input: 0.15, output: 0.6 }, { inputTokens: 1000, outputTokens: 500 }), 0.00045);
+  assert.equal(calculateCost(null, { inputTokens: 1000 }), null);
+  assert.deepEqual(sumUsage([{ inputTokens: 1, outputTokens: 2, totalTokens: 3, cost: 0.1 }, null, { requests: 2, totalTokens: 4, cost: 0.2 }]),
+    { requests: 3, inputTokens: 1, outputTokens: 2, totalTokens: 7, cost: 0.3 });
+});
+
+test('LLM_PRICES overrides are merged and checked', () => {
+  assert.deepEqual(loadPrices('{"my-model": {"input": 1, "output": 2}}')['my-model'], { input: 1, output: 2 });
+  assert.throws(() => loadPrices('{nope'), /LLM_PRICES is not valid JSON/);
+  assert.throws(() => loadPrices('{"my-model": {"input": "1"}}'), /LLM_PRICES entry for my-model needs numeric input and output prices/);
+});
+
+test('calls add up into one record per day, split by model', async (t) => {
+  setup(t);
+  const entry = await usageService.record('openai', 'gpt-4o-mini', { inputTokens: 1000, outputTokens: 500 });
+  assert.deepEqual(entry, { inputTokens: 1000, outputTokens: 500, totalTokens: 1500, cost: 0.00045 });
+  await Promise.all([
+    usageService.record('openai', 'gpt-4o-mini', { inputTokens: 1000, outputTokens: 500, totalTokens: 1500 }),
+    usageService.record('openai', 'mystery-model', { inputTokens: 10, outputTokens: 10 })
+  ]);
+
+  const [day] = await usageService.listDays();
+  assert.equal(day.date, usageService.getDay());
+  assert.equal(day.requests, 3);
+  assert.equal(day.totalTokens, 3020);
+  assert.equal(day.cost, 0.0009);
+  assert.equal(day.unpricedRequests, 1);
+  assert.equal(day.byModel['openai/gpt-4o-mini'].requests, 2);
+});
+
+test('a spent budget switches analyses to the rule-based fallback', async (t) => {
+  setup(t, { monthlyBudget: 0.0004 });
+  let calls = 0;
+  const original = chatGPTService.provider;
+  chatGPTService.setProvider({
+    name: 'openai',
+    defaultModel: 'gpt-4o-mini',
+    analysisModel: 'gpt-4o-mini',
+    isConfigured: () => true,
+    complete: async () => { calls++; throw new Error('should not be called'); },
+    shouldRetry: () => false,
+    getRetryDelay: () => 0,
+    getUsage: () => ({})
+  });
+  t.after(() => chatGPTService.setProvider(original));
+
+  assert.equal(await usageService.shouldUseFallback(), false);
+  await usageService.record('openai', 'gpt-4o-mini', { inputTokens: 1000, outputTokens: 500 });
+
+  const budget = await usageService.getBudgetStatus();
+  assert.equal(budget.exceeded, true);
+  assert.equal(budget.remaining, 0);
+  const analysis = await chatGPTService.analyzeProduct({ id: '1', name: 'Widget', votesCount: 5 }, { language: 'en', force: true });
+  assert.equal(analysis.fallback, true);
+  assert.equal(calls, 0);
+  await usageService.assertWithinBudget();
+});
+
+test('with the refuse action a spent budget rejects new runs', async (t) => {
+  setup(t, { monthlyBudget: 0.0001, budgetAction: 'refuse' });
+  await usageService.assertWithinBudget();
+  await usageService.record('openai', 'gpt-4o', { inputTokens: 1000 });
+
+  await assert.rejects(usageService.assertWithinBudget(), { name: 'RateLimitError', message: /Monthly LLM budget of \$0.0001 exceeded/ });
+  assert.equal(await usageService.shouldUseFallback(), false);
+});
@@ -0,0 +1,66 @@
+// Cancellation helpers - AbortSignal plumbing shared by runs, fetch/analysis deadlines and retry delays
+
+// Reason used when a run is cancelled or a deadline passes; named like the errors fetch and axios throw
+function createAbortError(message = 'Operation aborted') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+// Signal that aborts when `parent` does or after `ms`, whichever comes first. The timeout reason carries
+// `message`, so callers can tell a passed deadline from a cancelled run. Call clear() when the work is done.
+function withTimeout(parent, ms, message = 'Operation timed out') {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(parent.reason);
+  const timer = setTimeout(() => controller.abort(createAbortError(message)), ms);
+
+  if (parent?.aborted) {
+    onAbort();
+  } else {
+    parent?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+// Promise that rejects with the signal's reason once it aborts (and never settles otherwise)
+function whenAborted(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+    } else {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    }
+  });
+}
+
+// Wait ms, cut short with the abort reason if the signal aborts first
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  createAbortError,
+  withTimeout,
+  whenAborted,
+  sleep
+};
@@ -0,0 +1,166 @@
+// Analysis run parameters - schema, defaults and validation for stream/job/quick-analyze input
+const ErrorHandler = require('../middleware/errorHandler');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./locale');
+const launchDay = require('./launchDay');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each field: type, optional bounds/enum/pattern and a default (undefined = not set)
+const analysisParamsSchema = {
+  limit: { type: 'integer', min: 1, max: 50, default: 10 },
+  date: { type: 'date', notFuture: true }, // Launch day in LAUNCH_DAY_TIMEZONE
+  topic: { type: 'string', maxLength: 100 },
+  minVotes: { type: 'integer', min: 0, max: 100000, default: 0 },
+  model: { type: 'string', pattern: /^[\w.:\/-]{1,100}$/ },
+  language: { type: 'string', enum: SUPPORTED_LANGUAGES, default: DEFAULT_LANGUAGE },
+  concurrency: { type: 'integer', min: 1, max: 10, default: 3 },
+  fetchTimeout: { type: 'integer', min: 1000, max: 120000, default: 15000 },
+  analysisTimeout: { type: 'integer', min: 1000, max: 120000, default: 8000 },
+  delayMs: { type: 'integer', min: 0, max: 10000, default: 0 }, // Minimum gap between analysis starts
+  force: { type: 'boolean', default: false }, // Bypass the analysis cache
+  marketSummary: { type: 'boolean', default: true }, // Summarize the run's analyses once they are done
+  summaryTimeout: { type: 'integer', min: 1000, max: 120000, default: 30000 }
+};
+
+// Coerce and check a single value against its field definition. Returns [value, error].
+function validateField(name, rule, raw) {
+  switch (rule.type) {
+    case 'integer': {
+      // Plain digits only, so "1e1", "0x10" or "1.0" are not read as numbers
+      const text = typeof raw === 'number' ? null : String(raw).trim();
+      if (text === '') {
+        return [null, `${name} is required`];
+      }
+      const value = text === null ? raw : /^-?\d+$/.test(text) ? Number(text) : NaN;
+      if (!Number.isInteger(value)) {
+        return [null, `${name} must be an integer`];
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return [null, `${name} must be at least ${rule.min}`];
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return [null, `${name} must be at most ${rule.max}`];
+      }
+      return [value, null];
+    }
+
+    case 'date': {
+      const value = String(raw).trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return [null, `${name} must be a date in YYYY-MM-DD format`];
+      }
+      // Date.parse rolls impossible days over (2026-02-31 becomes March 3rd), so round-trip the value
+      const parsed = new Date(`${value}T00:00:00Z`);
+      if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) {
+        return [null, `${name} is not a valid calendar date`];
+      }
+      // Launch days that have not started yet have no products (YYYY-MM-DD strings compare in date order)
+      if (rule.notFuture && value > launchDay.getLaunchDate()) {
+        return [null, `${name} must not be in the future`];
+      }
+      return [value, null];
+    }
+
+    case 'string': {
+      if (typeof raw !== 'string') {
+        return [null, `${name} must be a string`];
+      }
+      const value = raw.trim();
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return [null, `${name} must be at most ${rule.maxLength} characters`];
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return [null, `${name} must be one of: ${rule.enum.join(', ')}`];
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return [null, `${name} has an invalid format`];
+      }
+      return [value, null];
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') {
+        return [raw, null];
+      }
+      const value = String(raw).trim().toLowerCase();
+      if (['true', '1'].includes(value)) return [true, null];
+      if (['false', '0'].includes(value)) return [false, null];
+      return [null, `${name} must be true or false`];
+    }
+
+    default:
+      return [null, `${name} has an unsupported type`];
+  }
+}
+
+// Validate query/body input. Throws a ValidationError listing every problem.
+function parseAnalysisParams(input = {}, overrides = {}) {
+  const schema = { ...analysisParamsSchema };
+  Object.entries(overrides).forEach(([name, override]) => {
+    schema[name] = { ...schema[name], ...override };
+  });
+
+  const params = {};
+  const errors = [];
+
+  Object.keys(input).forEach(name => {
+    if (!schema[name]) {
+      errors.push(`Unknown parameter: ${name}`);
+    }
+  });
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    const raw = input[name];
+    // Blank (or whitespace-only) fields count as not set
+    if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+      if (rule.default !== undefined) {
+        params[name] = rule.default;
+      }
+      return;
+    }
+
+    const [value, error] = validateField(name, rule, raw);
+    if (error) {
+      errors.push(error);
+    } else {
+      params[name] = value;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw ErrorHandler.createValidationError('Invalid analysis parameters', { errors });
+  }
+
+  return params;
+}
+
+// Validate a startDate/endDate pair and expand it into the YYYY-MM-DD days it covers
+function parseDateRange({ startDate, endDate } = {}, maxDays = 31) {
+  const errors = [];
+  const [start, startError] = validateField('startDate', { type: 'date', notFuture: true }, startDate ?? '');
+  const [end, endError] = validateField('endDate', { type: 'date', notFuture: true }, endDate ?? '');
+  if (startError) errors.push(startError);
+  if (endError) errors.push(endError);
+
+  if (errors.length === 0) {
+    // Check the span from the two dates before expanding, so a huge range never allocates its days
+    const spanDays = (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS + 1;
+
+    if (spanDays < 1) {
+      errors.push('endDate must not be before startDate');
+    } else if (spanDays > maxDays) {
+      errors.push(`Date range must not exceed ${maxDays} days`);
+    } else {
+      return Array.from({ length: spanDays }, (_, offset) => launchDay.addDays(start, offset));
+    }
+  }
+
+  throw ErrorHandler.createValidationError('Invalid date range', { errors });
+}
+
+module.exports = {
+  analysisParamsSchema,
+  validateField,
+  parseAnalysisParams,
+  parseDateRange
+};
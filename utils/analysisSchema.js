@@ -0,0 +1,143 @@
+// Analysis output schema - the shape every per-product LLM analysis must have, and its validator
+
+// Likelihood ratings are stored language-neutral; localized labels are applied at render/export time
+const LIKELIHOOD_LEVELS = ['high', 'medium', 'low'];
+
+// Localized ratings that models (and runs saved before canonical values) may contain
+const LIKELIHOOD_ALIASES = {
+  '高': 'high',
+  '中': 'medium',
+  '低': 'low'
+};
+
+// Map a rating to high/medium/low (null when it is not a recognised rating)
+function normalizeLikelihood(raw) {
+  if (typeof raw !== 'string') {
+    return null;
+  }
+  const value = raw.trim().toLowerCase();
+  const level = LIKELIHOOD_ALIASES[value] || value;
+  return LIKELIHOOD_LEVELS.includes(level) ? level : null;
+}
+
+// Each field: type, required flag, optional bounds and (for arrays/objects) nested rules
+const analysisSchema = {
+  productName: { type: 'string', maxLength: 200 },
+  targetUsers: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 10,
+    items: {
+      type: 'object',
+      properties: {
+        demographic: { type: 'string', required: true, minLength: 1, maxLength: 300 },
+        likelihood: { type: 'likelihood', required: true }
+      }
+    }
+  },
+  successProbability: { type: 'likelihood', required: true },
+  summary: { type: 'string', required: true, minLength: 10, maxLength: 2000 },
+  userPersonas: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 10,
+    items: { type: 'string', minLength: 1, maxLength: 300 }
+  }
+};
+
+// Check one value against its rule. Returns [normalizedValue, errors].
+function validateValue(path, rule, raw) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof raw !== 'string') {
+        return [null, [`${path} must be a string`]];
+      }
+      const value = raw.trim();
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return [null, [`${path} must be at least ${rule.minLength} characters`]];
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return [null, [`${path} must be at most ${rule.maxLength} characters`]];
+      }
+      return [value, []];
+    }
+
+    case 'likelihood': {
+      const value = normalizeLikelihood(raw);
+      if (!value) {
+        return [null, [`${path} must be one of: ${LIKELIHOOD_LEVELS.join(', ')}`]];
+      }
+      return [value, []];
+    }
+
+    case 'array': {
+      if (!Array.isArray(raw)) {
+        return [null, [`${path} must be an array`]];
+      }
+      if (rule.minItems !== undefined && raw.length < rule.minItems) {
+        return [null, [`${path} must have at least ${rule.minItems} item(s)`]];
+      }
+      if (rule.maxItems !== undefined && raw.length > rule.maxItems) {
+        return [null, [`${path} must have at most ${rule.maxItems} items`]];
+      }
+      const errors = [];
+      const value = raw.map((item, index) => {
+        const [itemValue, itemErrors] = validateValue(`${path}[${index}]`, rule.items, item);
+        errors.push(...itemErrors);
+        return itemValue;
+      });
+      return [value, errors];
+    }
+
+    case 'object':
+      return validateObject(path, rule.properties, raw);
+
+    default:
+      return [null, [`${path} has an unsupported type`]];
+  }
+}
+
+// Check every declared property of an object; unknown properties are kept as they are
+function validateObject(path, properties, raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return [null, [`${path || 'response'} must be a JSON object`]];
+  }
+
+  const value = { ...raw };
+  const errors = [];
+
+  Object.entries(properties).forEach(([name, rule]) => {
+    const fieldPath = path ? `${path}.${name}` : name;
+    if (raw[name] === undefined || raw[name] === null || raw[name] === '') {
+      if (rule.required) {
+        errors.push(`${fieldPath} is required`);
+      }
+      return;
+    }
+
+    const [fieldValue, fieldErrors] = validateValue(fieldPath, rule, raw[name]);
+    if (fieldErrors.length > 0) {
+      errors.push(...fieldErrors);
+    } else {
+      value[name] = fieldValue;
+    }
+  });
+
+  return [value, errors];
+}
+
+// Validate a parsed analysis. Returns { valid, errors, value } where value has trimmed strings
+// and canonical high/medium/low likelihoods.
+function validateAnalysis(analysis) {
+  const [value, errors] = validateObject('', analysisSchema, analysis);
+  return { valid: errors.length === 0, errors, value };
+}
+
+module.exports = {
+  LIKELIHOOD_LEVELS,
+  analysisSchema,
+  normalizeLikelihood,
+  validateAnalysis
+};
@@ -0,0 +1,59 @@
+// Encryption at rest - AES-256-GCM envelopes for secrets kept on disk (OAuth tokens).
+// Keys come from config as any string and are stretched to 256 bits with scrypt.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'producthunt-analyzer:encryption-at-rest';
+
+// Short fingerprint of a key, stored with each envelope so the right key can be picked on rotation
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// Derived keys for TOKEN_ENCRYPTION_KEY (used to encrypt) and TOKEN_ENCRYPTION_KEY_PREVIOUS
+// (still accepted for decryption while rotating). Empty when no key is configured.
+function loadKeys(current = process.env.TOKEN_ENCRYPTION_KEY, previous = process.env.TOKEN_ENCRYPTION_KEY_PREVIOUS) {
+  return [current, previous]
+    .filter(Boolean)
+    .map(secret => {
+      const key = crypto.scryptSync(secret, KEY_SALT, 32);
+      return { id: keyId(key), key };
+    });
+}
+
+// JSON-serializable envelope for a UTF-8 string
+function encrypt(plaintext, { id, key }) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    encrypted: true,
+    algorithm: ALGORITHM,
+    keyId: id,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Decrypt an envelope with whichever configured key made it; throws if none did or it was tampered with
+function decrypt(envelope, keys) {
+  const match = keys.find(candidate => candidate.id === envelope.keyId);
+  if (!match) {
+    throw new Error('No configured encryption key matches the stored data (check TOKEN_ENCRYPTION_KEY)');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, match.key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function isEncrypted(value) {
+  return !!value && value.encrypted === true && typeof value.data === 'string';
+}
+
+module.exports = {
+  loadKeys,
+  encrypt,
+  decrypt,
+  isEncrypted
+};
@@ -0,0 +1,76 @@
+// HTML templating - an auto-escaping `html` tagged template for server-rendered pages.
+// Every interpolated value is escaped unless it is itself the output of `html` (or explicitly `raw`),
+// so Product Hunt and LLM text can never turn into markup.
+class SafeHtml {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"'`]/g, char => ESCAPES[char]);
+}
+
+// null, undefined and false render nothing, so `${condition && html`...`}` works; arrays are concatenated
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+// Trusted markup that must not be escaped (static strings only, never data)
+function raw(value) {
+  return new SafeHtml(value);
+}
+
+// Only http(s) links (and data: images where asked), so a stored URL cannot be a javascript: link
+function safeUrl(url, { allowDataImages = false } = {}) {
+  const value = String(url ?? '').trim();
+  if (/^https?:\/\//i.test(value) || (allowDataImages && /^data:image\//i.test(value))) {
+    return value;
+  }
+  return '';
+}
+
+// JSON for a <script type="application/json"> block. "<", ">" and "&" are escaped so the data cannot
+// close the script element, and U+2028/U+2029 so it stays valid everywhere.
+function jsonForScript(value) {
+  return raw(JSON.stringify(value ?? null)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029'));
+}
+
+// Add the request's CSP nonce to every <script> and <style> tag of a trusted page (the static pages in public/)
+function withNonce(page, nonce) {
+  return String(page).replace(/<(script|style)(?=[\s>])/gi, `<$1 nonce="${escapeHtml(nonce)}"`);
+}
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  raw,
+  safeUrl,
+  jsonForScript,
+  withNonce
+};
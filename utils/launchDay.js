@@ -0,0 +1,85 @@
+// Launch day helpers - Product Hunt days run midnight to midnight US Pacific time
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getTimezone() {
+  return process.env.LAUNCH_DAY_TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+// Throws a RangeError for unknown IANA zone names
+function assertTimezone(timezone) {
+  new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  return timezone;
+}
+
+// Wall-clock parts of an instant in the given timezone
+function getZonedParts(instant, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  return parts.reduce((acc, part) => {
+    if (part.type !== 'literal') {
+      acc[part.type] = parseInt(part.value, 10);
+    }
+    return acc;
+  }, {});
+}
+
+// Offset of the timezone from UTC at an instant, in milliseconds (DST aware)
+function getTimezoneOffset(instant, timezone) {
+  const p = getZonedParts(instant, timezone);
+  const wallClockAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClockAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The instant local midnight starts on a YYYY-MM-DD date in the timezone
+function getZonedMidnight(date, timezone) {
+  const guess = Date.parse(`${date}T00:00:00Z`);
+  const firstOffset = getTimezoneOffset(new Date(guess), timezone);
+  let instant = guess - firstOffset;
+
+  // Re-check in case a DST switch falls between the guess and the real midnight
+  const secondOffset = getTimezoneOffset(new Date(instant), timezone);
+  if (secondOffset !== firstOffset) {
+    instant = guess - secondOffset;
+  }
+  return new Date(instant);
+}
+
+// YYYY-MM-DD of the launch day an instant falls in
+function getLaunchDate(instant = new Date(), timezone = getTimezone()) {
+  const p = getZonedParts(instant, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Shift a YYYY-MM-DD date by whole days
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+// UTC window [start, end) covering a launch day. Days are 23 or 25 hours long around DST switches.
+function getLaunchDayWindow(date = getLaunchDate(), timezone = getTimezone()) {
+  assertTimezone(timezone);
+  return {
+    date,
+    timezone,
+    start: getZonedMidnight(date, timezone),
+    end: getZonedMidnight(addDays(date, 1), timezone)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getTimezone,
+  getLaunchDate,
+  getLaunchDayWindow,
+  addDays
+};
@@ -0,0 +1,175 @@
+// Localization - analysis languages plus the labels used when rendering and exporting results.
+// Stored analyses keep canonical values (high/medium/low); only these labels change per locale.
+const { normalizeLikelihood } = require('./analysisSchema');
+
+const DEFAULT_LANGUAGE = 'zh';
+
+// Languages an analysis can be written in (name is used in the prompt, dateLocale for formatting)
+const LANGUAGES = {
+  zh: { name: 'Simplified Chinese', dateLocale: 'zh-CN' },
+  en: { name: 'English', dateLocale: 'en-US' },
+  ja: { name: 'Japanese', dateLocale: 'ja-JP' },
+  ko: { name: 'Korean', dateLocale: 'ko-KR' },
+  es: { name: 'Spanish', dateLocale: 'es-ES' },
+  fr: { name: 'French', dateLocale: 'fr-FR' },
+  de: { name: 'German', dateLocale: 'de-DE' }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// UI and export labels. Languages without their own table use the English labels.
+const messages = {
+  en: {
+    likelihood: { high: 'High', medium: 'Medium', low: 'Low', unknown: 'Unknown' },
+    pageTitle: 'Product Hunt Analysis Results',
+    pageSubtitle: 'AI-powered insights into trending products and their target users',
+    analysisCompleted: 'Analysis completed',
+    run: 'Run',
+    launchDay: 'Launch day',
+    window: 'window',
+    notLiveData: 'Not live data',
+    sources: 'sources',
+    summaryTitle: 'Analysis Summary',
+    totalProducts: 'Total Products',
+    successfulAnalyses: 'Successful Analyses',
+    failedAnalyses: 'Failed Analyses',
+    totalVotes: 'Total Votes',
+    exportCSV: 'Export CSV',
+    exportJSON: 'Export JSON',
+    backHome: 'Back to Home',
+    runNew: 'Run New Analysis',
+    detailsTitle: 'Product Analysis Details',
+    noTagline: 'No tagline available',
+    votes: 'votes',
+    comments: 'comments',
+    website: 'Website',
+    source: 'Source',
+    outputRepaired: 'Output repaired',
+    targetUsers: 'Target Users',
+    noTargetUsers: 'No target users identified',
+    successProbability: 'Success Probability',
+    analysisFailed: 'Analysis Failed',
+    unknownError: 'Unknown error occurred',
+    notAnalyzed: 'Not analyzed',
+    marketSummaryTitle: 'Market Summary',
+    overallTrends: 'Overall Trends',
+    emergingOpportunities: 'Emerging Opportunities',
+    commonTargetDemographics: 'Common Target Demographics',
+    marketInsights: 'Market Insights',
+    recommendations: 'Recommendations',
+    ruleBasedSummary: 'Rule-based summary (no LLM)',
+    none: 'None',
+    unknown: 'Unknown',
+    noData: 'No data to export',
+    csvFilename: 'product_analysis_report',
+    csv: {
+      name: 'Product Name',
+      tagline: 'Tagline',
+      votes: 'Votes Count',
+      comments: 'Comments Count',
+      successProbability: 'Success Probability',
+      targetUsers: 'Target Users',
+      userPersonas: 'User Personas',
+      summary: 'Analysis Summary',
+      url: 'Product URL',
+      website: 'Website',
+      topics: 'Topics',
+      createdAt: 'Created At',
+      marketFit: 'Market Fit',
+      source: 'Source',
+      dateWindow: 'Date Window'
+    }
+  },
+  zh: {
+    likelihood: { high: '高', medium: '中', low: '低', unknown: '未知' },
+    pageTitle: 'Product Hunt 分析结果',
+    pageSubtitle: 'AI 驱动的热门产品及目标用户洞察',
+    analysisCompleted: '分析完成时间',
+    run: '运行',
+    launchDay: '发布日',
+    window: '时间窗口',
+    notLiveData: '非实时数据',
+    sources: '数据来源',
+    summaryTitle: '分析摘要',
+    totalProducts: '产品总数',
+    successfulAnalyses: '分析成功',
+    failedAnalyses: '分析失败',
+    totalVotes: '总投票数',
+    exportCSV: '导出CSV',
+    exportJSON: '导出JSON',
+    backHome: '返回首页',
+    runNew: '重新分析',
+    detailsTitle: '产品分析详情',
+    noTagline: '暂无标语',
+    votes: '票',
+    comments: '评论',
+    website: '网站',
+    source: '来源',
+    outputRepaired: '输出已修复',
+    targetUsers: '目标用户',
+    noTargetUsers: '未识别出目标用户',
+    successProbability: '成功概率',
+    analysisFailed: '分析失败',
+    unknownError: '未知错误',
+    notAnalyzed: '未分析',
+    marketSummaryTitle: '市场总结',
+    overallTrends: '整体趋势',
+    emergingOpportunities: '新兴机会',
+    commonTargetDemographics: '共同目标人群',
+    marketInsights: '市场洞察',
+    recommendations: '建议',
+    ruleBasedSummary: '基于规则的总结（未使用LLM）',
+    none: '无',
+    unknown: '未知',
+    noData: '没有数据可导出',
+    csvFilename: '产品分析报告',
+    csv: {
+      name: '产品名称',
+      tagline: '标语',
+      votes: '投票数',
+      comments: '评论数',
+      successProbability: '成功概率',
+      targetUsers: '目标用户群体',
+      userPersonas: '用户画像',
+      summary: '分析摘要',
+      url: '产品链接',
+      website: '网站',
+      topics: '主题标签',
+      createdAt: '创建时间',
+      marketFit: '市场契合度',
+      source: '数据来源',
+      dateWindow: '时间窗口'
+    }
+  }
+};
+
+function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+// Label table for a language, with dateLocale added for formatting dates
+function getMessages(language = DEFAULT_LANGUAGE) {
+  const table = messages[language] || messages.en;
+  const dateLocale = (LANGUAGES[language] || LANGUAGES.en).dateLocale;
+  return { ...table, language, dateLocale };
+}
+
+// Localized label for a stored likelihood (canonical or a legacy localized value)
+function formatLikelihood(value, language = DEFAULT_LANGUAGE) {
+  return getMessages(language).likelihood[normalizeLikelihood(value) || 'unknown'];
+}
+
+// Language a stored run was analyzed in (runs saved before per-run languages were Chinese)
+function getRunLanguage(run) {
+  return run?.params?.language || run?.metadata?.params?.language || DEFAULT_LANGUAGE;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  SUPPORTED_LANGUAGES,
+  isSupportedLanguage,
+  getMessages,
+  formatLikelihood,
+  getRunLanguage
+};
@@ -1,6 +1,7 @@
 // Comprehensive logging system
 const fs = require('fs').promises;
 const path = require('path');
+const { redact, redactString } = require('./redact');
 
 class Logger {
   constructor() {
@@ -30,7 +31,11 @@ class Logger {
     return JSON.stringify(logEntry);
   }
 
+  // Message and meta are redacted before they reach the log file or the console
   async writeLog(level, message, meta = {}) {
+    message = redactString(message);
+    meta = redact(meta);
+
     try {
       await this.ensureLogDirectory();
       
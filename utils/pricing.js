@@ -0,0 +1,76 @@
+// LLM pricing - per-model token prices and the usage/cost arithmetic shared by runs and daily totals
+
+// USD per million tokens. Models are matched by the longest prefix, so dated or "-latest" names
+// (gpt-4o-mini-2024-07-18, claude-3-5-haiku-latest) use their base model's price.
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 }
+};
+
+// Providers that never cost anything, whatever the model is called
+const FREE_PROVIDERS = ['local'];
+
+// Default prices merged with LLM_PRICES, a JSON object of { model: { input, output } }
+function loadPrices(raw = process.env.LLM_PRICES) {
+  if (!raw) {
+    return { ...DEFAULT_PRICES };
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`LLM_PRICES is not valid JSON: ${error.message}`);
+  }
+
+  Object.entries(overrides).forEach(([model, price]) => {
+    if (!price || !Number.isFinite(price.input) || !Number.isFinite(price.output)) {
+      throw new Error(`LLM_PRICES entry for ${model} needs numeric input and output prices`);
+    }
+  });
+  return { ...DEFAULT_PRICES, ...overrides };
+}
+
+// Price for a model, or null when the table has no entry for it
+function findPrice(prices, provider, model) {
+  if (FREE_PROVIDERS.includes(provider)) {
+    return { input: 0, output: 0 };
+  }
+  const match = Object.keys(prices)
+    .filter(name => model === name || String(model).startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+// Cost in USD of one call's usage ({ inputTokens, outputTokens }); null for unpriced models
+function calculateCost(price, usage = {}) {
+  if (!price) {
+    return null;
+  }
+  const cost = ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// Add up usage entries ({ inputTokens, outputTokens, totalTokens, cost }), skipping missing ones
+function sumUsage(entries) {
+  return entries.filter(Boolean).reduce((total, usage) => ({
+    requests: total.requests + (usage.requests ?? 1),
+    inputTokens: total.inputTokens + (usage.inputTokens || 0),
+    outputTokens: total.outputTokens + (usage.outputTokens || 0),
+    totalTokens: total.totalTokens + (usage.totalTokens || 0),
+    cost: Math.round((total.cost + (usage.cost || 0)) * 1e6) / 1e6
+  }), { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 });
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  loadPrices,
+  findPrice,
+  calculateCost,
+  sumUsage
+};
@@ -0,0 +1,59 @@
+// Data provenance - where products came from and which launch day window they cover
+const SOURCES = {
+  GRAPHQL: 'graphql',
+  REST: 'rest-v1',
+  MOCK: 'mock',
+  CACHE: 'cache'
+};
+
+// Sources that reflect Product Hunt right now (cache and mock do not)
+const LIVE_SOURCES = [SOURCES.GRAPHQL, SOURCES.REST];
+
+// Tag products with their source and date window, keeping an existing source tag
+function tagProducts(products, source, dateWindow) {
+  return products.map(product => ({
+    ...product,
+    source: product.source || source,
+    dateWindow
+  }));
+}
+
+// Human readable warning for data that is not live or not from the requested day (null when fine)
+function getProvenanceNotice({ sources = [], dateWindow, live }) {
+  const notices = [];
+
+  if (sources.includes(SOURCES.MOCK)) {
+    notices.push('Contains MOCK demo data, not real Product Hunt launches.');
+  }
+  if (sources.includes(SOURCES.CACHE)) {
+    notices.push('Product Hunt could not be reached; products come from a previously stored run.');
+  }
+  if (live && dateWindow === 'yesterday') {
+    notices.push('No launches found for the requested day; showing the previous launch day instead.');
+  }
+  if (live && dateWindow === 'unfiltered') {
+    notices.push('Products are not filtered to the requested launch day.');
+  }
+
+  return notices.length > 0 ? notices.join(' ') : null;
+}
+
+// Run-level provenance summary
+function summarizeProvenance(products, launchDay = null) {
+  const sources = Array.from(new Set(products.map(product => product.source || 'unknown')));
+  const summary = {
+    sources,
+    dateWindow: launchDay?.window || null,
+    live: sources.length > 0 && sources.every(source => LIVE_SOURCES.includes(source))
+  };
+  summary.notice = getProvenanceNotice(summary);
+  return summary;
+}
+
+module.exports = {
+  SOURCES,
+  LIVE_SOURCES,
+  tagProducts,
+  summarizeProvenance,
+  getProvenanceNotice
+};
@@ -0,0 +1,180 @@
+// Secret redaction - one place that decides what must never reach logs, error responses or diagnostics.
+// Values under sensitive keys are replaced, known secret formats are masked inside any string, and the
+// configured secrets themselves (API keys, client secrets, ...) are masked wherever they show up.
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Object keys whose values are always hidden (matched case-insensitively against the key name).
+// Token *counts* (totalTokens, maxTokens, tokensUsed) are not secrets, so only keys ending in "token" match.
+const DEFAULT_KEY_RULES = [
+  /passw(or)?d/i,
+  /secret/i,
+  /token$/i,
+  /api[-_]?key/i,
+  /authorization/i,
+  /cookie/i,
+  /credential/i,
+  /private[-_]?key/i,
+  /verifier$/i,
+  /^session(id)?$/i
+];
+
+// Secret formats masked inside any string (log messages, URLs, error messages, stack traces)
+const DEFAULT_PATTERN_RULES = [
+  { pattern: /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, replace: `$1 ${REDACTED}` },
+  { pattern: /\bpha_[a-f0-9]{16}_[\w-]{32}\b/g, replace: REDACTED }, // Analyzer API keys
+  { pattern: /\bsk-[\w-]{16,}/g, replace: REDACTED }, // OpenAI / Anthropic keys
+  { pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, replace: REDACTED }, // JWTs
+  {
+    pattern: /([?&](?:access_token|refresh_token|id_token|token|api_key|apikey|key|code|code_verifier|client_secret|password)=)[^&#\s"']+/gi,
+    replace: `$1${REDACTED}`
+  },
+  { pattern: /((?:ph_session|ph_oidc)=)[^;\s"']+/g, replace: `$1${REDACTED}` } // Session cookies
+];
+
+// Environment variables holding secrets; their values are masked anywhere they appear
+const SECRET_ENV_VARS = [
+  'PH_DEVELOPER_TOKEN',
+  'PH_CLIENT_SECRET',
+  'OPENAI_API_KEY',
+  'ANTHROPIC_API_KEY',
+  'AZURE_OPENAI_API_KEY',
+  'LOCAL_LLM_API_KEY',
+  'SESSION_SECRET',
+  'TOKEN_ENCRYPTION_KEY',
+  'TOKEN_ENCRYPTION_KEY_PREVIOUS',
+  'OIDC_CLIENT_SECRET',
+  'ADMIN_PASSWORD'
+];
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Extra rules from REDACT_KEYS (comma-separated key names, matched as substrings) and
+// REDACT_PATTERNS (JSON array of regular expression sources)
+function loadRules(env = process.env) {
+  const keys = (env.REDACT_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map(key => new RegExp(escapeRegExp(key), 'i'));
+
+  let patterns = [];
+  if (env.REDACT_PATTERNS) {
+    let sources;
+    try {
+      sources = JSON.parse(env.REDACT_PATTERNS);
+    } catch (error) {
+      throw new Error(`REDACT_PATTERNS is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(sources)) {
+      throw new Error('REDACT_PATTERNS must be a JSON array of regular expressions');
+    }
+    patterns = sources.map(source => ({ pattern: new RegExp(source, 'g'), replace: REDACTED }));
+  }
+
+  const secrets = SECRET_ENV_VARS
+    .map(name => env[name])
+    .filter(value => value && value.length >= 8 && !value.startsWith('your_'));
+
+  return { keys, patterns, secrets };
+}
+
+class Redactor {
+  constructor({ keys = [], patterns = [], secrets = [] } = {}) {
+    this.keyRules = [...DEFAULT_KEY_RULES, ...keys];
+    this.patternRules = [
+      ...DEFAULT_PATTERN_RULES,
+      ...patterns,
+      // Longest first, so a secret that contains another is masked whole
+      ...[...new Set(secrets)]
+        .sort((a, b) => b.length - a.length)
+        .map(secret => ({ pattern: new RegExp(escapeRegExp(secret), 'g'), replace: REDACTED }))
+    ];
+  }
+
+  isSensitiveKey(key) {
+    return this.keyRules.some(rule => rule.test(key));
+  }
+
+  redactString(value) {
+    return this.patternRules.reduce((text, rule) => text.replace(rule.pattern, rule.replace), String(value));
+  }
+
+  // Redacted copy of any value. Errors keep their name/message/stack, objects with toJSON (axios
+  // errors and headers) are redacted in their JSON form, and other class instances (sockets,
+  // requests) are summarized by their class name.
+  redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[Object]';
+    }
+    seen.add(value);
+
+    if (value instanceof Error) {
+      const copy = new Error(this.redactString(value.message));
+      copy.name = value.name;
+      copy.stack = this.redactString(value.stack || '');
+      Object.keys(value).forEach(key => {
+        copy[key] = this.redactEntry(key, value[key], depth, seen);
+      });
+      return copy;
+    }
+    if (value instanceof Date) {
+      return value;
+    }
+    if (Buffer.isBuffer(value)) {
+      return `[Buffer ${value.length} bytes]`;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1, seen));
+    }
+
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) {
+      if (typeof value.toJSON === 'function') {
+        return this.redact(value.toJSON(), depth + 1, seen);
+      }
+      return `[${value.constructor?.name || 'Object'}]`;
+    }
+
+    return Object.keys(value).reduce((copy, key) => {
+      copy[key] = this.redactEntry(key, value[key], depth, seen);
+      return copy;
+    }, {});
+  }
+
+  redactEntry(key, value, depth, seen) {
+    if (this.isSensitiveKey(key) && value !== null && value !== undefined && value !== '' && typeof value !== 'boolean') {
+      return REDACTED;
+    }
+    return this.redact(value, depth + 1, seen);
+  }
+
+  // Route console.log/info/warn/error/debug through the redactor, so ad-hoc diagnostics in the
+  // services are covered too
+  installConsole(target = console) {
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+      const original = target[method].bind(target);
+      target[method] = (...args) => original(...args.map(arg => this.redact(arg)));
+    });
+  }
+}
+
+const redactor = new Redactor(loadRules());
+
+module.exports = {
+  REDACTED,
+  Redactor,
+  loadRules,
+  redactor,
+  redact: value => redactor.redact(value),
+  redactString: value => redactor.redactString(value)
+};
@@ -0,0 +1,224 @@
+// Results Page - server-rendered page for a stored run (labels follow the run's analysis language).
+// Built with the auto-escaping `html` template, so product, LLM and run data is always text; the run
+// itself is embedded as inert JSON for the export buttons.
+const { html, safeUrl, jsonForScript } = require('../utils/html');
+const { normalizeLikelihood } = require('../utils/analysisSchema');
+const { getMessages, getRunLanguage, formatLikelihood } = require('../utils/locale');
+
+const PLACEHOLDER_THUMBNAIL = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="60" height="60" viewBox="0 0 60 60"><rect width="60" height="60" fill="%23f0f0f0"/><text x="30" y="35" text-anchor="middle" fill="%23999" font-size="12">No Image</text></svg>';
+
+// Market summary section of the results page (lists are skipped when empty)
+function renderMarketSummary(summary, t) {
+  const list = (title, items) => items?.length && html`
+            <h4>${title}</h4>
+            <ul>${items.map(item => html`<li>${item}</li>`)}</ul>`;
+
+  return html`
+        <div class="summary-card market-summary">
+            <h2>🧭 ${t.marketSummaryTitle}</h2>
+            ${summary.fallback && html`<p><span class="stat source-tag">${t.ruleBasedSummary}</span></p>`}
+            <p class="analysis-summary">${summary.summary}</p>
+            <div class="market-summary-grid">
+                <div>${list(t.overallTrends, summary.overallTrends)}${list(t.emergingOpportunities, summary.emergingOpportunities)}</div>
+                <div>${list(t.commonTargetDemographics, summary.commonTargetDemographics)}${list(t.recommendations, summary.recommendations)}</div>
+            </div>
+            ${summary.marketInsights && html`<h4>${t.marketInsights}</h4><p>${summary.marketInsights}</p>`}
+        </div>
+  `;
+}
+
+function renderProductCard(product, t, language) {
+  const hasAnalysis = product.analysis && !product.analysis.error;
+  const thumbnailUrl = safeUrl(product.thumbnail, { allowDataImages: true }) || PLACEHOLDER_THUMBNAIL;
+  const website = safeUrl(product.website);
+
+  return html`
+      <div class="product-card">
+        <div class="product-header">
+          <img src="${thumbnailUrl}" alt="${product.name}" class="product-thumbnail">
+          <div class="product-info">
+            <h3>${product.name}</h3>
+            <p>${product.tagline || t.noTagline}</p>
+          </div>
+        </div>
+
+        <div class="product-stats">
+          <div class="stat">
+            <strong>${product.votesCount || 0}</strong> ${t.votes}
+          </div>
+          <div class="stat">
+            <strong>${product.commentsCount || 0}</strong> ${t.comments}
+          </div>
+          ${website && html`<div class="stat"><a href="${website}" target="_blank" rel="noopener noreferrer">🌐 ${t.website}</a></div>`}
+          ${product.source && product.source !== 'graphql' && html`<div class="stat source-tag">${t.source}: ${product.source}</div>`}
+          ${product.analysis?.validation?.status === 'repaired' && html`<div class="stat source-tag">🔧 ${t.outputRepaired}</div>`}
+        </div>
+
+        ${hasAnalysis ? html`
+          <div class="analysis-section">
+            <h4>🎯 ${t.targetUsers}</h4>
+            <div class="target-users">
+              ${product.analysis.targetUsers
+                ? product.analysis.targetUsers.map(user => html`<span class="user-tag">${user.demographic}</span>`)
+                : html`<span class="user-tag">${t.noTargetUsers}</span>`}
+            </div>
+
+            ${product.analysis.successProbability && html`
+              <div class="success-probability success-${normalizeLikelihood(product.analysis.successProbability) || 'unknown'}">
+                ${t.successProbability}: ${formatLikelihood(product.analysis.successProbability, language)}
+              </div>
+            `}
+
+            ${product.analysis.summary && html`
+              <div class="analysis-summary">
+                ${product.analysis.summary}
+              </div>
+            `}
+          </div>
+        ` : html`
+          <div class="error-card">
+            <strong>${t.analysisFailed}:</strong> ${product.analysis?.error || t.unknownError}
+            ${product.analysis?.validation?.errors?.length && html`<ul>${product.analysis.validation.errors.map(error => html`<li>${error}</li>`)}</ul>`}
+          </div>
+        `}
+      </div>
+    `;
+}
+
+// Full page for a run result; `nonce` is the request's CSP nonce for the inline style and script
+function renderResultsPage(data, nonce) {
+  const language = getRunLanguage(data);
+  const t = getMessages(language);
+  const totalVotes = data.products.reduce((sum, product) => sum + (product.votesCount || 0), 0);
+
+  return String(html`
+<!DOCTYPE html>
+<html lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t.pageTitle} - Product Hunt Analyzer</title>
+    <style nonce="${nonce}">
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; }
+        .container { max-width: 1400px; margin: 0 auto; padding: 20px; }
+        .header { text-align: center; color: white; margin-bottom: 30px; }
+        .header h1 { font-size: 2.5rem; margin-bottom: 10px; text-shadow: 2px 2px 4px rgba(0,0,0,0.3); }
+        .summary-card { background: white; border-radius: 12px; padding: 30px; margin-bottom: 30px; box-shadow: 0 10px 30px rgba(0,0,0,0.1); }
+        .summary-stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin-bottom: 20px; }
+        .stat-item { text-align: center; padding: 20px; background: #f8f9fa; border-radius: 8px; }
+        .stat-item h3 { color: #667eea; font-size: 2rem; margin-bottom: 5px; }
+        .stat-item p { color: #666; font-size: 0.9rem; }
+        .products-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(400px, 1fr)); gap: 20px; margin-top: 20px; }
+        .product-card { background: white; border-radius: 12px; padding: 25px; box-shadow: 0 5px 15px rgba(0,0,0,0.1); transition: transform 0.3s ease; }
+        .product-card:hover { transform: translateY(-5px); }
+        .product-header { display: flex; align-items: center; margin-bottom: 15px; }
+        .product-thumbnail { width: 60px; height: 60px; border-radius: 8px; margin-right: 15px; object-fit: cover; background: #f0f0f0; }
+        .product-info h3 { color: #333; margin-bottom: 5px; font-size: 1.2rem; }
+        .product-info p { color: #666; font-size: 0.9rem; }
+        .product-stats { display: flex; gap: 15px; margin: 15px 0; }
+        .stat { background: #f8f9fa; padding: 8px 12px; border-radius: 6px; font-size: 0.9rem; }
+        .stat strong { color: #667eea; }
+        .analysis-section { margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee; }
+        .analysis-section h4 { color: #333; margin-bottom: 10px; font-size: 1rem; }
+        .target-users { margin-bottom: 15px; }
+        .user-tag { display: inline-block; background: #e3f2fd; color: #1976d2; padding: 4px 8px; border-radius: 4px; font-size: 0.8rem; margin: 2px; }
+        .success-probability { padding: 8px 12px; border-radius: 6px; font-weight: bold; text-align: center; margin: 10px 0; }
+        .success-high { background: #d4edda; color: #155724; }
+        .success-medium { background: #fff3cd; color: #856404; }
+        .success-low { background: #f8d7da; color: #721c24; }
+        .analysis-summary { background: #f8f9fa; padding: 15px; border-radius: 8px; margin-top: 15px; font-style: italic; color: #555; }
+        .provenance-banner { background: #fff3cd; border: 2px solid #f0ad4e; color: #856404; padding: 15px 20px; border-radius: 12px; margin-bottom: 30px; font-weight: bold; text-align: center; }
+        .source-tag { background: #fff3cd; color: #856404; }
+        .error-card { background: #f8d7da; border: 1px solid #f5c6cb; color: #721c24; padding: 15px; border-radius: 8px; margin-top: 15px; }
+        .market-summary h4 { margin: 15px 0 5px; }
+        .market-summary ul { padding-left: 20px; }
+        .market-summary-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 20px; }
+        .btn { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; border: none; padding: 12px 24px; border-radius: 8px; font-size: 1rem; cursor: pointer; transition: all 0.3s ease; text-decoration: none; display: inline-block; margin: 10px; }
+        .btn:hover { transform: translateY(-2px); box-shadow: 0 5px 15px rgba(0,0,0,0.2); }
+        .btn-secondary { background: #6c757d; }
+        .btn-success { background: #28a745; }
+        .section-title { color: white; margin-bottom: 20px; }
+        .actions { text-align: center; margin: 30px 0; }
+        @media (max-width: 768px) { .container { padding: 10px; } .products-grid { grid-template-columns: 1fr; } .summary-stats { grid-template-columns: repeat(2, 1fr); } }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🚀 ${t.pageTitle}</h1>
+            <p>${t.pageSubtitle}</p>
+            <p><small>${t.analysisCompleted}: ${new Date(data.timestamp).toLocaleString(t.dateLocale)}${data.runId && ` · ${t.run} ${data.runId}`}</small></p>
+            ${data.launchDay && html`<p><small>${t.launchDay}: ${data.launchDay.date} (${data.launchDay.timezone})${data.launchDay.window !== 'today' && ` · ${t.window}: ${data.launchDay.window}`}</small></p>`}
+        </div>
+
+        ${data.provenance?.notice && html`
+        <div class="provenance-banner">
+            ⚠️ ${t.notLiveData}: ${data.provenance.notice} (${t.sources}: ${data.provenance.sources.join(', ')})
+        </div>
+        `}
+
+        <div class="summary-card">
+            <h2>📊 ${t.summaryTitle}</h2>
+            <div class="summary-stats">
+                <div class="stat-item">
+                    <h3>${data.totalProducts}</h3>
+                    <p>${t.totalProducts}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>${data.successCount}</h3>
+                    <p>${t.successfulAnalyses}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>${data.errorCount}</h3>
+                    <p>${t.failedAnalyses}</p>
+                </div>
+                <div class="stat-item">
+                    <h3>${totalVotes.toLocaleString(t.dateLocale)}</h3>
+                    <p>${t.totalVotes}</p>
+                </div>
+            </div>
+
+            <div class="actions">
+                <button class="btn btn-success" id="export-csv">📊 ${t.exportCSV}</button>
+                <button class="btn btn-success" id="export-json">📥 ${t.exportJSON}</button>
+                <a href="/" class="btn btn-secondary">🏠 ${t.backHome}</a>
+                <a href="/results.html" class="btn">🔄 ${t.runNew}</a>
+            </div>
+        </div>
+
+        ${data.marketSummary && renderMarketSummary(data.marketSummary, t)}
+
+        <div>
+            <h2 class="section-title">🎯 ${t.detailsTitle}</h2>
+            <div class="products-grid">
+                ${data.products.map(product => renderProductCard(product, t, language))}
+            </div>
+        </div>
+    </div>
+
+    <script type="application/json" id="analysis-data">${jsonForScript(data)}</script>
+    <script type="application/json" id="messages">${jsonForScript(t)}</script>
+    <script src="/js/resultsExport.js" nonce="${nonce}"></script>
+    <script nonce="${nonce}">
+        const analysisData = JSON.parse(document.getElementById('analysis-data').textContent);
+        const messages = JSON.parse(document.getElementById('messages').textContent);
+        const placeholderThumbnail = ${jsonForScript(PLACEHOLDER_THUMBNAIL)};
+
+        // Broken thumbnails fall back to the placeholder (some may have failed before this script ran)
+        document.querySelectorAll('.product-thumbnail').forEach(img => {
+            const usePlaceholder = () => { if (img.src !== placeholderThumbnail) img.src = placeholderThumbnail; };
+            img.addEventListener('error', usePlaceholder);
+            if (img.complete && img.naturalWidth === 0) usePlaceholder();
+        });
+        document.getElementById('export-csv').addEventListener('click', () => ResultsExport.exportCSV(analysisData, messages));
+        document.getElementById('export-json').addEventListener('click', () => ResultsExport.exportJSON(analysisData));
+    </script>
+</body>
+</html>
+  `);
+}
+
+module.exports = {
+  renderResultsPage
+};